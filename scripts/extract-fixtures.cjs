@@ -0,0 +1,134 @@
+/**
+ * Regression check for the result card extraction, offline.
+ * Runs the scraper's extraction on saved Booking.com pages (HTML snapshots,
+ * HAR files or a directory of them) and compares the hotels with the
+ * expected output stored next to each fixture as <fixture>.expected.json.
+ * Saved captcha, challenge or consent wall pages are expected to be
+ * recognised as such: their expected output records the challenge kind
+ * (see src/bot-challenge.cjs) instead of hotels.
+ *
+ * Usage:
+ *   node scripts/extract-fixtures.cjs <file-or-dir>            compare with expected output
+ *   node scripts/extract-fixtures.cjs <file-or-dir> --update   (re)write expected output
+ *
+ * Without <file-or-dir>, SCRAPER_FIXTURE is used.
+ *
+ * Exits with 1 when a fixture's hotels differ from its expected output.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const BookingScraper = require('../src/booking-scraper.cjs');
+const { BotChallengeError } = require('../src/errors.cjs');
+const { listFixtureFiles, loadFile } = require('../src/fixture-loader.cjs');
+
+const args = process.argv.slice(2);
+const input = args.find(arg => !arg.startsWith('--')) || process.env.SCRAPER_FIXTURE;
+const update = args.includes('--update');
+
+if (!input) {
+  console.error('Usage: node scripts/extract-fixtures.cjs <fixture.html|fixture.har|dir> [--update]');
+  process.exit(1);
+}
+
+// extractedAt and scrapedWith describe the run, not the page
+function comparable(hotels) {
+  return hotels.map(({ extractedAt, scrapedWith, ...hotel }) => hotel);
+}
+
+function expectedPath(file) {
+  return file.replace(/\.(html?|har)$/i, '.expected.json');
+}
+
+/**
+ * First difference between two hotel lists, as a readable line
+ */
+function describeDifference(expected, actual) {
+  if (expected.length !== actual.length) {
+    return `expected ${expected.length} hotels, got ${actual.length}`;
+  }
+  for (let i = 0; i < expected.length; i++) {
+    for (const key of new Set([...Object.keys(expected[i]), ...Object.keys(actual[i])])) {
+      const want = JSON.stringify(expected[i][key]);
+      const got = JSON.stringify(actual[i][key]);
+      if (want !== got) {
+        return `hotel ${i + 1} "${expected[i].name}" ${key}: expected ${want}, got ${got}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Challenge kind mismatch between expected and actual, as a readable line
+ */
+function describeChallengeDifference(expected, actual) {
+  const describe = kind => (kind ? `a ${kind} challenge` : 'results');
+  return expected !== actual ? `expected ${describe(expected)}, got ${describe(actual)}` : null;
+}
+
+(async () => {
+  const scraper = new BookingScraper();
+  let failures = 0;
+
+  try {
+    for (const file of await listFixtureFiles(path.resolve(input))) {
+      const pages = [];
+      for (const fixture of await loadFile(file)) {
+        let result;
+        try {
+          result = await scraper.extractFixture(fixture);
+        } catch (error) {
+          if (!(error instanceof BotChallengeError)) {
+            throw error;
+          }
+          pages.push({ name: fixture.name, url: fixture.url, challenge: error.details.kind, fillRates: null, hotels: [] });
+          console.log(`🛑 ${fixture.name}: bot challenge (${error.details.kind}), ${error.details.signal}`);
+          continue;
+        }
+
+        const { hotels, extraction } = result;
+        pages.push({ name: fixture.name, url: fixture.url, challenge: null, fillRates: extraction.fillRates, hotels: comparable(hotels) });
+        console.log(`📄 ${fixture.name}: ${extraction.cards} cards, ${hotels.length} hotels, fill rates ${JSON.stringify(extraction.fillRates)}`);
+      }
+
+      const target = expectedPath(file);
+      if (update) {
+        fs.writeFileSync(target, JSON.stringify({ pages }, null, 2) + '\n', 'utf-8');
+        console.log(`💾 Expected output written to ${target}`);
+        continue;
+      }
+
+      if (!fs.existsSync(target)) {
+        console.warn(`⚠️  No expected output for ${path.basename(file)} (run with --update to create ${path.basename(target)})`);
+        continue;
+      }
+
+      const expected = JSON.parse(fs.readFileSync(target, 'utf-8')).pages || [];
+      pages.forEach((page, index) => {
+        const difference = expected[index]
+          ? describeChallengeDifference(expected[index].challenge || null, page.challenge) ||
+            describeDifference(expected[index].hotels, page.hotels)
+          : 'page missing from expected output';
+        if (difference) {
+          failures += 1;
+          console.error(`❌ ${page.name}: ${difference}`);
+        } else {
+          console.log(`✅ ${page.name} matches expected output`);
+        }
+      });
+    }
+  } finally {
+    await BookingScraper.browserPool.close();
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} fixture page(s) differ from their expected output`);
+    process.exit(1);
+  }
+})().catch(error => {
+  console.error('❌ Fixture extraction failed:', error.message);
+  process.exit(1);
+});
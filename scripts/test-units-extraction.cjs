@@ -1,6 +1,7 @@
 /**
- * Diagnostic script: test recommended-units extraction on a live Booking.com URL.
- * Usage: node scripts/test-units-extraction.cjs
+ * Diagnostic script: test recommended-units extraction on a live Booking.com URL,
+ * or offline on a saved page (HTML snapshot, HAR file or directory; first page is used).
+ * Usage: node scripts/test-units-extraction.cjs [fixture]
  *
  * Outputs:
  *  - raw HTML of the first recommended-units container found (for selector diagnosis)
@@ -13,16 +14,18 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { loadFixtures, openFixturePage } = require('../src/fixture-loader.cjs');
 
 const TEST_URL =
   'https://www.booking.com/searchresults.uk.html?label=gen173nr-10CAEoggI46AdIM1gEaJECiAEBmAEzuAEXyAEM2AED6AEB-AEBiAIBqAIBuAKhlvLMBsACAdICJGRhODYxYThmLTRlYmUtNDEyMi04NjE5LWMwOWU3ZTViNzlmOdgCAeACAQ&sid=fe8dd72590368a7a5fe9a8185574e6bc&aid=304142&ss=Primorsko-Goranska+%C5%BEupanija&ssne=Primorsko-Goranska+%C5%BEupanija&ssne_untouched=Primorsko-Goranska+%C5%BEupanija&efdco=1&lang=uk&dest_id=2647&dest_type=region&checkin=2026-07-10&checkout=2026-07-20&group_adults=3&no_rooms=1&group_children=1&age=7&sb_travel_purpose=leisure&sb_lp=1&nflt=review_score%3D80%3Bstay_type%3D1%3Bht_beach%3D1%3Bprice%3DEUR-180-320-1&order=genius&soz=1&lang_changed=1';
 
 const AUTH_FILE = path.join(__dirname, '../data/auth-state.json');
 const OUT_FILE  = path.join(__dirname, '../data/units-diagnostic.json');
+const FIXTURE   = process.argv[2];
 
 (async () => {
   // ── auth check ───────────────────────────────────────────────────────────
-  if (!fs.existsSync(AUTH_FILE)) {
+  if (!FIXTURE && !fs.existsSync(AUTH_FILE)) {
     console.error('❌ No auth-state.json found. Run: npm run save-auth');
     process.exit(1);
   }
@@ -30,20 +33,26 @@ const OUT_FILE  = path.join(__dirname, '../data/units-diagnostic.json');
   console.log('🚀 Launching browser (headless: false so you can see it) …');
   const browser = await chromium.launch({ headless: false });
   const context = await browser.newContext({
-    storageState: AUTH_FILE,
+    ...(FIXTURE ? { javaScriptEnabled: false } : { storageState: AUTH_FILE }),
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
     viewport: { width: 1400, height: 900 }
   });
   const page = await context.newPage();
 
   try {
-    console.log('🌐 Navigating …');
-    await page.goto(TEST_URL, { waitUntil: 'networkidle', timeout: 60000 });
-    await page.waitForTimeout(3000);
+    if (FIXTURE) {
+      const [fixture] = await loadFixtures(path.resolve(FIXTURE));
+      console.log(`📂 Loading fixture ${fixture.name} …`);
+      await openFixturePage(page, fixture);
+    } else {
+      console.log('🌐 Navigating …');
+      await page.goto(TEST_URL, { waitUntil: 'networkidle', timeout: 60000 });
+      await page.waitForTimeout(3000);
 
-    // dismiss cookie banner if present
-    const consent = await page.$('button[data-testid="cookie-banner-strict-accept-all"]');
-    if (consent) { await consent.click(); await page.waitForTimeout(1000); console.log('🍪 Cookie consent dismissed'); }
+      // dismiss cookie banner if present
+      const consent = await page.$('button[data-testid="cookie-banner-strict-accept-all"]');
+      if (consent) { await consent.click(); await page.waitForTimeout(1000); console.log('🍪 Cookie consent dismissed'); }
+    }
 
     // wait for property cards
     await page.waitForSelector('[data-testid="property-card"]', { timeout: 15000 });
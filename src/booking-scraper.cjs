@@ -1,18 +1,126 @@
-const { chromium } = require('playwright');
 const logger = require('./logger.cjs');
+const metrics = require('./metrics.cjs');
 const config = require('../config/search-config.json');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const BookingURLParser = require('./booking-url-parser.cjs');
+const { AuthExpiredError, BotChallengeError, ScrapeTimeoutError } = require('./errors.cjs');
+const { getSelectorRegistry, getSelectors } = require('./selectors.cjs');
+const { buildExtractionReport, mergeExtractionReports } = require('./layout-drift.cjs');
+const { extractCards } = require('./card-extractor.cjs');
+const { loadFixtures, openFixturePage } = require('./fixture-loader.cjs');
+const { expandDateWindow, applyStay } = require('./date-grid.cjs');
+const { extractPropertyPage } = require('./property-extractor.cjs');
+const { HostLimiter } = require('./concurrency.cjs');
+const { createBrowserPool } = require('./browser-pool.cjs');
+const { getProfile, nextProxy, redactProxy, toContextOptions } = require('./scraping-profiles.cjs');
+const { detectChallenge, createChallengeCooldowns } = require('./bot-challenge.cjs');
+
+// Shared by every scraper instance in the process so concurrent jobs
+// never open more than this many sessions against one host
+const hostLimiter = new HostLimiter(parseInt(process.env.SCRAPER_MAX_CONCURRENT_PER_HOST || '2', 10));
+
+// Warm browsers shared by every scraper instance; each scrape gets its own context
+const browserPool = createBrowserPool({ headless: config.scraping.headless });
+
+// Profiles and proxies cooling down after a bot challenge, shared like the host
+// limiter; the worker shares them across processes through storage
+const challengeCooldowns = createChallengeCooldowns();
+
+/**
+ * Cool-down key of a session: its proxy, or its profile when it has none
+ * @param {Object} session - { name, proxy } (see BookingScraper.initialize)
+ */
+function cooldownKey(session) {
+  return session.proxy ? `proxy:${session.proxy}` : `profile:${session.name}`;
+}
 
 class BookingScraper {
-  constructor() {
-    this.browser = null;
+  /**
+   * @param {Object} options - { fixture, profile }
+   *   fixture: HTML file, HAR file or directory to scrape offline instead of
+   *   Booking.com. Never read from the environment here, so a worker cannot
+   *   end up scraping a fixture; the CLI and previews pass SCRAPER_FIXTURE.
+   *   profile: scraping profile name (default: SCRAPER_PROFILE, see scraping-profiles.cjs)
+   */
+  constructor(options = {}) {
+    this.fixture = options.fixture || null;
+    // Resolved on the first context, so an unknown name fails the scrape
+    // (ValidationError) rather than the constructor
+    this.profileName = options.profile || null;
+    this.profile = null;
+    // Profile, locale, timezone and proxy of the last context opened,
+    // copied onto every hotel extracted with it as `scrapedWith`
+    this.session = null;
     this.page = null;
     this.context = null;
+    this.releaseContext = null;
+    // Result card selector that matched on this page (see selectors.cjs)
+    this.cardSelector = null;
+    // Fill-rate report of the last extraction (see layout-drift.cjs)
+    this.lastExtraction = null;
+    // Screenshot/HTML/trace of a failed or suspicious scrape, for the caller
+    // to save (see captureArtifacts and services/artifacts)
+    this.artifacts = null;
+    // Bot challenge met by the last scrape, for the job record (see checkForChallenge)
+    this.lastChallenge = null;
+    this.captureEnabled = process.env.ARTIFACTS_ENABLED !== 'false';
+    this.traceEnabled = this.captureEnabled && process.env.ARTIFACTS_TRACE === 'true';
+    this.tracing = false;
+  }
+
+  /**
+   * Scrape with another profile from the next context on
+   * @param {string} name - Profile name (default: SCRAPER_PROFILE or `default`)
+   * @throws {ValidationError} Unknown profile
+   */
+  useProfile(name) {
+    this.profileName = name || null;
+    this.profile = getProfile(this.profileName);
+    return this.profile;
+  }
+
+  /**
+   * Next proxy of the profile's rotation that is not cooling down after a
+   * bot challenge, or null for a profile without proxies
+   * @throws {BotChallengeError} The profile, or every proxy of it, is cooling down
+   */
+  async pickProxy() {
+    const cooling = [];
+    for (let i = 0; i < Math.max(1, this.profile.proxies.length); i++) {
+      const proxyUrl = nextProxy(this.profile);
+      const key = cooldownKey({ name: this.profile.name, proxy: proxyUrl ? redactProxy(proxyUrl) : null });
+      const remainingMs = await challengeCooldowns.remainingMs(key);
+      if (remainingMs === 0) {
+        return proxyUrl;
+      }
+      cooling.push({ key, remainingMs });
+    }
+
+    const retryAfterMs = Math.min(...cooling.map(({ remainingMs }) => remainingMs));
+    this.lastChallenge = {
+      kind: 'cooldown',
+      signal: `cooling down: ${cooling.map(({ key }) => key).join(', ')}`,
+      url: null,
+      profile: this.profile.name,
+      proxy: null,
+      detectedAt: new Date().toISOString(),
+      cooldownUntil: new Date(Date.now() + retryAfterMs).toISOString(),
+      strikes: null
+    };
+    // Deferred: nothing was scraped, so the retry does not use up an attempt
+    throw new BotChallengeError(`Scraping profile ${this.profile.name} is cooling down after a bot challenge`, {
+      details: { ...this.lastChallenge, retryAfterMs, deferred: true }
+    });
   }
 
-  async initialize() {
+  /**
+   * Open a browser context from the pool with the saved auth state, dressed
+   * as this.profile (next proxy of its rotation, if it has proxies)
+   * @param {Object} contextOverrides - Extra Playwright context options
+   */
+  async initialize(contextOverrides = {}) {
     try {
       const authFile = path.join(__dirname, '../data/auth-state.json');
       
@@ -30,17 +138,16 @@ class BookingScraper {
         logger.info('No saved authentication state found');
       }
       
-      this.browser = await chromium.launch({ 
-        headless: config.scraping.headless 
-      });
-      
-      // Build context options
+      if (!this.profile) {
+        this.profile = getProfile(this.profileName);
+      }
+
+      // Offline fixtures never leave the machine, so they skip the proxy
+      const offline = contextOverrides.javaScriptEnabled === false;
+      const proxyUrl = offline ? null : await this.pickProxy();
       const contextOptions = {
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        viewport: {
-          width: config.scraping.viewport.width,
-          height: config.scraping.viewport.height
-        }
+        ...toContextOptions(this.profile, proxyUrl),
+        ...contextOverrides
       };
       
       // Load saved auth state if it exists
@@ -49,10 +156,24 @@ class BookingScraper {
         logger.info(`🔐 Loaded authentication state from ${authFile}`);
       }
       
-      this.context = await this.browser.newContext(contextOptions);
+      const { context, release } = await browserPool.acquireContext(contextOptions);
+      this.context = context;
+      this.releaseContext = release;
       this.page = await this.context.newPage();
-      
-      logger.info('Browser initialized successfully');
+      this.session = {
+        name: this.profile.name,
+        locale: this.profile.locale,
+        timezoneId: this.profile.timezoneId,
+        proxy: proxyUrl ? redactProxy(proxyUrl) : null
+      };
+
+      // Live pages only; offline fixtures run with JavaScript off and are not traced
+      if (this.traceEnabled && !offline) {
+        await this.context.tracing.start({ screenshots: true, snapshots: true });
+        this.tracing = true;
+      }
+
+      logger.info('Browser context initialized successfully', this.session);
     } catch (error) {
       logger.error('Failed to initialize browser:', error);
       throw error;
@@ -109,7 +230,7 @@ class BookingScraper {
 
   async handleCookieConsent() {
     try {
-      const consentButton = await this.page.$('button[data-testid="cookie-banner-strict-accept-all"]');
+      const consentButton = await this.page.$(getSelectors('cookieConsent').join(', '));
       if (consentButton) {
         await consentButton.click();
         await this.page.waitForTimeout(1000);
@@ -122,27 +243,102 @@ class BookingScraper {
 
   async waitForResults() {
     try {
-      await this.page.waitForSelector('[data-testid="property-card"]', { 
+      await this.page.waitForSelector(getSelectors('resultCard').join(', '), { 
         timeout: 10000 
       });
-      logger.info('Search results loaded');
+      this.cardSelector = await this.resolveSelector('resultCard');
+      logger.info('Search results loaded', { cardSelector: this.cardSelector });
     } catch (error) {
       logger.error('Results not found:', error);
+
+      await this.checkForChallenge({ cause: error, target: 'search results' });
+      if (error.name === 'TimeoutError') {
+        throw new ScrapeTimeoutError('Search results did not load within 10s', {
+          cause: error,
+          details: { url: this.page.url() }
+        });
+      }
       throw error;
     }
   }
 
+  /**
+   * First selector of a registry field that matches on the current page
+   * @param {string} field - Field in the selector registry
+   * @returns {Promise<string>} The matching selector, or the primary one if none match
+   */
+  async resolveSelector(field) {
+    const selectors = getSelectors(field);
+    for (const selector of selectors) {
+      if (await this.page.$(selector)) {
+        if (selector !== selectors[0]) {
+          logger.warn('Primary selector missing, using fallback', { field, selector });
+        }
+        return selector;
+      }
+    }
+    return selectors[0];
+  }
+
+  /**
+   * Throw BotChallengeError if the page is a captcha, challenge, "unusual
+   * traffic" or consent wall page (see bot-challenge.cjs). On a live page
+   * the session's proxy, or its profile, starts cooling down.
+   * @param {Object} options - { cards, cause, offline, target }
+   *   cards: result cards or room rows on the page (any means no challenge)
+   *   cause: error that made the caller look, e.g. a selector timeout
+   *   offline: a fixture page, which never cools anything down
+   *   target: what the page should have been, for the message
+   */
+  async checkForChallenge({ cards = 0, cause = null, offline = false, target = 'the page' } = {}) {
+    let detection = null;
+    try {
+      detection = detectChallenge({
+        url: this.page.url(),
+        title: await this.page.title(),
+        html: await this.page.content(),
+        cards
+      });
+    } catch (error) {
+      logger.warn('Could not inspect page for a bot challenge', { error: error.message });
+    }
+    if (!detection) {
+      return;
+    }
+
+    const cooldown = offline ? null : await challengeCooldowns.record(cooldownKey(this.session), detection.kind);
+    this.lastChallenge = {
+      ...detection,
+      url: this.page.url().substring(0, 200),
+      profile: this.session.name,
+      proxy: this.session.proxy,
+      detectedAt: new Date().toISOString(),
+      cooldownUntil: cooldown ? new Date(cooldown.until).toISOString() : null,
+      strikes: cooldown?.strikes ?? null
+    };
+    if (!offline) {
+      metrics.botChallenges.inc({ kind: detection.kind });
+    }
+    logger.warn('Bot challenge detected', this.lastChallenge);
+
+    throw new BotChallengeError(`Booking.com served a bot challenge (${detection.kind}) instead of ${target}`, {
+      cause,
+      details: { ...this.lastChallenge, retryAfterMs: cooldown ? cooldown.until - Date.now() : null }
+    });
+  }
+
   /**
    * Scroll down and click "Load more results" until no new cards appear
    * or the maxPages limit (from config) is reached.
    */
   async loadAllResults() {
     const maxPages = config.scraping.maxPages || 5;
+    const cardSelector = this.cardSelector || getSelectors('resultCard')[0];
     let page = 1;
 
     while (page < maxPages) {
       const countBefore = await this.page.$$eval(
-        '[data-testid="property-card"]',
+        cardSelector,
         cards => cards.length
       );
 
@@ -159,17 +355,15 @@ class BookingScraper {
       let clicked = false;
       try {
         const btn = await this.page.waitForSelector(
-          '[data-testid="pagination-next"], ' +
-          'button[aria-label*="more"], ' +
-          'button[class*="load-more"]',
+          getSelectors('loadMore').join(', '),
           { timeout: 5000 }
         );
         await btn.scrollIntoViewIfNeeded();
         await btn.click();
         // Wait for new cards to appear (up to 10 s)
         await this.page.waitForFunction(
-          (prev) => document.querySelectorAll('[data-testid="property-card"]').length > prev,
-          countBefore,
+          ({ selector, prev }) => document.querySelectorAll(selector).length > prev,
+          { selector: cardSelector, prev: countBefore },
           { timeout: 10000 }
         ).catch(() => {}); // timeout = no new cards loaded
         clicked = true;
@@ -185,7 +379,7 @@ class BookingScraper {
       }
 
       const countAfter = await this.page.$$eval(
-        '[data-testid="property-card"]',
+        cardSelector,
         cards => cards.length
       );
 
@@ -200,7 +394,7 @@ class BookingScraper {
     }
 
     const total = await this.page.$$eval(
-      '[data-testid="property-card"]',
+      cardSelector,
       cards => cards.length
     );
     logger.info(`Load-more complete: ${total} cards available after ${page} page(s)`);
@@ -208,215 +402,20 @@ class BookingScraper {
 
   async extractHotelData() {
     try {
-      const hotels = await this.page.$$eval('[data-testid="property-card"]', 
-        (cards, maxResults) => {
-          // Inline unit parser — pure JS only (no require/imports inside $$eval browser context)
-          const parseUnit = (rawName, rawDetails, rawBeds) => {
-            const quantityMatch = rawName.match(/^(\d+)×\s*/);
-            const quantity = quantityMatch ? parseInt(quantityMatch[1]) : 1;
-            const cleanName = rawName.replace(/^\d+×\s*/, '').trim();
-            const bedroomsMatch = rawDetails.match(/(\d+)\s+(?:спальн|bedroom)/i);
-            const bathroomsMatch = rawDetails.match(/(\d+)\s+(?:ванн|bathroom|bath\b)/i);
-            const livingRoomsMatch = rawDetails.match(/(\d+)\s+(?:вітальн|living\s*room)/i);
-            const kitchensMatch = rawDetails.match(/(\d+)\s+(?:кухн|kitchen)/i);
-            const areaMatch = rawDetails.match(/(\d+)\s*m²/i);
-            const bedsCountMatch = rawBeds.match(/^(\d+)/);
-            return {
-              name: cleanName,
-              quantity,
-              bedrooms: bedroomsMatch ? parseInt(bedroomsMatch[1]) : null,
-              bathrooms: bathroomsMatch ? parseInt(bathroomsMatch[1]) : null,
-              livingRooms: livingRoomsMatch ? parseInt(livingRoomsMatch[1]) : null,
-              kitchens: kitchensMatch ? parseInt(kitchensMatch[1]) : null,
-              area: areaMatch ? parseInt(areaMatch[1]) : null,
-              bedsCount: bedsCountMatch ? parseInt(bedsCountMatch[1]) : null,
-              beds: rawBeds || null
-            };
-          };
-
-          return cards.slice(0, maxResults).map(card => {
-            const name = card.querySelector('[data-testid="title"]')?.textContent?.trim() || '';
-            const priceElement = card.querySelector('[data-testid="price-and-discounted-price"]');
-            const price = priceElement?.textContent?.trim() || '';
-            const rating = card.querySelector('[data-testid="review-score"]')?.textContent?.trim() || '';
-            
-            // Enhanced location extraction
-            let location = '';
-            
-            // Strategy 1: Look for "Show on map" pattern - location usually appears right before it
-            const cardText = card.textContent || '';
-            const showOnMapMatch = cardText.match(/([A-Za-zžčćšđŽČĆŠĐ\s,'-]+)Show on map/);
-            if (showOnMapMatch) {
-              // Clean up the location text
-              location = showOnMapMatch[1]
-                .replace(/Opens in new window/g, '')
-                .replace(/Dinner included/g, '')
-                .replace(/Breakfast included/g, '')
-                .replace(name, '') // Remove hotel name
-                .trim();
-            }
-            
-            // Strategy 2: Try specific selectors if Strategy 1 didn't work
-            if (!location || location.length > 50) {
-              const locationSelectors = [
-                '[data-testid="address"]',
-                '[data-testid="location"]',
-                '[data-testid="property-card-subtitle"]'
-              ];
-              
-              for (const selector of locationSelectors) {
-                const element = card.querySelector(selector);
-                if (element) {
-                  const text = element.textContent?.trim();
-                  if (text && text.length < 50 && !text.includes('Scored')) {
-                    location = text;
-                    break;
-                  }
-                }
-              }
-            }
-            
-            // Strategy 3: Extract from URL as last resort
-            if (!location || location.length > 50) {
-              const url = card.querySelector('a')?.href || '';
-              const urlMatch = url.match(/\/hotel\/[a-z]+\/[^\/]+-([a-z-]+)\./);
-              if (urlMatch) {
-                location = urlMatch[1]
-                  .split('-')
-                  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                  .join(' ');
-              }
-            }
-            
-            // Clean up location - remove any remaining artifacts
-            if (location) {
-              location = location
-                .replace(/Opens in new window/g, '')
-                .replace(/Show on map/g, '')
-                .replace(/Scored \d/g, '')
-                .replace(/Hotel|Villas|Resort|Apartments|by/gi, '') // Remove common hotel terms
-                .replace(/\s+/g, ' ') // Normalize spaces
-                .trim();
-              
-              // If too long, keep only first part (before first comma or up to 40 chars)
-              if (location.length > 50) {
-                const commaIndex = location.indexOf(',');
-                if (commaIndex > 0 && commaIndex < 50) {
-                  location = location.substring(0, commaIndex).trim();
-                } else {
-                  location = location.substring(0, 40).trim() + '...';
-                }
-              }
-            }
-            
-            const url = card.querySelector('a')?.href || '';
-            
-            // NEW: Extract property-type indicators from card
-            // Look for property-type badges/tags, class names, or text patterns
-            const propertyTypes = [];
-            
-            // Strategy 1: Look for property-type specific class names or styling
-            const cardHTML = card.outerHTML.toLowerCase();
-            const propertyTypeKeywords = {
-              'ht_beach': ['beach', 'beachfront', 'beach property'],
-              'ht_city': ['city hotel', 'city center', 'downtown'],
-              'ht_resort': ['resort', 'all-inclusive'],
-              'ht_hotel': ['hotel'],
-              'ht_villa': ['villa', 'villas'],
-              'ht_apartment': ['apartment', 'serviced apartment', 'apart'],
-              'ht_hostel': ['hostel', 'budget'],
-              'ht_motel': ['motel'],
-              'ht_campsite': ['camping', 'campsite', 'glamping'],
-              'ht_house': ['house', 'cottage']
-            };
-            
-            // Check keywords in card text and HTML
-            Object.entries(propertyTypeKeywords).forEach(([htType, keywords]) => {
-              const cardTextLower = (card.textContent || '').toLowerCase();
-              const nameAndLocLower = `${name} ${location}`.toLowerCase();
-              
-              // Check if any keyword matches in visible text or description
-              if (keywords.some(keyword => 
-                cardTextLower.includes(keyword) || cardHTML.includes(keyword)
-              )) {
-                propertyTypes.push(htType);
-              }
-            });
-            
-            // Strategy 2: Look for explicit property-type tags/badges
-            const badges = card.querySelectorAll('[class*="badge"], [class*="tag"], [class*="label"]');
-            badges.forEach(badge => {
-              const badgeText = (badge.textContent || '').toLowerCase();
-              Object.entries(propertyTypeKeywords).forEach(([htType, keywords]) => {
-                if (keywords.some(keyword => badgeText.includes(keyword))) {
-                  if (!propertyTypes.includes(htType)) {
-                    propertyTypes.push(htType);
-                  }
-                }
-              });
-            });
-            
-            // Remove duplicates and sort for consistency
-            const uniqueTypes = [...new Set(propertyTypes)].sort();
-
-            // Extract recommended units / rooms from data-testid="recommended-units"
-            // Works for both apartments (h4 headings) and hotel rooms (h3/span headings).
-            const unitsContainer = card.querySelector('[data-testid="recommended-units"]');
-            const units = [];
-
-            if (unitsContainer) {
-              // Strategy 1: heading elements (h3 for hotel rooms, h4 for apartments)
-              const headingEls = Array.from(
-                unitsContainer.querySelectorAll('h3, h4')
-              );
-              headingEls.forEach(heading => {
-                const rawName = heading.textContent?.trim() || '';
-                if (!rawName) return;
-                const parentDiv = heading.parentElement;
-                const configEl = parentDiv?.querySelector('[data-testid="property-card-unit-configuration"]');
-                const rawDetails = configEl?.textContent?.trim() || '';
-                const rawBeds = configEl?.parentElement?.nextElementSibling?.textContent?.trim() || '';
-                const unit = parseUnit(rawName, rawDetails, rawBeds);
-                if (unit.name) units.push(unit);
-              });
-
-              // Strategy 2: if no headings found, locate config elements directly
-              // (some hotel cards show room info without heading tags)
-              if (units.length === 0) {
-                const configEls = Array.from(
-                  unitsContainer.querySelectorAll('[data-testid="property-card-unit-configuration"]')
-                );
-                configEls.forEach(configEl => {
-                  const container = configEl.closest('li') || configEl.closest('div');
-                  // Room name: look for a span with role=heading, or the first bold/span
-                  const nameEl = container?.querySelector(
-                    'span[role="heading"], strong, b, [class*="title"]'
-                  );
-                  const rawName = nameEl?.textContent?.trim() || '';
-                  const rawDetails = configEl?.textContent?.trim() || '';
-                  const rawBeds = configEl?.parentElement?.nextElementSibling?.textContent?.trim() || '';
-                  const unit = parseUnit(rawName || rawDetails, rawDetails, rawBeds);
-                  if (unit.name) units.push(unit);
-                });
-              }
-            }
-
-            return {
-              name,
-              price,
-              rating,
-              location,
-              url,
-              propertyTypes: uniqueTypes || [], // NEW: property types found
-              units,
-              extractedAt: new Date().toISOString()
-            };
-          });
-        },
-        config.scraping.maxResults
+      const registry = getSelectorRegistry();
+      const cardSelector = this.cardSelector || registry.fields.resultCard[0];
+      const cards = await this.page.$$eval(
+        cardSelector,
+        extractCards,
+        { maxResults: config.scraping.maxResults, selectors: registry.fields }
       );
 
-      return hotels.filter(hotel => hotel.name && hotel.price);
+      this.lastExtraction = buildExtractionReport(cards, registry.version);
+      logger.info('Extraction fill rates', this.lastExtraction);
+
+      return cards
+        .map(({ matched, ...hotel }) => ({ ...hotel, scrapedWith: this.session }))
+        .filter(hotel => hotel.name && hotel.price);
     } catch (error) {
       logger.error('Failed to extract hotel data:', error);
       throw error;
@@ -533,9 +532,20 @@ class BookingScraper {
    * Used by the Service Bus worker — criteria come from the search record,
    * not from search-config.json.
    * @param {Object} criteria - Search criteria from the database
+   * @param {Object} options - { inspectExtraction(report) → { drifted } }: when
+   *   the extraction drifted, artifacts are captured before the page closes
    * @returns {Array} Array of hotel objects
    */
-  async scrape(criteria) {
+  async scrape(criteria, options = {}) {
+    let releaseHost = null;
+    this.lastExtraction = null;
+    this.artifacts = null;
+    this.lastChallenge = null;
+
+    if (this.fixture) {
+      return this.scrapeFixture(criteria);
+    }
+
     try {
       // Verify auth state exists before initializing
       const authFile = path.join(__dirname, '../data/auth-state.json');
@@ -544,23 +554,50 @@ class BookingScraper {
         logger.info('✅ Auth state file found, will be used for worker execution');
       } catch {
         logger.warn('⚠️ No auth state file found. Run "npm run save-auth" to save authentication state.');
-        throw new Error('Authentication state file not found. Please run "npm run save-auth" first.');
+        throw new AuthExpiredError('Authentication state file not found. Please run "npm run save-auth" first.');
       }
 
+      const searchUrl = this.buildSearchUrlFromCriteria(criteria);
+
+      // Wait for a free slot on Booking.com before launching a browser
+      releaseHost = await hostLimiter.acquire(searchUrl);
+
       await this.initialize();
 
-      const searchUrl = this.buildSearchUrlFromCriteria(criteria);
       logger.info(`Navigating to: ${searchUrl}`);
 
-      await this.page.goto(searchUrl, { waitUntil: 'networkidle' });
+      try {
+        await this.page.goto(searchUrl, { waitUntil: 'networkidle' });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new ScrapeTimeoutError('Navigation to Booking.com search results timed out', {
+            cause: error,
+            details: { url: searchUrl.substring(0, 200) }
+          });
+        }
+        throw error;
+      }
       await this.page.waitForTimeout(3000);
 
       await this.handleCookieConsent();
+
+      // A challenge page has no result cards: recognise it now instead of
+      // waiting for results to time out
+      const cards = await this.page.$$(getSelectors('resultCard').join(', '));
+      await this.checkForChallenge({ cards: cards.length, target: 'search results' });
+
       await this.waitForResults();
       await this.loadAllResults();
 
       let hotels = await this.extractHotelData();
       logger.info(`Found ${hotels.length} hotels from Booking.com`);
+      await challengeCooldowns.reset(cooldownKey(this.session));
+
+      if (hotels.length === 0) {
+        await this.captureArtifacts('empty_results');
+      } else if (options.inspectExtraction?.(this.lastExtraction)?.drifted) {
+        await this.captureArtifacts('layout_drift');
+      }
 
       // Apply hotel-type filters from criteria only if NOT using a source URL
       if (!criteria.sourceUrl) {
@@ -570,7 +607,207 @@ class BookingScraper {
       return hotels;
     } catch (error) {
       logger.error('Scrape failed:', error);
+      await this.captureArtifacts(error instanceof BotChallengeError ? 'bot_challenge' : 'scrape_failed', error);
       throw error;
+    } finally {
+      await this.close();
+      if (releaseHost) {
+        releaseHost();
+      }
+    }
+  }
+
+  /**
+   * Scrape every stay of criteria.dateWindow (see date-grid.cjs), one after
+   * another. Each hotel is tagged with its `stay` ({ checkIn, checkOut,
+   * nights }) and the stays' fill-rate reports are merged into
+   * lastExtraction. A stay that fails is logged and left out; the grid only
+   * fails when every stay scraped failed. Expired auth or a bot challenge
+   * ends the grid early.
+   * @param {Object} criteria - Search criteria with dateWindow
+   * @param {Object} options - scrape() options, plus
+   *   onStay(stay): awaited after each stay's scrape (artifacts are per stay)
+   *   isCancelled(): true stops the grid before the next stay
+   *   deadline: epoch ms after which no stay starts; the stays left are
+   *   recorded as not scraped
+   * @returns {Promise<Object>} { hotels, stays: [{ checkIn, checkOut, nights, hotels, error }] }
+   */
+  async scrapeDateGrid(criteria, options = {}) {
+    const stays = expandDateWindow(criteria.dateWindow);
+    const delayMs = parseInt(process.env.DATE_GRID_STAY_DELAY_MS || '5000', 10);
+    const reports = [];
+    const results = [];
+    let hotels = [];
+    let lastError = null;
+
+    logger.info('Scraping flexible-date grid', { stays: stays.length, dateWindow: criteria.dateWindow });
+
+    for (const [index, stay] of stays.entries()) {
+      if (options.isCancelled?.()) {
+        break;
+      }
+      if (index > 0 && delayMs > 0 && !this.fixture) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+      if (options.deadline && Date.now() >= options.deadline) {
+        const skipped = stays.slice(index);
+        skipped.forEach(rest => results.push({ ...rest, hotels: 0, error: 'Not scraped: the job ran out of time' }));
+        logger.warn('Flexible-date grid ran out of time, remaining stays not scraped', {
+          scraped: index,
+          skipped: skipped.length
+        });
+        break;
+      }
+
+      try {
+        const stayHotels = await this.scrape(applyStay(criteria, stay), options);
+        reports.push(this.lastExtraction);
+        hotels = hotels.concat(stayHotels.map(hotel => ({ ...hotel, stay })));
+        results.push({ ...stay, hotels: stayHotels.length, error: null });
+      } catch (error) {
+        lastError = error;
+        results.push({ ...stay, hotels: 0, error: `${error.name}: ${error.message}` });
+        logger.warn('Stay of flexible-date grid failed', { ...stay, error: error.message });
+      } finally {
+        await options.onStay?.(stay);
+      }
+
+      // The remaining stays would hit the same wall
+      if (lastError instanceof AuthExpiredError || lastError instanceof BotChallengeError) {
+        break;
+      }
+    }
+
+    if (lastError && results.every(result => result.error)) {
+      throw lastError;
+    }
+
+    this.lastExtraction = mergeExtractionReports(reports);
+    logger.info(`Found ${hotels.length} hotel prices over ${results.length} stays`);
+    return { hotels, stays: results };
+  }
+
+  /**
+   * Second phase: visit property pages and read their room tables and house
+   * rules (see property-extractor.cjs). Pages are visited one by one in a
+   * single context, `delayMs` apart, each holding a host slot only while it
+   * loads. A page that fails is recorded and skipped; a bot challenge ends
+   * the phase with BotChallengeError.
+   * @param {Array} targets - [{ key, url }]
+   * @param {Object} options - { delayMs, isCancelled() }
+   * @returns {Promise<Array>} [{ key, url, rates, policies, latitude, longitude, scrapedWith, error }] (raw, see extractPropertyPage)
+   */
+  async scrapePropertyPages(targets, options = {}) {
+    const results = [];
+    if (targets.length === 0) {
+      return results;
+    }
+    if (this.fixture) {
+      logger.info('Skipping property pages for offline fixture', { pages: targets.length });
+      return results;
+    }
+
+    const delayMs = options.delayMs ?? 3000;
+    const registry = getSelectorRegistry();
+    this.lastChallenge = null;
+
+    try {
+      await this.initialize();
+
+      for (const [index, target] of targets.entries()) {
+        if (options.isCancelled?.()) {
+          break;
+        }
+        if (index > 0 && delayMs > 0) {
+          await this.page.waitForTimeout(delayMs);
+        }
+
+        // Per page, so a long phase does not keep other scrapes of the host waiting
+        const releaseHost = await hostLimiter.acquire(target.url);
+        try {
+          await this.page.goto(target.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+          await this.handleCookieConsent();
+          await this.page.waitForSelector(registry.fields.roomRow.join(', '), { timeout: 10000 }).catch(() => {});
+
+          const details = await this.page.evaluate(extractPropertyPage, { selectors: registry.fields });
+          if (details.rates.length === 0) {
+            await this.checkForChallenge({ target: 'a property page' });
+          }
+          await challengeCooldowns.reset(cooldownKey(this.session));
+
+          results.push({ ...target, ...details, scrapedWith: this.session, error: null });
+          logger.info('Property page extracted', { key: target.key, rates: details.rates.length });
+        } catch (error) {
+          // The remaining pages would hit the same wall
+          if (error instanceof BotChallengeError) {
+            throw error;
+          }
+          results.push({ ...target, rates: [], policies: '', error: `${error.name}: ${error.message}` });
+          logger.warn('Property page failed', { key: target.key, error: error.message });
+        } finally {
+          releaseHost();
+        }
+      }
+    } finally {
+      await this.close();
+    }
+
+    return results;
+  }
+
+  /**
+   * Offline scrape: extract from the pages of this.fixture instead of
+   * Booking.com. Hotels on several pages are kept once (by name) and the
+   * pages' fill-rate reports are merged into lastExtraction.
+   * @param {Object} criteria - Search criteria (hotel-type filters apply as usual)
+   * @returns {Array} Array of hotel objects
+   */
+  async scrapeFixture(criteria = {}) {
+    const fixtures = await loadFixtures(this.fixture);
+    logger.info('Scraping offline fixture', { fixture: this.fixture, pages: fixtures.length });
+
+    const seen = new Set();
+    const reports = [];
+    let hotels = [];
+
+    for (const fixture of fixtures) {
+      const result = await this.extractFixture(fixture);
+      reports.push(result.extraction);
+      result.hotels.forEach(hotel => {
+        if (!seen.has(hotel.name)) {
+          seen.add(hotel.name);
+          hotels.push(hotel);
+        }
+      });
+    }
+
+    this.lastExtraction = mergeExtractionReports(reports);
+    logger.info(`Found ${hotels.length} hotels in ${fixtures.length} fixture page(s)`);
+
+    if (!criteria.sourceUrl) {
+      hotels = this.filterHotelsByType(hotels, criteria);
+    }
+    return hotels;
+  }
+
+  /**
+   * Run the extraction on one saved page (see fixture-loader.cjs)
+   * @param {Object} fixture - { name, url, html }
+   * @returns {Promise<Object>} { hotels, extraction }
+   */
+  async extractFixture(fixture) {
+    try {
+      await this.initialize({ javaScriptEnabled: false });
+      await openFixturePage(this.page, fixture);
+      this.cardSelector = await this.resolveSelector('resultCard');
+
+      const hotels = await this.extractHotelData();
+      if (this.lastExtraction.cards === 0) {
+        // Saved challenge pages fail like live ones, without a cool-down
+        await this.checkForChallenge({ offline: true, target: 'search results' });
+      }
+      logger.info('Fixture extracted', { fixture: fixture.name, hotels: hotels.length, cards: this.lastExtraction.cards });
+      return { hotels, extraction: this.lastExtraction };
     } finally {
       await this.close();
     }
@@ -602,12 +839,86 @@ class BookingScraper {
     return BookingURLParser.buildURL(criteria);
   }
 
+  /**
+   * Keep a full-page screenshot, the page HTML and (with ARTIFACTS_TRACE)
+   * the Playwright trace of the current page in this.artifacts. Never throws:
+   * whatever can still be captured is kept.
+   * @param {string} reason - scrape_failed | empty_results | layout_drift
+   * @param {Error} error - Error that failed the scrape, if any
+   */
+  async captureArtifacts(reason, error = null) {
+    if (!this.captureEnabled || !this.page || this.page.isClosed()) {
+      return;
+    }
+
+    const files = [];
+    const capture = {
+      reason,
+      url: this.page.url(),
+      capturedAt: new Date().toISOString(),
+      error: error ? `${error.name}: ${error.message}` : null,
+      files
+    };
+
+    try {
+      const screenshot = await this.page.screenshot({ fullPage: true, timeout: 15000 });
+      files.push({ name: 'screenshot.png', contentType: 'image/png', body: screenshot });
+    } catch (captureError) {
+      logger.warn('Failed to capture screenshot', { reason, error: captureError.message });
+    }
+
+    try {
+      files.push({ name: 'page.html', contentType: 'text/html; charset=utf-8', body: await this.page.content() });
+    } catch (captureError) {
+      logger.warn('Failed to capture page HTML', { reason, error: captureError.message });
+    }
+
+    if (this.tracing) {
+      this.tracing = false;
+      const tracePath = path.join(os.tmpdir(), `scrape-trace-${process.pid}-${Date.now()}.zip`);
+      try {
+        await this.context.tracing.stop({ path: tracePath });
+        files.push({ name: 'trace.zip', contentType: 'application/zip', body: await fs.readFile(tracePath) });
+      } catch (captureError) {
+        logger.warn('Failed to capture trace', { reason, error: captureError.message });
+      } finally {
+        await fs.unlink(tracePath).catch(() => {});
+      }
+    }
+
+    if (files.length > 0) {
+      this.artifacts = capture;
+      logger.info('Scrape artifacts captured', { reason, files: files.map(file => file.name) });
+    }
+  }
+
+  /**
+   * Close this scraper's context and give its browser back to the pool.
+   * Safe to call more than once, and while a scrape is running (aborts it).
+   */
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-      logger.info('Browser closed');
+    const release = this.releaseContext;
+    const context = this.context;
+    const tracing = this.tracing;
+    this.releaseContext = null;
+    this.context = null;
+    this.page = null;
+    this.tracing = false;
+
+    if (tracing) {
+      // Nothing failed: discard the trace
+      await context.tracing.stop().catch(() => {});
+    }
+
+    if (release) {
+      await release();
+      logger.info('Browser context closed');
     }
   }
 }
 
+BookingScraper.hostLimiter = hostLimiter;
+BookingScraper.browserPool = browserPool;
+BookingScraper.challengeCooldowns = challengeCooldowns;
+
 module.exports = BookingScraper;
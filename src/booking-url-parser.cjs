@@ -1,4 +1,6 @@
 const logger = require('./logger.cjs');
+const { validateDateWindow } = require('./date-grid.cjs');
+const { validatePointOfInterest } = require('./geo.cjs');
 
 /**
  * Booking.com URL Parser
@@ -362,12 +364,20 @@ class BookingURLParser {
     if (!criteria.destination) {
       errors.push('destination is required');
     }
-    if (!criteria.checkIn) {
+    // A date window sets the dates of each scrape (see date-grid.cjs)
+    if (!criteria.checkIn && !criteria.dateWindow) {
       errors.push('checkIn date is required');
     }
-    if (!criteria.checkOut) {
+    if (!criteria.checkOut && !criteria.dateWindow) {
       errors.push('checkOut date is required');
     }
+    if (criteria.dateWindow) {
+      errors.push(...validateDateWindow(criteria.dateWindow));
+    }
+    // Hotels get their distance to it (see geo.cjs)
+    if (criteria.pointOfInterest) {
+      errors.push(...validatePointOfInterest(criteria.pointOfInterest));
+    }
 
     // Date validation
     if (criteria.checkIn && criteria.checkOut) {
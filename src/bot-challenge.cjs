@@ -0,0 +1,224 @@
+const logger = require('./logger.cjs');
+
+/**
+ * Bot Challenges
+ * Booking.com answers traffic it distrusts with a page in place of the
+ * results: a captcha, a JavaScript challenge interstitial, an "unusual
+ * traffic" block or a consent wall. `detectChallenge` recognises them from
+ * the page's URL, title and HTML only, so the same check runs on a live page
+ * and on a saved one: a fixture, or the page.html of a failure artifact.
+ * scripts/extract-fixtures.cjs expects saved challenge pages to be
+ * recognised, with the kind recorded in their expected output.
+ *
+ * After a challenge the identity that triggered it cools down: the proxy
+ * when the scrape went through one, else the scraping profile. While it
+ * cools down nothing scrapes with it. Each further challenge doubles the
+ * cool-down, up to SCRAPER_CHALLENGE_COOLDOWN_MAX_MS; a clean scrape resets it.
+ * The worker keeps cool-downs in storage, so every worker process honours
+ * them (see services/challenge-cooldown.service.js).
+ */
+
+const DEFAULT_COOLDOWN_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Checked in order; the first rule with a matching url, title, html
+ * (markup) or text (visible text) pattern wins
+ */
+const CHALLENGE_RULES = [
+  {
+    kind: 'captcha',
+    url: /captcha/i,
+    title: /captcha/i,
+    html: /<[^>]+(?:class|id)=["'][^"']*\b(?:g-recaptcha|h-captcha|px-captcha|captcha-container|amzn-captcha-verify-button)\b/i
+  },
+  {
+    kind: 'js_challenge',
+    url: /[/?&]challenge\b|__cf_chl_/i,
+    html: /awsWafCookieDomainList|gokuProps|window\._cf_chl_opt|id=["']challenge-(?:form|container|running)["']/i
+  },
+  {
+    kind: 'unusual_traffic',
+    title: /access denied|are you (?:a )?human|\brobot\b/i,
+    text: /unusual traffic|automated (?:queries|requests|traffic)|verify (?:that )?you(?:'re| are) (?:not a robot|a human|human)|are you (?:a )?human\b|access (?:to this page )?(?:has been )?denied/i
+  },
+  {
+    kind: 'consent_wall',
+    url: /\/\/consent\./i,
+    text: /before you continue to booking\.com|(?:accept|consent to) (?:all )?cookies (?:to|before you) continue|you need to (?:accept|consent) (?:to )?(?:our )?cookies/i
+  }
+];
+
+// Challenge pages are short; this is plenty to classify them
+const MAX_TEXT_LENGTH = 20000;
+
+/**
+ * Visible text of an HTML document, whitespace collapsed
+ */
+function visibleText(html) {
+  return (html || '')
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&rsquo;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Classify a page as a bot challenge
+ * @param {Object} page - { url, title, html, cards }: `cards` is the number
+ *   of result cards (or room rows) found; a page with any is never a challenge
+ * @returns {Object|null} { kind: captcha | js_challenge | unusual_traffic | consent_wall, signal }
+ */
+function detectChallenge({ url = '', title = null, html = '', cards = 0 } = {}) {
+  if (cards > 0) {
+    return null;
+  }
+
+  const sources = {
+    url,
+    title: title ?? ((html || '').match(/<title[^>]*>([^<]*)<\/title>/i)?.[1] || '').trim(),
+    html,
+    text: null
+  };
+
+  for (const rule of CHALLENGE_RULES) {
+    for (const source of ['url', 'title', 'html', 'text']) {
+      if (!rule[source]) continue;
+      if (source === 'text' && sources.text === null) {
+        sources.text = visibleText(html);
+      }
+      const match = (sources[source] || '').match(rule[source]);
+      if (match) {
+        return { kind: rule.kind, signal: `${source}: ${match[0].slice(0, 80)}` };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Cool-downs per identity key (`profile:<name>` or `proxy:<host>`).
+ * Without a store they live in this process only. With one (see useStore)
+ * every worker shares them, and the entries read last are kept for
+ * getStatus. A store that fails is logged and the process's own entries
+ * are used, so a storage outage never stops scraping.
+ *
+ * A store has three async methods, entries being { kind, strikes, until }:
+ *   read(key) → entry or null
+ *   update(key, next(entry or null) → entry) → the entry saved
+ *   delete(key, isStale(entry) → boolean) - removes it only if isStale
+ */
+class ChallengeCooldowns {
+  /**
+   * @param {Object} options - { baseMs, maxMs, store }
+   */
+  constructor(options = {}) {
+    this.baseMs = options.baseMs ?? DEFAULT_COOLDOWN_MS;
+    this.maxMs = Math.max(this.baseMs, options.maxMs ?? DEFAULT_MAX_COOLDOWN_MS);
+    this.store = options.store || null;
+    // key → { kind, strikes, until }
+    this.entries = new Map();
+  }
+
+  /**
+   * Share cool-downs through a store, e.g. services/challenge-cooldown.service.js
+   * @param {Object|null} store
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Start (or extend) the cool-down of a key after a challenge
+   * @returns {Promise<Object>} { kind, strikes, until } - until is epoch ms
+   */
+  async record(key, kind) {
+    const next = current => {
+      const strikes = (current?.strikes || 0) + 1;
+      const duration = Math.min(this.maxMs, this.baseMs * 2 ** (strikes - 1));
+      return { kind, strikes, until: Date.now() + duration };
+    };
+
+    const entry = await this.withStore(
+      store => store.update(key, next),
+      () => next(this.entries.get(key))
+    );
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Milliseconds until the key may scrape again, 0 when it may now
+   */
+  async remainingMs(key) {
+    const entry = await this.withStore(
+      store => store.read(key),
+      () => this.entries.get(key) || null
+    );
+    if (entry) {
+      this.entries.set(key, entry);
+    } else {
+      this.entries.delete(key);
+    }
+    return entry ? Math.max(0, entry.until - Date.now()) : 0;
+  }
+
+  /**
+   * A scrape with the key got through: the next challenge starts over
+   */
+  async reset(key) {
+    const isStale = entry => entry.until <= Date.now();
+    await this.withStore(store => store.delete(key, isStale), () => {});
+    if (this.entries.has(key) && isStale(this.entries.get(key))) {
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Keys cooling down now, as last read or recorded by this process, for
+   * the worker status
+   */
+  getStatus() {
+    const status = {};
+    this.entries.forEach((entry, key) => {
+      if (entry.until > Date.now()) {
+        status[key] = { kind: entry.kind, strikes: entry.strikes, until: new Date(entry.until).toISOString() };
+      }
+    });
+    return status;
+  }
+
+  async withStore(operation, fallback) {
+    if (!this.store) {
+      return fallback();
+    }
+    try {
+      return await operation(this.store);
+    } catch (error) {
+      logger.warn('Challenge cool-down store failed, using this process\'s cool-downs', { error: error.message });
+      return fallback();
+    }
+  }
+}
+
+/**
+ * Cool-downs configured from SCRAPER_CHALLENGE_COOLDOWN_MS and
+ * SCRAPER_CHALLENGE_COOLDOWN_MAX_MS
+ */
+function createChallengeCooldowns() {
+  return new ChallengeCooldowns({
+    baseMs: parseInt(process.env.SCRAPER_CHALLENGE_COOLDOWN_MS || String(DEFAULT_COOLDOWN_MS), 10),
+    maxMs: parseInt(process.env.SCRAPER_CHALLENGE_COOLDOWN_MAX_MS || String(DEFAULT_MAX_COOLDOWN_MS), 10)
+  });
+}
+
+module.exports = {
+  CHALLENGE_RULES,
+  detectChallenge,
+  ChallengeCooldowns,
+  createChallengeCooldowns
+};
@@ -0,0 +1,239 @@
+const { chromium } = require('playwright');
+const logger = require('./logger.cjs');
+const metrics = require('./metrics.cjs');
+const { Semaphore } = require('./concurrency.cjs');
+
+/**
+ * Browser Pool
+ * Keeps launched Chromium browsers warm between scrapes. Each scrape gets a
+ * fresh browser context (own cookies, storage and pages) on a browser that
+ * nobody else is using, and the context is closed when the scrape ends.
+ *
+ * A browser is recycled (closed and relaunched on demand) after
+ * maxUsesPerBrowser contexts, when it has been idle for idleTimeoutMs, or
+ * when it crashes or disconnects. With keepWarm=false every browser is
+ * closed right after its scrape, like launching per scrape.
+ */
+class BrowserPool {
+  /**
+   * @param {Object} options - { size, maxUsesPerBrowser, idleTimeoutMs, keepWarm, launchOptions }
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || 2);
+    this.maxUsesPerBrowser = Math.max(1, options.maxUsesPerBrowser || 20);
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 5 * 60 * 1000;
+    this.keepWarm = options.keepWarm !== false;
+    this.launchOptions = options.launchOptions || { headless: true };
+    this.slots = new Semaphore(this.size);
+    this.browsers = new Set();
+    this.nextId = 1;
+    this.closing = false;
+    this.stats = { launched: 0, recycled: 0, crashed: 0, launchFailures: 0 };
+  }
+
+  /**
+   * Get an isolated context on a browser reserved for the caller
+   * @param {Object} contextOptions - Playwright newContext options (storageState, viewport, ...)
+   * @returns {Promise<Object>} { context, release } - call release() once when done
+   */
+  async acquireContext(contextOptions = {}) {
+    if (this.closing) {
+      throw new Error('Browser pool is closed');
+    }
+
+    const releaseSlot = await this.slots.acquire();
+    let entry;
+
+    try {
+      entry = this.takeIdleBrowser() || await this.launch();
+      entry.inUse = true;
+      entry.uses += 1;
+      entry.lastUsedAt = Date.now();
+      this.clearIdleTimer(entry);
+
+      const context = await entry.browser.newContext(contextOptions);
+      let released = false;
+
+      return {
+        context,
+        release: async () => {
+          if (released) return;
+          released = true;
+          try {
+            await context.close();
+          } catch {
+            // Context is gone with a crashed or closed browser
+          }
+          await this.releaseBrowser(entry);
+          releaseSlot();
+        }
+      };
+    } catch (error) {
+      if (entry) {
+        await this.releaseBrowser(entry);
+      }
+      releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * A warm, connected browser nobody is using
+   */
+  takeIdleBrowser() {
+    for (const entry of this.browsers) {
+      if (!entry.inUse && entry.browser.isConnected()) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  async launch() {
+    let browser;
+    try {
+      browser = await chromium.launch(this.launchOptions);
+    } catch (error) {
+      this.stats.launchFailures += 1;
+      metrics.browserPoolEvents.inc({ event: 'launch_failed' });
+      throw error;
+    }
+
+    const entry = {
+      id: this.nextId++,
+      browser,
+      uses: 0,
+      inUse: false,
+      launchedAt: Date.now(),
+      lastUsedAt: null,
+      closing: false,
+      idleTimer: null
+    };
+
+    browser.on('disconnected', () => {
+      if (!entry.closing) {
+        this.stats.crashed += 1;
+        metrics.browserPoolEvents.inc({ event: 'crashed' });
+        logger.warn('Pooled browser disconnected unexpectedly', { browserId: entry.id, uses: entry.uses });
+      }
+      this.clearIdleTimer(entry);
+      this.browsers.delete(entry);
+    });
+
+    this.browsers.add(entry);
+    this.stats.launched += 1;
+    metrics.browserPoolEvents.inc({ event: 'launched' });
+    logger.info('Browser launched for pool', { browserId: entry.id, poolSize: this.browsers.size });
+    return entry;
+  }
+
+  /**
+   * Return a browser to the pool, or recycle it
+   */
+  async releaseBrowser(entry) {
+    entry.inUse = false;
+
+    if (!entry.browser.isConnected()) {
+      this.browsers.delete(entry);
+      return;
+    }
+
+    if (this.closing || !this.keepWarm) {
+      await this.closeBrowser(entry);
+      return;
+    }
+
+    if (entry.uses >= this.maxUsesPerBrowser) {
+      this.stats.recycled += 1;
+      metrics.browserPoolEvents.inc({ event: 'recycled' });
+      logger.info('Recycling pooled browser', { browserId: entry.id, uses: entry.uses });
+      await this.closeBrowser(entry);
+      return;
+    }
+
+    if (this.idleTimeoutMs > 0) {
+      entry.idleTimer = setTimeout(() => {
+        if (!entry.inUse) {
+          logger.info('Closing idle pooled browser', { browserId: entry.id });
+          this.closeBrowser(entry);
+        }
+      }, this.idleTimeoutMs);
+      // An idle browser must not keep the process alive
+      entry.idleTimer.unref();
+    }
+  }
+
+  clearIdleTimer(entry) {
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+  }
+
+  async closeBrowser(entry) {
+    entry.closing = true;
+    this.clearIdleTimer(entry);
+    this.browsers.delete(entry);
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      logger.warn('Failed to close pooled browser', { browserId: entry.id, error: error.message });
+    }
+  }
+
+  /**
+   * Pool state for the worker status and metrics
+   */
+  getStatus() {
+    const browsers = [...this.browsers].map(entry => ({
+      id: entry.id,
+      inUse: entry.inUse,
+      uses: entry.uses,
+      connected: entry.browser.isConnected(),
+      launchedAt: new Date(entry.launchedAt).toISOString(),
+      lastUsedAt: entry.lastUsedAt ? new Date(entry.lastUsedAt).toISOString() : null
+    }));
+
+    return {
+      size: this.size,
+      maxUsesPerBrowser: this.maxUsesPerBrowser,
+      keepWarm: this.keepWarm,
+      inUse: browsers.filter(browser => browser.inUse).length,
+      idle: browsers.filter(browser => !browser.inUse).length,
+      waiting: this.slots.pending,
+      ...this.stats,
+      browsers
+    };
+  }
+
+  /**
+   * Close every browser; contexts still open are closed with them
+   */
+  async close() {
+    this.closing = true;
+    await Promise.all([...this.browsers].map(entry => this.closeBrowser(entry)));
+    if (this.stats.launched > 0) {
+      logger.info('Browser pool closed', { launched: this.stats.launched });
+    }
+    this.closing = false;
+  }
+}
+
+/**
+ * Create a pool from BROWSER_POOL_* environment variables
+ * @param {Object} launchOptions - chromium.launch options
+ */
+function createBrowserPool(launchOptions) {
+  return new BrowserPool({
+    size: parseInt(process.env.BROWSER_POOL_SIZE || '2', 10),
+    maxUsesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_USES || '20', 10),
+    idleTimeoutMs: parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT_MS || '300000', 10),
+    keepWarm: process.env.BROWSER_POOL_ENABLED !== 'false',
+    launchOptions
+  });
+}
+
+module.exports = {
+  BrowserPool,
+  createBrowserPool
+};
@@ -0,0 +1,299 @@
+/**
+ * Result Card Extractor
+ * Turns Booking.com search result cards into hotel objects. Runs inside the
+ * page (`page.$$eval(cardSelector, extractCards, { maxResults, selectors })`),
+ * for live scrapes and for offline fixtures alike, so it must stay
+ * self-contained: plain DOM APIs only, no imports or outer variables.
+ *
+ * Each hotel carries `matched` ({ field: index of the selector that matched
+ * in the registry list }) for the layout drift report.
+ *
+ * @param {Element[]} cards - Result card elements
+ * @param {Object} options - { maxResults, selectors } (selectors: registry fields)
+ * @returns {Object[]} Hotels, unfiltered
+ */
+function extractCards(cards, { maxResults, selectors }) {
+  // First element matching a field's selectors, in registry order.
+  // `matched` records which fallback was used, for the drift report.
+  const pick = (root, field, matched) => {
+    const list = selectors[field] || [];
+    for (let index = 0; index < list.length; index++) {
+      const element = root.querySelector(list[index]);
+      if (element) {
+        if (matched) matched[field] = index;
+        return element;
+      }
+    }
+    return null;
+  };
+
+  // Inline unit parser — pure JS only (no require/imports inside the page context)
+  const parseUnit = (rawName, rawDetails, rawBeds) => {
+    const quantityMatch = rawName.match(/^(\d+)×\s*/);
+    const quantity = quantityMatch ? parseInt(quantityMatch[1]) : 1;
+    const cleanName = rawName.replace(/^\d+×\s*/, '').trim();
+    const bedroomsMatch = rawDetails.match(/(\d+)\s+(?:спальн|bedroom)/i);
+    const bathroomsMatch = rawDetails.match(/(\d+)\s+(?:ванн|bathroom|bath\b)/i);
+    const livingRoomsMatch = rawDetails.match(/(\d+)\s+(?:вітальн|living\s*room)/i);
+    const kitchensMatch = rawDetails.match(/(\d+)\s+(?:кухн|kitchen)/i);
+    const areaMatch = rawDetails.match(/(\d+)\s*m²/i);
+    const bedsCountMatch = rawBeds.match(/^(\d+)/);
+    return {
+      name: cleanName,
+      quantity,
+      bedrooms: bedroomsMatch ? parseInt(bedroomsMatch[1]) : null,
+      bathrooms: bathroomsMatch ? parseInt(bathroomsMatch[1]) : null,
+      livingRooms: livingRoomsMatch ? parseInt(livingRoomsMatch[1]) : null,
+      kitchens: kitchensMatch ? parseInt(kitchensMatch[1]) : null,
+      area: areaMatch ? parseInt(areaMatch[1]) : null,
+      bedsCount: bedsCountMatch ? parseInt(bedsCountMatch[1]) : null,
+      beds: rawBeds || null
+    };
+  };
+
+  return cards.slice(0, maxResults).map(card => {
+    const matched = {};
+    const name = pick(card, 'title', matched)?.textContent?.trim() || '';
+    const priceElement = pick(card, 'price', matched);
+    const price = priceElement?.textContent?.trim() || '';
+
+    // Strike-through amount: inside the price element on discounted cards,
+    // so the discounted amount is the price text without it
+    const originalElement = pick(card, 'originalPrice');
+    const originalPrice = originalElement?.textContent?.trim() || '';
+    const discountedPrice = originalElement && priceElement?.contains(originalElement)
+      ? price.replace(originalPrice, '').trim()
+      : '';
+    const badgeTexts = (selectors.dealBadge || [])
+      .flatMap(selector => Array.from(card.querySelectorAll(selector)))
+      .map(element => element.textContent?.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    const priceComponents = {
+      originalPrice,
+      discountedPrice,
+      taxes: pick(card, 'taxesAndCharges')?.textContent?.trim() || '',
+      badges: [...new Set(badgeTexts)]
+    };
+    const rating = pick(card, 'rating', matched)?.textContent?.trim() || '';
+    const reviewsMatch = rating.match(/([\d.,]+)\s+reviews?/i);
+
+    // Stars, squares or circles: one child per star, or a label like "4 out of 5"
+    const starsElement = pick(card, 'stars');
+    const starsLabel = starsElement?.getAttribute('aria-label')?.match(/(\d)/);
+    const stars = starsLabel
+      ? parseInt(starsLabel[1])
+      : (starsElement?.children.length || null);
+
+    // "2.3 km from centre", "350 m from beach", "Beachfront"
+    const distanceText = pick(card, 'distance')?.textContent?.trim() || '';
+    const distanceMatch = distanceText.match(/([\d.,]+)\s*(km|mi|m)\b/i);
+    const distanceUnits = { km: 1, mi: 1.609, m: 0.001 };
+    const distanceUnit = distanceMatch?.[2].toLowerCase();
+    // Metres have no decimals, so "1,200 m" is 1200; "1,5 km" is 1.5
+    const distanceValue = distanceMatch
+      ? parseFloat(distanceUnit === 'm' ? distanceMatch[1].replace(/[.,]/g, '') : distanceMatch[1].replace(',', '.'))
+      : null;
+    const distanceKm = distanceMatch
+      ? Math.round(distanceValue * distanceUnits[distanceUnit] * 100) / 100
+      : (/beachfront/i.test(distanceText) ? 0 : null);
+    const distanceFrom = /beach/i.test(distanceText)
+      ? 'beach'
+      : (/cent(?:re|er)|downtown/i.test(distanceText) ? 'centre' : null);
+
+    // Map link: data-coords is "lng,lat", data-atlas-latlng and data-latlng "lat,lng"
+    const coordinatesElement = pick(card, 'coordinates');
+    const latLng = (coordinatesElement?.getAttribute('data-atlas-latlng') || coordinatesElement?.getAttribute('data-latlng') || '')
+      .split(',').map(parseFloat);
+    const lngLat = (coordinatesElement?.getAttribute('data-coords') || '').split(',').map(parseFloat);
+    const coordinates = latLng.length === 2 && latLng.every(Number.isFinite)
+      ? { latitude: latLng[0], longitude: latLng[1] }
+      : (lngLat.length === 2 && lngLat.every(Number.isFinite) ? { latitude: lngLat[1], longitude: lngLat[0] } : null);
+
+    // Booking terms and scarcity, as shown anywhere on the card
+    const offerText = card.textContent || '';
+    const roomsLeftMatch = offerText.match(/only (\d+) (?:rooms? |units? )?left/i);
+    
+    // Enhanced location extraction
+    let location = '';
+    
+    // Strategy 1: Look for "Show on map" pattern - location usually appears right before it
+    const cardText = card.textContent || '';
+    const showOnMapMatch = cardText.match(/([A-Za-zžčćšđŽČĆŠĐ\s,'-]+)Show on map/);
+    if (showOnMapMatch) {
+      // Clean up the location text
+      location = showOnMapMatch[1]
+        .replace(/Opens in new window/g, '')
+        .replace(/Dinner included/g, '')
+        .replace(/Breakfast included/g, '')
+        .replace(name, '') // Remove hotel name
+        .trim();
+    }
+    
+    // Strategy 2: Try specific selectors if Strategy 1 didn't work
+    if (!location || location.length > 50) {
+      for (const selector of selectors.address) {
+        const element = card.querySelector(selector);
+        if (element) {
+          const text = element.textContent?.trim();
+          if (text && text.length < 50 && !text.includes('Scored')) {
+            location = text;
+            break;
+          }
+        }
+      }
+    }
+    
+    // Strategy 3: Extract from URL as last resort
+    if (!location || location.length > 50) {
+      const url = pick(card, 'link')?.href || '';
+      const urlMatch = url.match(/\/hotel\/[a-z]+\/[^\/]+-([a-z-]+)\./);
+      if (urlMatch) {
+        location = urlMatch[1]
+          .split('-')
+          .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+          .join(' ');
+      }
+    }
+    
+    // Clean up location - remove any remaining artifacts
+    if (location) {
+      location = location
+        .replace(/Opens in new window/g, '')
+        .replace(/Show on map/g, '')
+        .replace(/Scored \d/g, '')
+        .replace(/Hotel|Villas|Resort|Apartments|by/gi, '') // Remove common hotel terms
+        .replace(/\s+/g, ' ') // Normalize spaces
+        .trim();
+      
+      // If too long, keep only first part (before first comma or up to 40 chars)
+      if (location.length > 50) {
+        const commaIndex = location.indexOf(',');
+        if (commaIndex > 0 && commaIndex < 50) {
+          location = location.substring(0, commaIndex).trim();
+        } else {
+          location = location.substring(0, 40).trim() + '...';
+        }
+      }
+    }
+    
+    const url = pick(card, 'link', matched)?.href || '';
+    
+    // NEW: Extract property-type indicators from card
+    // Look for property-type badges/tags, class names, or text patterns
+    const propertyTypes = [];
+    
+    // Strategy 1: Look for property-type specific class names or styling
+    const cardHTML = card.outerHTML.toLowerCase();
+    const propertyTypeKeywords = {
+      'ht_beach': ['beach', 'beachfront', 'beach property'],
+      'ht_city': ['city hotel', 'city center', 'downtown'],
+      'ht_resort': ['resort', 'all-inclusive'],
+      'ht_hotel': ['hotel'],
+      'ht_villa': ['villa', 'villas'],
+      'ht_apartment': ['apartment', 'serviced apartment', 'apart'],
+      'ht_hostel': ['hostel', 'budget'],
+      'ht_motel': ['motel'],
+      'ht_campsite': ['camping', 'campsite', 'glamping'],
+      'ht_house': ['house', 'cottage']
+    };
+    
+    // Check keywords in card text and HTML
+    Object.entries(propertyTypeKeywords).forEach(([htType, keywords]) => {
+      const cardTextLower = (card.textContent || '').toLowerCase();
+      const nameAndLocLower = `${name} ${location}`.toLowerCase();
+      
+      // Check if any keyword matches in visible text or description
+      if (keywords.some(keyword => 
+        cardTextLower.includes(keyword) || cardHTML.includes(keyword)
+      )) {
+        propertyTypes.push(htType);
+      }
+    });
+    
+    // Strategy 2: Look for explicit property-type tags/badges
+    const badges = card.querySelectorAll('[class*="badge"], [class*="tag"], [class*="label"]');
+    badges.forEach(badge => {
+      const badgeText = (badge.textContent || '').toLowerCase();
+      Object.entries(propertyTypeKeywords).forEach(([htType, keywords]) => {
+        if (keywords.some(keyword => badgeText.includes(keyword))) {
+          if (!propertyTypes.includes(htType)) {
+            propertyTypes.push(htType);
+          }
+        }
+      });
+    });
+    
+    // Remove duplicates and sort for consistency
+    const uniqueTypes = [...new Set(propertyTypes)].sort();
+
+    // Extract recommended units / rooms from data-testid="recommended-units"
+    // Works for both apartments (h4 headings) and hotel rooms (h3/span headings).
+    const unitsContainer = pick(card, 'recommendedUnits', matched);
+    const units = [];
+
+    if (unitsContainer) {
+      // Strategy 1: heading elements (h3 for hotel rooms, h4 for apartments)
+      const headingEls = Array.from(
+        unitsContainer.querySelectorAll('h3, h4')
+      );
+      headingEls.forEach(heading => {
+        const rawName = heading.textContent?.trim() || '';
+        if (!rawName) return;
+        const parentDiv = heading.parentElement;
+        const configEl = parentDiv ? pick(parentDiv, 'unitConfiguration') : null;
+        const rawDetails = configEl?.textContent?.trim() || '';
+        const rawBeds = configEl?.parentElement?.nextElementSibling?.textContent?.trim() || '';
+        const unit = parseUnit(rawName, rawDetails, rawBeds);
+        if (unit.name) units.push(unit);
+      });
+
+      // Strategy 2: if no headings found, locate config elements directly
+      // (some hotel cards show room info without heading tags)
+      if (units.length === 0) {
+        const configEls = Array.from(
+          unitsContainer.querySelectorAll(selectors.unitConfiguration.join(', '))
+        );
+        configEls.forEach(configEl => {
+          const container = configEl.closest('li') || configEl.closest('div');
+          // Room name: look for a span with role=heading, or the first bold/span
+          const nameEl = container?.querySelector(
+            'span[role="heading"], strong, b, [class*="title"]'
+          );
+          const rawName = nameEl?.textContent?.trim() || '';
+          const rawDetails = configEl?.textContent?.trim() || '';
+          const rawBeds = configEl?.parentElement?.nextElementSibling?.textContent?.trim() || '';
+          const unit = parseUnit(rawName || rawDetails, rawDetails, rawBeds);
+          if (unit.name) units.push(unit);
+        });
+      }
+    }
+
+    return {
+      name,
+      price,
+      priceComponents,
+      rating,
+      reviewCount: reviewsMatch ? parseInt(reviewsMatch[1].replace(/[.,]/g, '')) : null,
+      stars,
+      location,
+      distanceText,
+      distanceKm,
+      distanceFrom,
+      latitude: coordinates?.latitude ?? null,
+      longitude: coordinates?.longitude ?? null,
+      freeCancellation: /free cancell?ation/i.test(offerText),
+      noPrepayment: /no prepayment/i.test(offerText),
+      breakfastIncluded: /breakfast included/i.test(offerText),
+      roomsLeft: roomsLeftMatch ? parseInt(roomsLeftMatch[1]) : null,
+      url,
+      propertyTypes: uniqueTypes || [], // NEW: property types found
+      units,
+      extractedAt: new Date().toISOString(),
+      matched
+    };
+  });
+}
+
+module.exports = {
+  extractCards
+};
@@ -0,0 +1,114 @@
+/**
+ * Concurrency primitives shared by the worker and the scraper
+ */
+
+/**
+ * Counting semaphore with a FIFO wait queue
+ */
+class Semaphore {
+  /**
+   * @param {number} limit - Maximum number of concurrent holders
+   */
+  constructor(limit) {
+    this.limit = Math.max(1, limit || 1);
+    this.active = 0;
+    this.waiters = [];
+  }
+
+  /**
+   * Wait for a slot
+   * @returns {Promise<Function>} release - call exactly once when done
+   */
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active += 1;
+      return this.createRelease();
+    }
+
+    await new Promise(resolve => this.waiters.push(resolve));
+    return this.createRelease();
+  }
+
+  createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = this.waiters.shift();
+      if (next) {
+        // Hand the slot straight to the next waiter; active count is unchanged
+        next();
+      } else {
+        this.active -= 1;
+      }
+    };
+  }
+
+  /**
+   * Run a function while holding a slot
+   * @param {Function} fn - Async function
+   */
+  async run(fn) {
+    const release = await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  get pending() {
+    return this.waiters.length;
+  }
+}
+
+/**
+ * Per-host concurrency cap: one semaphore per hostname
+ */
+class HostLimiter {
+  /**
+   * @param {number} limitPerHost
+   */
+  constructor(limitPerHost) {
+    this.limitPerHost = Math.max(1, limitPerHost || 1);
+    this.hosts = new Map();
+  }
+
+  /**
+   * Wait for a slot on the host of `url`
+   * @param {string} url - Full URL or bare hostname
+   * @returns {Promise<Function>} release
+   */
+  async acquire(url) {
+    const host = HostLimiter.getHost(url);
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, new Semaphore(this.limitPerHost));
+    }
+    return this.hosts.get(host).acquire();
+  }
+
+  /**
+   * Snapshot of active / waiting holders per host
+   */
+  getStatus() {
+    const status = {};
+    this.hosts.forEach((semaphore, host) => {
+      status[host] = { active: semaphore.active, waiting: semaphore.pending, limit: semaphore.limit };
+    });
+    return status;
+  }
+
+  static getHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return String(url || 'unknown');
+    }
+  }
+}
+
+module.exports = {
+  Semaphore,
+  HostLimiter
+};
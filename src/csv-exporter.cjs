@@ -4,6 +4,35 @@ const fs = require('fs');
 const logger = require('./logger.cjs');
 const moment = require('moment');
 
+// Column order of exported files. appendToCSV starts a new file when an
+// existing one has other columns.
+const CSV_HEADER = [
+  { id: 'name', title: 'Hotel Name' },
+  { id: 'rating', title: 'Rating' },
+  { id: 'reviewCount', title: 'Review Count' },
+  { id: 'stars', title: 'Stars' },
+  { id: 'location', title: 'Location' },
+  { id: 'distanceKm', title: 'Distance (km)' },
+  { id: 'distanceFrom', title: 'Distance From' },
+  { id: 'cityName', title: 'City Name' },
+  { id: 'price', title: 'Original Price Text' },
+  { id: 'priceParsed', title: 'Parsed Price' },
+  { id: 'numericPrice', title: 'Numeric Price' },
+  { id: 'currency', title: 'Currency' },
+  { id: 'originalPrice', title: 'Original Price' },
+  { id: 'discountPercent', title: 'Discount %' },
+  { id: 'deals', title: 'Deals' },
+  { id: 'taxesIncluded', title: 'Taxes Included' },
+  { id: 'freeCancellation', title: 'Free Cancellation' },
+  { id: 'noPrepayment', title: 'No Prepayment' },
+  { id: 'breakfastIncluded', title: 'Breakfast Included' },
+  { id: 'roomsLeft', title: 'Rooms Left' },
+  { id: 'url', title: 'Hotel URL' },
+  { id: 'extractedAt', title: 'Extracted At' },
+  { id: 'searchDestination', title: 'Search Destination' },
+  { id: 'searchDate', title: 'Search Date' }
+];
+
 class CSVExporter {
   constructor() {
     this.outputDir = path.join(__dirname, '../data');
@@ -25,20 +54,7 @@ class CSVExporter {
 
       const csvWriter = createCsvWriter({
         path: csvPath,
-        header: [
-          { id: 'name', title: 'Hotel Name' },
-          { id: 'rating', title: 'Rating' },
-          { id: 'location', title: 'Location' },
-          { id: 'cityName', title: 'City Name' },
-          { id: 'price', title: 'Original Price Text' },
-          { id: 'priceParsed', title: 'Parsed Price' },
-          { id: 'numericPrice', title: 'Numeric Price' },
-          { id: 'currency', title: 'Currency' },
-          { id: 'url', title: 'Hotel URL' },
-          { id: 'extractedAt', title: 'Extracted At' },
-          { id: 'searchDestination', title: 'Search Destination' },
-          { id: 'searchDate', title: 'Search Date' }
-        ]
+        header: CSV_HEADER
       });
 
       const processedHotels = this.prepareDataForCSV(hotels);
@@ -58,12 +74,24 @@ class CSVExporter {
     return hotels.map(hotel => ({
       name: hotel.name || '',
       rating: hotel.rating || '',
+      reviewCount: hotel.reviewCount ?? '',
+      stars: hotel.stars ?? '',
       location: hotel.location || '',
+      distanceKm: hotel.distanceKm ?? '',
+      distanceFrom: hotel.distanceFrom || '',
       cityName: config.search.cityName || 'Unknown Location',
       price: hotel.price || '',
       priceParsed: hotel.priceParsed?.originalText || '',
       numericPrice: hotel.priceParsed?.numericPrice || '',
       currency: hotel.priceParsed?.currency || '',
+      originalPrice: hotel.priceParsed?.originalPrice ?? '',
+      discountPercent: hotel.priceParsed?.discountPercent ?? '',
+      deals: (hotel.priceParsed?.deals || []).join(', '),
+      taxesIncluded: hotel.priceParsed?.taxesIncluded ?? '',
+      freeCancellation: hotel.freeCancellation ?? '',
+      noPrepayment: hotel.noPrepayment ?? '',
+      breakfastIncluded: hotel.breakfastIncluded ?? '',
+      roomsLeft: hotel.roomsLeft ?? '',
       url: hotel.url || '',
       extractedAt: hotel.extractedAt || new Date().toISOString(),
       searchDestination: config.search.destination,
@@ -79,22 +107,15 @@ class CSVExporter {
         return await this.exportToCSV(hotels, filename);
       }
 
+      const [headerLine = ''] = fs.readFileSync(csvPath, 'utf-8').split('\n', 1);
+      if (this.parseCsvLine(headerLine).join(',') !== CSV_HEADER.map(column => column.title).join(',')) {
+        logger.info(`${filename} has other columns, starting a new CSV file`);
+        return await this.exportToCSV(hotels);
+      }
+
       const csvWriter = createCsvWriter({
         path: csvPath,
-        header: [
-          { id: 'name', title: 'Hotel Name' },
-          { id: 'rating', title: 'Rating' },
-          { id: 'location', title: 'Location' },
-          { id: 'cityName', title: 'City Name' },
-          { id: 'price', title: 'Original Price Text' },
-          { id: 'priceParsed', title: 'Parsed Price' },
-          { id: 'numericPrice', title: 'Numeric Price' },
-          { id: 'currency', title: 'Currency' },
-          { id: 'url', title: 'Hotel URL' },
-          { id: 'extractedAt', title: 'Extracted At' },
-          { id: 'searchDestination', title: 'Search Destination' },
-          { id: 'searchDate', title: 'Search Date' }
-        ],
+        header: CSV_HEADER,
         append: true
       });
 
@@ -169,14 +190,15 @@ class CSVExporter {
         return { totalHotels: 0, averagePrice: 0, priceRange: { min: 0, max: 0 } };
       }
 
+      // Columns by title, so files written before columns were added still read
+      const header = this.parseCsvLine(lines[0]);
+      const column = title => header.indexOf(title);
       const hotels = lines.slice(1).map(line => {
         const fields = this.parseCsvLine(line);
-        // CSV columns: Hotel Name(0), Rating(1), Location(2), City Name(3),
-        //   Original Price Text(4), Parsed Price(5), Numeric Price(6), Currency(7)
         return {
-          name: (fields[0] || '').replace(/"/g, ''),
-          numericPrice: parseFloat((fields[6] || '').replace(/"/g, '')) || 0,
-          currency: (fields[7] || '').replace(/"/g, '') || 'USD'
+          name: (fields[column('Hotel Name')] || '').replace(/"/g, ''),
+          numericPrice: parseFloat((fields[column('Numeric Price')] || '').replace(/"/g, '')) || 0,
+          currency: (fields[column('Currency')] || '').replace(/"/g, '') || 'USD'
         };
       }).filter(h => h.numericPrice > 0);
 
@@ -0,0 +1,247 @@
+/**
+ * Flexible-date grid
+ * A search with `criteria.dateWindow` is scraped once per stay: every
+ * check-in date of the window combined with every stay length, e.g.
+ *
+ *   dateWindow: { checkInFrom: '2026-07-01', checkInTo: '2026-07-20', minNights: 5, maxNights: 7 }
+ *
+ * is 20 check-in dates x 3 lengths = 60 stays. `checkInStep` (days between
+ * check-in dates, default 1) thins the grid. A window may expand to at most
+ * DATE_GRID_MAX_STAYS stays (default 60).
+ *
+ * Prices on result pages are for the whole stay, so stays of different
+ * lengths are compared by price per night.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_MAX_STAYS = 60;
+// Cheapest stays listed overall in the email and the insights payload
+const DEFAULT_CHEAPEST_STAYS = 5;
+
+// Older Booking.com links split the dates into year / month / day
+const SPLIT_DATE_PARAMS = [
+  'checkin_year', 'checkin_month', 'checkin_monthday',
+  'checkout_year', 'checkout_month', 'checkout_monthday'
+];
+
+function getMaxStays() {
+  return parseInt(process.env.DATE_GRID_MAX_STAYS || String(DEFAULT_MAX_STAYS), 10);
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalized window: maxNights defaults to minNights, checkInStep to 1
+ */
+function normalizeWindow(dateWindow) {
+  const minNights = parseInt(dateWindow.minNights, 10);
+  return {
+    checkInFrom: dateWindow.checkInFrom,
+    checkInTo: dateWindow.checkInTo || dateWindow.checkInFrom,
+    minNights,
+    maxNights: dateWindow.maxNights !== undefined ? parseInt(dateWindow.maxNights, 10) : minNights,
+    checkInStep: dateWindow.checkInStep !== undefined ? parseInt(dateWindow.checkInStep, 10) : 1
+  };
+}
+
+/**
+ * Every stay of a date window, by check-in date then length
+ * @param {Object} dateWindow - { checkInFrom, checkInTo, minNights, maxNights, checkInStep }
+ * @returns {Array} [{ checkIn, checkOut, nights }]
+ */
+function expandDateWindow(dateWindow) {
+  const { checkInFrom, checkInTo, minNights, maxNights, checkInStep } = normalizeWindow(dateWindow);
+  const from = parseDate(checkInFrom);
+  const to = parseDate(checkInTo);
+  const stays = [];
+
+  for (let offset = 0; from.getTime() + offset * DAY_MS <= to.getTime(); offset += checkInStep) {
+    const checkIn = addDays(from, offset);
+    for (let nights = minNights; nights <= maxNights; nights++) {
+      stays.push({ checkIn, checkOut: addDays(from, offset + nights), nights });
+    }
+  }
+  return stays;
+}
+
+/**
+ * Problems with a date window, in validateCriteria's message style
+ * @param {Object} dateWindow
+ * @param {number} maxStays - Largest allowed grid (default DATE_GRID_MAX_STAYS)
+ * @returns {string[]} Errors, empty when the window is valid
+ */
+function validateDateWindow(dateWindow, maxStays = getMaxStays()) {
+  if (!dateWindow || typeof dateWindow !== 'object' || Array.isArray(dateWindow)) {
+    return ['dateWindow must be an object'];
+  }
+
+  const errors = [];
+  const { checkInFrom, checkInTo, minNights, maxNights, checkInStep } = normalizeWindow(dateWindow);
+  const from = parseDate(checkInFrom);
+  const to = parseDate(checkInTo);
+
+  if (!from) {
+    errors.push('dateWindow.checkInFrom must be a YYYY-MM-DD date');
+  }
+  if (!to) {
+    errors.push('dateWindow.checkInTo must be a YYYY-MM-DD date');
+  }
+  if (from && to && from > to) {
+    errors.push('dateWindow.checkInTo must not be before checkInFrom');
+  }
+  if (!(minNights >= 1)) {
+    errors.push('dateWindow.minNights must be at least 1');
+  }
+  if (!(maxNights >= minNights)) {
+    errors.push('dateWindow.maxNights must be at least minNights');
+  }
+  if (!(checkInStep >= 1)) {
+    errors.push('dateWindow.checkInStep must be at least 1');
+  }
+
+  if (errors.length === 0) {
+    const stays = expandDateWindow(dateWindow).length;
+    if (stays > maxStays) {
+      errors.push(`dateWindow expands to ${stays} stays, more than the ${maxStays} allowed (narrow the window or raise checkInStep)`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Replace the dates of a Booking.com URL, leaving the rest of it as written
+ * @param {string} url
+ * @param {Object} stay - { checkIn, checkOut }
+ */
+function rewriteUrlDates(url, { checkIn, checkOut }) {
+  const [base, hash = ''] = url.split('#');
+  let rewritten = base;
+
+  SPLIT_DATE_PARAMS.forEach(param => {
+    rewritten = rewritten.replace(new RegExp(`([?&])${param}=[^&]*(&|$)`), (match, lead, tail) => (tail ? lead : ''));
+  });
+
+  [['checkin', checkIn], ['checkout', checkOut]].forEach(([param, value]) => {
+    const pattern = new RegExp(`([?&])${param}=[^&]*`);
+    rewritten = pattern.test(rewritten)
+      ? rewritten.replace(pattern, `$1${param}=${value}`)
+      : `${rewritten}${rewritten.includes('?') ? '&' : '?'}${param}=${value}`;
+  });
+
+  return hash ? `${rewritten}#${hash}` : rewritten;
+}
+
+/**
+ * Criteria for one stay of the grid: checkIn/checkOut for
+ * BookingURLParser.buildURL and the same dates in sourceUrl
+ * @param {Object} criteria - Search criteria with dateWindow
+ * @param {Object} stay - From expandDateWindow
+ */
+function applyStay(criteria, stay) {
+  const { dateWindow, ...rest } = criteria;
+  return {
+    ...rest,
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    ...(criteria.sourceUrl ? { sourceUrl: rewriteUrlDates(criteria.sourceUrl, stay) } : {})
+  };
+}
+
+function hotelKey(record) {
+  return (record.hotelName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function pricePerNight(record) {
+  return record.numericPrice > 0 ? round(record.numericPrice / (record.nights || 1)) : 0;
+}
+
+function isCheaper(record, than) {
+  const price = pricePerNight(record);
+  return price > 0 && (!than || !(pricePerNight(than) > 0) || price < pricePerNight(than));
+}
+
+/**
+ * Price calendar of one grid run
+ * @param {Array} records - Price records of the run, with checkIn, checkOut and nights
+ * @param {Object} options - { cheapestStays: how many stays to list overall (default 5) }
+ * @returns {Object} {
+ *   checkIns, nights: axes of the grid
+ *   stays: [{ checkIn, checkOut, nights, hotels, price, pricePerNight, hotelName, hotelUrl }], one per stay with prices
+ *   cheapestStays: the stays with the lowest price per night
+ *   hotels: each hotel's cheapest record, with pricePerNight and staysAvailable, cheapest first
+ * }
+ */
+function buildPriceCalendar(records, options = {}) {
+  const dated = (records || []).filter(record => record.checkIn && record.nights);
+  const stays = new Map();
+  const hotels = new Map();
+
+  dated.forEach(record => {
+    const stayKey = `${record.checkIn}|${record.nights}`;
+    const stay = stays.get(stayKey) || { checkIn: record.checkIn, checkOut: record.checkOut, nights: record.nights, hotels: 0, cheapest: null };
+    stay.hotels += 1;
+    if (isCheaper(record, stay.cheapest)) {
+      stay.cheapest = record;
+    }
+    stays.set(stayKey, stay);
+
+    const key = hotelKey(record);
+    if (!key) return;
+    const hotel = hotels.get(key) || { cheapest: null, staysAvailable: 0 };
+    hotel.staysAvailable += 1;
+    if (!hotel.cheapest || isCheaper(record, hotel.cheapest)) {
+      hotel.cheapest = record;
+    }
+    hotels.set(key, hotel);
+  });
+
+  const stayList = [...stays.values()]
+    .filter(stay => stay.cheapest)
+    .map(({ cheapest, ...stay }) => ({
+      ...stay,
+      price: cheapest.numericPrice,
+      pricePerNight: pricePerNight(cheapest),
+      currency: cheapest.currency,
+      hotelName: cheapest.hotelName,
+      hotelUrl: cheapest.hotelUrl
+    }))
+    .sort((a, b) => a.checkIn.localeCompare(b.checkIn) || a.nights - b.nights);
+
+  const byPricePerNight = (a, b) =>
+    (a.pricePerNight > 0 ? a.pricePerNight : Infinity) - (b.pricePerNight > 0 ? b.pricePerNight : Infinity);
+
+  return {
+    checkIns: [...new Set(dated.map(record => record.checkIn))].sort(),
+    nights: [...new Set(dated.map(record => record.nights))].sort((a, b) => a - b),
+    stays: stayList,
+    cheapestStays: [...stayList].sort(byPricePerNight).slice(0, options.cheapestStays ?? DEFAULT_CHEAPEST_STAYS),
+    hotels: [...hotels.values()]
+      .map(({ cheapest, staysAvailable }) => ({ ...cheapest, pricePerNight: pricePerNight(cheapest), staysAvailable }))
+      .sort(byPricePerNight)
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_STAYS,
+  getMaxStays,
+  expandDateWindow,
+  validateDateWindow,
+  rewriteUrlDates,
+  applyStay,
+  buildPriceCalendar
+};
@@ -6,6 +6,7 @@ import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
 const logger = require('./logger.cjs');
+const { buildPriceCalendar } = require('./date-grid.cjs');
 const createSMTP2GOApi = SMTP2GOApiModule?.default || SMTP2GOApiModule;
 
 const __filename = fileURLToPath(import.meta.url);
@@ -161,6 +162,18 @@ class EmailService {
       .filter(Boolean);
   }
 
+  /**
+   * Escape text for use in email HTML
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   getNightsFromCriteria(criteria) {
     const checkIn = criteria?.checkIn || '';
     const checkOut = criteria?.checkOut || '';
@@ -253,7 +266,102 @@ class EmailService {
     return match[1].replace(',', '.');
   }
 
-  renderLatestHotelsTable(prices, defaultCurrency) {
+  formatStay(stay) {
+    return `${stay.checkIn} &rarr; ${stay.checkOut} (${stay.nights} night${stay.nights === 1 ? '' : 's'})`;
+  }
+
+  /**
+   * Heatmap of a flexible-date grid (check-in date x nights, cheapest price
+   * per stay) and the cheapest stays overall
+   * @param {Object} calendar - From date-grid.cjs buildPriceCalendar
+   */
+  renderPriceCalendar(calendar, defaultCurrency) {
+    if (!calendar || calendar.stays.length === 0) {
+      return '<p>No prices found for any stay.</p>';
+    }
+
+    const currency = defaultCurrency || 'EUR';
+    const stays = new Map(calendar.stays.map((stay) => [`${stay.checkIn}|${stay.nights}`, stay]));
+    const perNight = calendar.stays.map((stay) => stay.pricePerNight).filter((value) => value > 0);
+    const min = Math.min(...perNight);
+    const max = Math.max(...perNight);
+    const best = calendar.cheapestStays[0];
+
+    // Cheapest third green, middle yellow, most expensive red (by price per night)
+    const shade = (value) => {
+      if (!(value > 0)) return '#f8fafc';
+      const position = max > min ? (value - min) / (max - min) : 0;
+      if (position < 1 / 3) return '#dcfce7';
+      if (position < 2 / 3) return '#fef9c3';
+      return '#fee2e2';
+    };
+
+    const headerHtml = calendar.nights
+      .map((nights) => `<th style="text-align: center; padding: 6px 8px;">${nights} night${nights === 1 ? '' : 's'}</th>`)
+      .join('');
+
+    const rowHtml = calendar.checkIns
+      .map((checkIn) => {
+        const cells = calendar.nights
+          .map((nights) => {
+            const stay = stays.get(`${checkIn}|${nights}`);
+            if (!stay) {
+              return '<td style="padding: 6px 8px; border-bottom: 1px solid #e2e8f0; text-align: center; color: #9ca3af;">-</td>';
+            }
+            const bestStyle = stay === best ? ' font-weight: bold; border: 2px solid #16a34a;' : '';
+            return `
+              <td title="${stay.hotelName}" style="padding: 6px 8px; border-bottom: 1px solid #e2e8f0; text-align: center; white-space: nowrap; background-color: ${shade(stay.pricePerNight)};${bestStyle}">
+                ${this.formatPrice(stay.price, stay.currency || currency)}
+                <div style="font-size: 11px; color: #4b5563;">${this.formatPrice(stay.pricePerNight, stay.currency || currency)}/night</div>
+              </td>
+            `;
+          })
+          .join('');
+        return `
+          <tr>
+            <td style="padding: 6px 8px; border-bottom: 1px solid #e2e8f0; white-space: nowrap;">${checkIn}</td>
+            ${cells}
+          </tr>
+        `;
+      })
+      .join('');
+
+    const cheapestHtml = calendar.cheapestStays
+      .map((stay) => {
+        const hotelHtml = stay.hotelUrl
+          ? `<a href="${stay.hotelUrl}" style="color: #1d4ed8; text-decoration: none;">${stay.hotelName}</a>`
+          : stay.hotelName;
+        return `<li><strong>${this.formatStay(stay)}</strong>: ${this.formatPrice(stay.price, stay.currency || currency)} (${this.formatPrice(stay.pricePerNight, stay.currency || currency)}/night) at ${hotelHtml}</li>`;
+      })
+      .join('');
+
+    return `
+      <p style="font-size: 12px; color: #6b7280;">Cheapest price of each stay, shaded by price per night.</p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr style="background-color: #f1f5f9;">
+            <th style="text-align: left; padding: 6px 8px;">Check-in</th>
+            ${headerHtml}
+          </tr>
+        </thead>
+        <tbody>
+          ${rowHtml}
+        </tbody>
+      </table>
+      <h4 style="color: #1f2937; margin-bottom: 6px;">Cheapest Dates</h4>
+      <ol style="margin-top: 0; padding-left: 20px;">
+        ${cheapestHtml}
+      </ol>
+    `;
+  }
+
+  /**
+   * @param {Array} prices - Price records
+   * @param {string} defaultCurrency
+   * @param {Object} options - { showStay: list each hotel's stay (flexible-date searches),
+   *   pointOfInterest: name hotels' distance to it }
+   */
+  renderLatestHotelsTable(prices, defaultCurrency, options = {}) {
     if (!Array.isArray(prices) || prices.length === 0) {
       return '<p>No hotels available for this run.</p>';
     }
@@ -263,10 +371,21 @@ class EmailService {
         name: price.hotelName || 'Unknown Hotel',
         numericPrice: typeof price.numericPrice === 'number' ? price.numericPrice : Number(price.numericPrice),
         currency: price.currency || defaultCurrency || 'EUR',
+        originalPrice: price.originalPrice || null,
+        discountPercent: price.discountPercent || null,
         url: price.hotelUrl || '',
         rating: price.rating || '',
         location: price.location || '',
-        units: price.units || []
+        units: price.units || [],
+        terms: [
+          price.freeCancellation && 'Free cancellation',
+          price.noPrepayment && 'No prepayment',
+          price.breakfastIncluded && 'Breakfast included'
+        ].filter(Boolean),
+        roomsLeft: price.roomsLeft || null,
+        poiDistanceKm: price.poiDistanceKm ?? null,
+        stay: price.checkIn ? { checkIn: price.checkIn, checkOut: price.checkOut, nights: price.nights } : null,
+        staysAvailable: price.staysAvailable || 0
       }))
       .sort((a, b) => {
         const priceA = Number.isFinite(a.numericPrice) ? a.numericPrice : Number.POSITIVE_INFINITY;
@@ -279,12 +398,24 @@ class EmailService {
 
     const rowHtml = rows
       .map((row) => {
-        const priceText = this.formatPrice(row.numericPrice, row.currency);
+        const discountHtml = row.originalPrice
+          ? `<div style="font-size: 12px; color: #6b7280;"><s>${this.formatPrice(row.originalPrice, row.currency)}</s>${row.discountPercent ? ` -${row.discountPercent}%` : ''}</div>`
+          : '';
+        const priceText = this.formatPrice(row.numericPrice, row.currency) + discountHtml;
         const nameHtml = row.url
           ? `<a href="${row.url}" style="color: #1d4ed8; text-decoration: none;">${row.name}</a>`
           : row.name;
-        const locationHtml = row.location
-          ? `<div style="font-size: 12px; color: #6b7280; margin-top: 2px;">${row.location}</div>`
+        const poiText = options.pointOfInterest && row.poiDistanceKm !== null
+          ? `${row.location ? ' · ' : ''}${row.poiDistanceKm} km to ${options.pointOfInterest.name || 'point of interest'}`
+          : '';
+        const locationHtml = row.location || poiText
+          ? `<div style="font-size: 12px; color: #6b7280; margin-top: 2px;">${row.location}${poiText}</div>`
+          : '';
+        const stayHtml = options.showStay && row.stay
+          ? `<div style="font-size: 12px; color: #047857; margin-top: 2px;">Cheapest stay: ${this.formatStay(row.stay)}${row.staysAvailable > 1 ? `, listed for ${row.staysAvailable} stays` : ''}</div>`
+          : '';
+        const termsHtml = row.terms.length > 0 || row.roomsLeft
+          ? `<div style="font-size: 12px; margin-top: 2px;"><span style="color: #047857;">${row.terms.join(' · ')}</span>${row.roomsLeft ? `${row.terms.length > 0 ? ' · ' : ''}<span style="color: #b91c1c;">Only ${row.roomsLeft} left</span>` : ''}</div>`
           : '';
         const unitsSummary = this.formatUnitsSummary(row.units);
         const unitsHtml = unitsSummary
@@ -297,7 +428,7 @@ class EmailService {
 
         return `
           <tr>
-            <td style="padding: 8px 10px; border-bottom: 1px solid #e2e8f0;">${nameHtml}${locationHtml}${unitsHtml}</td>
+            <td style="padding: 8px 10px; border-bottom: 1px solid #e2e8f0;">${nameHtml}${locationHtml}${stayHtml}${termsHtml}${unitsHtml}</td>
             <td style="padding: 8px 10px; border-bottom: 1px solid #e2e8f0; text-align: center; vertical-align: top;">${ratingHtml}</td>
             <td style="padding: 8px 10px; border-bottom: 1px solid #e2e8f0; text-align: right; vertical-align: top; white-space: nowrap;">${priceText}</td>
           </tr>
@@ -328,6 +459,18 @@ class EmailService {
     const guestSummary = this.formatGuestsFromCriteria(criteria);
     const destination = criteria.cityName || criteria.destination || 'Unknown Location';
     const currency = criteria.currency || 'EUR';
+    // Flexible dates: hotels are listed at their cheapest stay
+    const calendar = criteria.dateWindow ? buildPriceCalendar(latestPrices) : null;
+    const hotelPrices = calendar ? calendar.hotels : latestPrices;
+    const dateWindow = criteria.dateWindow || {};
+    const datesHtml = calendar
+      ? `
+            <p><strong>Check-in:</strong> ${dateWindow.checkInFrom} &ndash; ${dateWindow.checkInTo || dateWindow.checkInFrom} (flexible${dateWindow.checkInStep > 1 ? `, every ${dateWindow.checkInStep} days` : ''})</p>
+            <p><strong>Nights:</strong> ${dateWindow.maxNights && dateWindow.maxNights !== dateWindow.minNights ? `${dateWindow.minNights}&ndash;${dateWindow.maxNights}` : dateWindow.minNights}</p>`
+      : `
+            <p><strong>Check-in:</strong> ${criteria.checkIn || 'N/A'}</p>
+            <p><strong>Check-out:</strong> ${criteria.checkOut || 'N/A'}</p>
+            <p><strong>Nights:</strong> ${nights || 'N/A'}</p>`;
 
     return `
       <html>
@@ -339,10 +482,7 @@ class EmailService {
           <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
             <h3 style="color: #34495e; margin-top: 0;">Search Details</h3>
             <p><strong>Date:</strong> ${currentDate}</p>
-            <p><strong>Destination:</strong> ${destination}</p>
-            <p><strong>Check-in:</strong> ${criteria.checkIn || 'N/A'}</p>
-            <p><strong>Check-out:</strong> ${criteria.checkOut || 'N/A'}</p>
-            <p><strong>Nights:</strong> ${nights || 'N/A'}</p>
+            <p><strong>Destination:</strong> ${destination}</p>${datesHtml}
             <p><strong>Guests:</strong> ${guestSummary}</p>
             <p><strong>Currency:</strong> ${currency}</p>
           </div>
@@ -354,12 +494,17 @@ class EmailService {
 
           <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0;">
             <h3 style="color: #27ae60; margin-top: 0;">Summary</h3>
-            ${this.renderPriceSummary(latestPrices, currency)}
+            ${this.renderPriceSummary(hotelPrices, currency)}
           </div>
-
+${calendar ? `
+          <div style="background-color: #ffffff; padding: 15px; border-radius: 5px; margin: 20px 0; border: 1px solid #e2e8f0;">
+            <h3 style="color: #1f2937; margin-top: 0;">Price Calendar (${calendar.stays.length} stays)</h3>
+            ${this.renderPriceCalendar(calendar, currency)}
+          </div>
+` : ''}
           <div style="background-color: #ffffff; padding: 15px; border-radius: 5px; margin: 20px 0; border: 1px solid #e2e8f0;">
-            <h3 style="color: #1f2937; margin-top: 0;">Latest Hotels (${latestPrices?.length || 0})</h3>
-            ${this.renderLatestHotelsTable(latestPrices, currency)}
+            <h3 style="color: #1f2937; margin-top: 0;">Latest Hotels (${hotelPrices?.length || 0})</h3>
+            ${this.renderLatestHotelsTable(hotelPrices, currency, { showStay: !!calendar, pointOfInterest: criteria.pointOfInterest })}
           </div>
 
           <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ecf0f1;">
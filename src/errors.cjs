@@ -0,0 +1,154 @@
+/**
+ * Worker Error Taxonomy
+ * Typed errors thrown by the scraper, the DB service and the worker.
+ * Each class carries a queue disposition that tells the job queue receiver
+ * what to do with the message that failed:
+ *
+ * - complete:   remove the message, retrying cannot help (search gone/inactive)
+ * - retry:      re-enqueue with backoff, the failure is expected to be transient
+ * - deadLetter: move to the dead-letter queue for a human to look at
+ */
+
+const DISPOSITIONS = {
+  COMPLETE: 'complete',
+  RETRY: 'retry',
+  DEAD_LETTER: 'deadLetter'
+};
+
+// Service Bus limits dead-letter descriptions; keep them well under it
+const MAX_DESCRIPTION_LENGTH = 1024;
+
+class WorkerError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options - { cause, details }
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.details = options.details || {};
+  }
+
+  get disposition() {
+    return this.constructor.disposition;
+  }
+}
+WorkerError.disposition = DISPOSITIONS.RETRY;
+
+/** The search document does not exist (deleted in the web app) */
+class SearchNotFoundError extends WorkerError {}
+SearchNotFoundError.disposition = DISPOSITIONS.COMPLETE;
+
+/** The search exists but has been deactivated */
+class SearchInactiveError extends WorkerError {}
+SearchInactiveError.disposition = DISPOSITIONS.COMPLETE;
+
+/** Saved Booking.com session is missing or no longer valid (run `npm run save-auth`) */
+class AuthExpiredError extends WorkerError {}
+AuthExpiredError.disposition = DISPOSITIONS.DEAD_LETTER;
+
+/** Booking.com served a captcha or bot-challenge page instead of results */
+class BotChallengeError extends WorkerError {}
+BotChallengeError.disposition = DISPOSITIONS.RETRY;
+
+/** Navigation or result selectors did not resolve in time */
+class ScrapeTimeoutError extends WorkerError {}
+ScrapeTimeoutError.disposition = DISPOSITIONS.RETRY;
+
+/** Booking.com markup changed: result cards no longer yield names or prices (see layout-drift.cjs) */
+class LayoutDriftError extends WorkerError {}
+LayoutDriftError.disposition = DISPOSITIONS.DEAD_LETTER;
+
+/** A downstream provider (Cosmos DB, Azure OpenAI, SMTP2Go, Booking.com) is unavailable or throttling */
+class ProviderUnavailableError extends WorkerError {}
+ProviderUnavailableError.disposition = DISPOSITIONS.RETRY;
+
+/** The job or its data is invalid; retrying the same message cannot succeed */
+class ValidationError extends WorkerError {}
+ValidationError.disposition = DISPOSITIONS.DEAD_LETTER;
+
+/**
+ * Default retry policy per error class, used for scheduled re-enqueue.
+ * delay = min(maxDelayMs, baseDelayMs * factor^(attempt - 1)), then jittered.
+ * Classes not listed use `default`. Override with JOB_RETRY_POLICIES (JSON).
+ * An error with `details.deferred` (a bot challenge cool-down hit before
+ * any page was opened) is re-scheduled at `details.retryAfterMs` without
+ * counting an attempt.
+ */
+const RETRY_POLICIES = {
+  default: { maxAttempts: 5, baseDelayMs: 60 * 1000, maxDelayMs: 60 * 60 * 1000, factor: 2, jitter: 0.2 },
+  ScrapeTimeoutError: { maxAttempts: 4, baseDelayMs: 2 * 60 * 1000, maxDelayMs: 60 * 60 * 1000, factor: 2, jitter: 0.2 },
+  ProviderUnavailableError: { maxAttempts: 6, baseDelayMs: 60 * 1000, maxDelayMs: 30 * 60 * 1000, factor: 2, jitter: 0.2 },
+  BotChallengeError: { maxAttempts: 4, baseDelayMs: 15 * 60 * 1000, maxDelayMs: 6 * 60 * 60 * 1000, factor: 3, jitter: 0.3 }
+};
+
+// Cosmos DB / HTTP status codes that indicate a transient provider problem
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Map any error to a typed WorkerError.
+ * Untyped errors from Playwright, Cosmos DB or the network are wrapped in
+ * the closest class; anything unrecognised stays retryable.
+ * @param {Error} error
+ * @returns {WorkerError}
+ */
+function toWorkerError(error) {
+  if (error instanceof WorkerError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+
+  if (error?.name === 'TimeoutError') {
+    return new ScrapeTimeoutError(message, { cause: error });
+  }
+
+  if (TRANSIENT_STATUS_CODES.includes(error?.code) || TRANSIENT_STATUS_CODES.includes(error?.statusCode)) {
+    return new ProviderUnavailableError(message, { cause: error, details: { code: error.code || error.statusCode } });
+  }
+
+  if (TRANSIENT_NETWORK_CODES.includes(error?.code)) {
+    return new ProviderUnavailableError(message, { cause: error, details: { code: error.code } });
+  }
+
+  const wrapped = new WorkerError(message, { cause: error });
+  wrapped.name = error?.name && error.name !== 'Error' ? error.name : 'UnclassifiedError';
+  return wrapped;
+}
+
+/**
+ * Describe how the queue should settle a message that failed with `error`
+ * @param {Error} error
+ * @returns {Object} { disposition, errorClass, reason, description, error }
+ */
+function classifyError(error) {
+  const workerError = toWorkerError(error);
+  const description = workerError.message || '';
+
+  return {
+    disposition: workerError.disposition,
+    errorClass: workerError.name,
+    reason: workerError.name,
+    description: description.length > MAX_DESCRIPTION_LENGTH
+      ? `${description.slice(0, MAX_DESCRIPTION_LENGTH - 3)}...`
+      : description,
+    error: workerError
+  };
+}
+
+module.exports = {
+  DISPOSITIONS,
+  RETRY_POLICIES,
+  WorkerError,
+  SearchNotFoundError,
+  SearchInactiveError,
+  AuthExpiredError,
+  BotChallengeError,
+  ScrapeTimeoutError,
+  LayoutDriftError,
+  ProviderUnavailableError,
+  ValidationError,
+  toWorkerError,
+  classifyError
+};
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ValidationError } = require('./errors.cjs');
+
+/**
+ * Offline Fixtures
+ * Saved Booking.com result pages the scraper can extract from instead of
+ * the live site (SCRAPER_FIXTURE, `--fixture`, scripts/extract-fixtures.cjs):
+ *
+ * - an HTML snapshot (.html / .htm), e.g. "Save page as" or page.content()
+ * - a directory of snapshots and HAR files (not recursive)
+ * - a HAR file: every HTML search results response in it is one page
+ *   (captcha and challenge pages included, see bot-challenge.cjs)
+ *
+ * A fixture is served to a normal browser page through route interception,
+ * with JavaScript off and every other request aborted, so the extraction
+ * runs on the DOM exactly as saved and nothing touches the network.
+ */
+
+const DEFAULT_FIXTURE_URL = 'https://www.booking.com/searchresults.html';
+const HTML_EXTENSIONS = ['.html', '.htm'];
+// HAR responses kept as pages: results, and the codes challenge pages come with
+const PAGE_STATUSES = [200, 202, 403, 405, 429];
+
+/**
+ * URL a snapshot was saved from: Chrome's "saved from url" comment, the
+ * canonical link or og:url, else a generic results URL
+ * @param {string} html
+ */
+function detectPageUrl(html) {
+  const patterns = [
+    /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i,
+    /<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i,
+    /<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)["']/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match && /^https?:\/\//.test(match[1])) {
+      return match[1].replace(/&amp;/g, '&');
+    }
+  }
+  return DEFAULT_FIXTURE_URL;
+}
+
+async function loadHtmlFile(file) {
+  const html = await fs.readFile(file, 'utf-8');
+  return [{ name: path.basename(file), file, url: detectPageUrl(html), html }];
+}
+
+/**
+ * HTML responses of a HAR file. Search results pages are preferred; if the
+ * HAR has none, every HTML response is used.
+ */
+async function loadHarFile(file) {
+  let har;
+  try {
+    har = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new ValidationError(`Invalid HAR file ${file}: ${error.message}`, { cause: error });
+  }
+
+  const pages = (har?.log?.entries || [])
+    .filter(entry => PAGE_STATUSES.includes(entry.response?.status) &&
+      /text\/html/i.test(entry.response.content?.mimeType || '') &&
+      entry.response.content?.text)
+    .map(entry => ({
+      url: entry.request.url,
+      html: entry.response.content.encoding === 'base64'
+        ? Buffer.from(entry.response.content.text, 'base64').toString('utf-8')
+        : entry.response.content.text
+    }));
+
+  const results = pages.filter(page => /searchresults/i.test(page.url));
+  return (results.length > 0 ? results : pages).map((page, index, all) => ({
+    name: all.length > 1 ? `${path.basename(file)}#${index + 1}` : path.basename(file),
+    file,
+    ...page
+  }));
+}
+
+async function loadFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.har') {
+    return loadHarFile(file);
+  }
+  if (HTML_EXTENSIONS.includes(extension)) {
+    return loadHtmlFile(file);
+  }
+  throw new ValidationError(`Unsupported fixture ${file} (expected .html, .htm or .har)`);
+}
+
+/**
+ * Fixture files under an input path: the file itself, or the HTML and HAR
+ * files of a directory in name order
+ * @param {string} input - File or directory
+ * @returns {Promise<string[]>}
+ */
+async function listFixtureFiles(input) {
+  let stats;
+  try {
+    stats = await fs.stat(input);
+  } catch (error) {
+    throw new ValidationError(`Fixture not found: ${input}`, { cause: error });
+  }
+
+  if (!stats.isDirectory()) {
+    return [input];
+  }
+
+  const files = (await fs.readdir(input))
+    .filter(name => [...HTML_EXTENSIONS, '.har'].includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(input, name));
+
+  if (files.length === 0) {
+    throw new ValidationError(`No .html, .htm or .har fixtures in ${input}`);
+  }
+  return files;
+}
+
+/**
+ * Load every page under a fixture path
+ * @param {string} input - HTML file, HAR file or directory
+ * @returns {Promise<Object[]>} [{ name, file, url, html }]
+ */
+async function loadFixtures(input) {
+  const pages = [];
+  for (const file of await listFixtureFiles(input)) {
+    pages.push(...await loadFile(file));
+  }
+
+  if (pages.length === 0) {
+    throw new ValidationError(`No HTML pages found in fixture ${input}`);
+  }
+  return pages;
+}
+
+/**
+ * Show a fixture in a page: its URL is answered with the saved HTML and
+ * every other request (scripts, images, XHR) is aborted
+ * @param {Object} page - Playwright page, ideally in a context with javaScriptEnabled: false
+ * @param {Object} fixture - From loadFixtures
+ */
+async function openFixturePage(page, fixture) {
+  await page.route('**/*', route => {
+    const request = route.request();
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: fixture.html });
+    }
+    return route.abort();
+  });
+  await page.goto(fixture.url, { waitUntil: 'domcontentloaded' });
+}
+
+module.exports = {
+  listFixtureFiles,
+  loadFile,
+  loadFixtures,
+  openFixturePage
+};
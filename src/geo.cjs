@@ -0,0 +1,117 @@
+/**
+ * Hotel coordinates and distances
+ * Coordinates come from the result card's map link, from the property page
+ * (when it was visited, see property-extractor.cjs) or from the hotel's
+ * record of the previous run. A search can name a point of interest in its
+ * criteria; every hotel with coordinates then gets its distance to it:
+ *
+ *   pointOfInterest: { name: 'Old Town', latitude: 45.0812, longitude: 13.6387 }
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Valid coordinates or null (out of range, missing or the 0,0 placeholder)
+ * @returns {Object|null} { latitude, longitude }
+ */
+function parseCoordinates(latitude, longitude) {
+  const lat = typeof latitude === 'string' ? parseFloat(latitude) : latitude;
+  const lng = typeof longitude === 'string' ? parseFloat(longitude) : longitude;
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  if (lat === 0 && lng === 0) {
+    return null;
+  }
+  return { latitude: round(lat, 6), longitude: round(lng, 6) };
+}
+
+/**
+ * Great-circle distance in km (haversine)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ */
+function distanceKm(from, to) {
+  const rad = degrees => (degrees * Math.PI) / 180;
+  const dLat = rad(to.latitude - from.latitude);
+  const dLng = rad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(from.latitude)) * Math.cos(rad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)));
+}
+
+/**
+ * Problems with a point of interest, in validateCriteria's message style
+ * @returns {string[]} Errors, empty when valid
+ */
+function validatePointOfInterest(pointOfInterest) {
+  if (!pointOfInterest || typeof pointOfInterest !== 'object' || Array.isArray(pointOfInterest)) {
+    return ['pointOfInterest must be an object'];
+  }
+  if (!parseCoordinates(pointOfInterest.latitude, pointOfInterest.longitude)) {
+    return ['pointOfInterest needs a latitude (-90 to 90) and longitude (-180 to 180)'];
+  }
+  return [];
+}
+
+function hotelKey(record) {
+  return (record.hotelName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Current results as a GeoJSON FeatureCollection: one point per hotel with
+ * coordinates (its cheapest record, for flexible-date runs) and the point
+ * of interest, if any
+ * @param {Array} records - Price records of one run
+ * @param {Object} pointOfInterest - { name, latitude, longitude } or null
+ */
+function toGeoJSON(records, pointOfInterest = null) {
+  const hotels = new Map();
+  (records || []).filter(record => parseCoordinates(record.latitude, record.longitude)).forEach(record => {
+    const current = hotels.get(hotelKey(record));
+    const perNight = r => (r.numericPrice > 0 ? r.numericPrice / (r.nights || 1) : Infinity);
+    if (!current || perNight(record) < perNight(current)) {
+      hotels.set(hotelKey(record), record);
+    }
+  });
+
+  const features = [...hotels.values()].map(record => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [record.longitude, record.latitude] },
+    properties: {
+      kind: 'hotel',
+      name: record.hotelName,
+      price: record.numericPrice,
+      currency: record.currency,
+      rating: record.rating || null,
+      url: record.hotelUrl || null,
+      checkIn: record.checkIn || null,
+      checkOut: record.checkOut || null,
+      poiDistanceKm: record.poiDistanceKm ?? null
+    }
+  }));
+
+  const poi = pointOfInterest && parseCoordinates(pointOfInterest.latitude, pointOfInterest.longitude);
+  if (poi) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [poi.longitude, poi.latitude] },
+      properties: { kind: 'point_of_interest', name: pointOfInterest.name || 'Point of interest' }
+    });
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  parseCoordinates,
+  distanceKm,
+  validatePointOfInterest,
+  toGeoJSON
+};
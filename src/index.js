@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
 import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
+import path from 'path';
 
 const require = createRequire(import.meta.url);
 const __filename = fileURLToPath(import.meta.url);
@@ -16,6 +17,14 @@ const logger = require('./logger.cjs');
  * - Worker (default): Consumes jobs from Azure Service Bus, scrapes
  *   Booking.com, parses prices, stores in DB, generates AI insights,
  *   and sends email reports.
+ * - Standalone (--standalone): Worker + scheduler in one process on the
+ *   local queue and local storage, with searches from a JSON/YAML file.
+ *   No Azure services needed.
+ * - Preview (--preview): Runs the pipeline once for a stored search
+ *   (--search=<id> --user=<userId>) or a Booking.com URL (--url=<url>)
+ *   without writing anything, and saves the email/insights/hotels to
+ *   data/previews/<runId>. --fixture=<path> (or SCRAPER_FIXTURE) scrapes a saved page instead,
+ *   --profile=<name> scrapes with another scraping profile.
  * - Legacy CLI (--cli): Runs the old file-based pipeline for local
  *   testing (scrape → CSV → insights → email).
  */
@@ -26,6 +35,18 @@ let mode = 'worker'; // default
 
 if (args.includes('--cli')) {
   mode = 'cli';
+} else if (args.includes('--standalone')) {
+  mode = 'standalone';
+} else if (args.includes('--preview')) {
+  mode = 'preview';
+}
+
+/**
+ * Value of a `--name=value` argument (values may contain `=`, e.g. URLs)
+ */
+function getArgValue(name) {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
 }
 
 /**
@@ -34,8 +55,63 @@ if (args.includes('--cli')) {
 async function startWorker() {
   logger.info('Starting in WORKER mode...');
 
-  // The worker module starts itself when imported
-  await import('./workers/price-monitor.worker.js');
+  const { startWorker: startPriceMonitorWorker } = await import('./workers/price-monitor.worker.js');
+  await startPriceMonitorWorker();
+}
+
+/**
+ * Start in standalone mode — worker, scheduler, queue and storage in one process
+ */
+async function startStandalone() {
+  logger.info('Starting in STANDALONE mode...');
+
+  // Everything stays on this machine: file-backed queue and storage
+  process.env.QUEUE_TRANSPORT = 'local';
+  process.env.STORAGE_BACKEND = 'local';
+
+  const searchesFile = path.resolve(
+    getArgValue('searches') ||
+    process.env.STANDALONE_SEARCHES_FILE ||
+    'config/searches.yaml'
+  );
+
+  const storageService = (await import('./services/storage/index.js')).default;
+  const searchFileService = (await import('./services/search-file.service.js')).default;
+
+  await storageService.initialize();
+  const searches = await searchFileService.load(searchesFile);
+  const summary = await searchFileService.sync(searches);
+
+  logger.info('Standalone searches loaded', { searchesFile, count: searches.length, ...summary });
+
+  // The worker starts the job receiver and the scheduler
+  const { startWorker: startPriceMonitorWorker } = await import('./workers/price-monitor.worker.js');
+  await startPriceMonitorWorker();
+}
+
+/**
+ * Run a dry-run preview of one search and exit
+ */
+async function startPreview() {
+  logger.info('Starting in PREVIEW mode...');
+
+  const PreviewRunner = (await import('./workers/preview-runner.js')).default;
+  const out = getArgValue('out');
+  const fixture = getArgValue('fixture') || process.env.SCRAPER_FIXTURE;
+  const result = await new PreviewRunner().run({
+    searchId: getArgValue('search'),
+    userId: getArgValue('user'),
+    url: getArgValue('url'),
+    callModel: args.includes('--call-llm'),
+    outputDir: out ? path.resolve(out) : undefined,
+    fixture: fixture ? path.resolve(fixture) : undefined,
+    profile: getArgValue('profile')
+  });
+
+  await require('./booking-scraper.cjs').browserPool.close();
+
+  console.log(`\n👀 Preview written to ${result.outputDir} (${result.hotels} hotels)\n`);
+  process.exit(0);
 }
 
 /**
@@ -52,7 +128,7 @@ async function startCLI() {
 
   class BookingPriceMonitor {
     constructor() {
-      this.scraper = new BookingScraper();
+      this.scraper = new BookingScraper({ fixture: process.env.SCRAPER_FIXTURE });
       this.parser = new PriceParser();
       this.exporter = new CSVExporter();
       this.insightsService = new InsightsService();
@@ -140,6 +216,7 @@ async function startCLI() {
     await monitor.runScheduled(interval);
   } else {
     await monitor.run();
+    await BookingScraper.browserPool.close();
   }
 }
 
@@ -158,6 +235,12 @@ async function main() {
       case 'worker':
         await startWorker();
         break;
+      case 'standalone':
+        await startStandalone();
+        break;
+      case 'preview':
+        await startPreview();
+        break;
       case 'cli':
         await startCLI();
         break;
@@ -171,16 +254,19 @@ async function main() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  logger.info('SIGINT received, shutting down gracefully...');
-  process.exit(0);
-});
+// Worker and standalone modes install their own handlers that drain
+// in-flight jobs (see price-monitor.worker.js); the one-shot modes just exit
+if (mode === 'cli' || mode === 'preview') {
+  process.on('SIGTERM', async () => {
+    logger.info('SIGTERM received, shutting down...');
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    logger.info('SIGINT received, shutting down...');
+    process.exit(0);
+  });
+}
 
 // Run only if this is the main module
 if (process.argv[1] === __filename) {
@@ -2,6 +2,8 @@ const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
 const logger = require('./logger.cjs');
+const metrics = require('./metrics.cjs');
+const { buildPriceCalendar } = require('./date-grid.cjs');
 
 const DEFAULT_MAX_HISTORY_ROWS = 2000;
 const DEFAULT_MAX_PRICE_CHANGES = 10;
@@ -151,6 +153,14 @@ class InsightsService {
       priceText: row['Original Price Text'] || '',
       numericPrice: this.toNumber(row['Numeric Price']),
       currency: row['Currency'] || '',
+      reviewCount: this.toNumber(row['Review Count']) || null,
+      stars: this.toNumber(row['Stars']) || null,
+      distanceKm: row['Distance (km)'] ? this.toNumber(row['Distance (km)']) : null,
+      distanceFrom: row['Distance From'] || null,
+      freeCancellation: row['Free Cancellation'] === 'true',
+      noPrepayment: row['No Prepayment'] === 'true',
+      breakfastIncluded: row['Breakfast Included'] === 'true',
+      roomsLeft: this.toNumber(row['Rooms Left']) || null,
       url: row['Hotel URL'] || '',
       extractedAt,
       extractedDate
@@ -277,11 +287,44 @@ class InsightsService {
       priceText: row.priceText,
       numericPrice: row.numericPrice,
       currency: row.currency,
+      originalPrice: row.originalPrice || undefined,
+      discountPercent: row.discountPercent || undefined,
+      deals: Array.isArray(row.deals) && row.deals.length > 0 ? row.deals : undefined,
+      reviewCount: row.reviewCount ?? undefined,
+      stars: row.stars ?? undefined,
+      distanceKm: row.distanceKm ?? undefined,
+      distanceFrom: row.distanceFrom || undefined,
+      freeCancellation: row.freeCancellation || undefined,
+      noPrepayment: row.noPrepayment || undefined,
+      breakfastIncluded: row.breakfastIncluded || undefined,
+      roomsLeft: row.roomsLeft ?? undefined,
+      poiDistanceKm: row.poiDistanceKm ?? undefined,
       url: row.url,
-      units: Array.isArray(row.units) && row.units.length > 0 ? row.units : undefined
+      units: Array.isArray(row.units) && row.units.length > 0 ? row.units : undefined,
+      checkIn: row.checkIn || undefined,
+      checkOut: row.checkOut || undefined,
+      nights: row.nights || undefined
     };
   }
 
+  /**
+   * One row per hotel: its cheapest stay by price per night. Rows of a
+   * flexible-date run list each hotel once per stay.
+   */
+  cheapestRowPerHotel(rows) {
+    const perNight = row => (row.numericPrice > 0 ? row.numericPrice / (row.nights || 1) : Infinity);
+    const hotels = new Map();
+    rows.forEach(row => {
+      const key = this.getRowKey(row);
+      if (!key) return;
+      const existing = hotels.get(key);
+      if (!existing || perNight(row) < perNight(existing)) {
+        hotels.set(key, row);
+      }
+    });
+    return [...hotels.values()];
+  }
+
   getRowKey(row) {
     if (row.url) return this.normalizeUrl(row.url);
     if (!row.name) return null;
@@ -333,6 +376,7 @@ class InsightsService {
     }
 
     const data = await response.json();
+    metrics.recordLLMUsage('insights', data);
     const content = this.extractContent(data);
     if (!content) {
       const keys = data && typeof data === 'object' ? Object.keys(data) : [];
@@ -452,6 +496,10 @@ class InsightsService {
       'Use the searchContext to make recommendations specific to the trip (e.g., mention the destination, stay duration, group size).',
       'Each hotel may include a "units" array. Each unit has: name, quantity, bedrooms, bathrooms, livingRooms, kitchens, area (m²), bedsCount, beds (raw text). Use this to highlight room options that best match the group size and trip duration (e.g. apartments with enough bedrooms, kitchens for long stays).',
       'Prices in the data are per night unless stated otherwise.',
+      'When searchContext.pointOfInterest is set, hotels carry poiDistanceKm, their straight-line distance to it in km; take it into account when recommending.',
+      'Hotels may also carry reviewCount, stars, distanceKm with distanceFrom (centre or beach), freeCancellation, noPrepayment, breakfastIncluded and roomsLeft ("only N left at this price"). The payload lists the latest run\'s cheapestHotels with these attributes, and the summary counts hotels with free cancellation, no prepayment, breakfast and few rooms left. Weigh flexibility (free cancellation, no prepayment) and scarcity in the recommendations, not just price: a hotel with few rooms left may not be available on the next run.',
+      'numericPrice is the payable price after any discount; discounted hotels also carry originalPrice (the strike-through price), discountPercent and deals (e.g. genius, limited_time_deal, early_booking). Mention notable deals, but compare hotels by the payable price.',
+      'For flexible-date searches searchContext.dateWindow is set and the payload includes a priceCalendar: stays (check-in, check-out, nights, cheapest price and hotel of each), cheapestStays overall and cheapestPerHotel. These prices are for the whole stay, with pricePerNight alongside; hotel rows are each hotel\'s cheapest stay. Recommend the best dates as well as the best hotel.',
       'Keep tone professional and concise. If a section has no data, say "No significant updates".',
       'Inline styles should be minimal and match a light email theme.'
     ].join(' ');
@@ -490,7 +538,11 @@ class InsightsService {
       average: Math.round((sum / prices.length) * 100) / 100,
       min: Math.min(...prices),
       max: Math.max(...prices),
-      currency: rows[0]?.currency || 'EUR'
+      currency: rows[0]?.currency || 'EUR',
+      freeCancellation: rows.filter(r => r.freeCancellation).length,
+      noPrepayment: rows.filter(r => r.noPrepayment).length,
+      breakfastIncluded: rows.filter(r => r.breakfastIncluded).length,
+      fewRoomsLeft: rows.filter(r => r.roomsLeft).length
     };
   }
 
@@ -500,6 +552,168 @@ class InsightsService {
 
   // ==================== IN-MEMORY DATA API (for Worker) ====================
 
+  /**
+   * Build the comparison payload sent to the LLM from in-memory price data
+   * (latest run vs previous run and vs all history, plus search context).
+   *
+   * @param {Array} priceRecords - Array of price objects from the DB
+   * @param {Object} searchCriteria - The search criteria object from the DB
+   * @returns {Object|null} Payload, or null when there is no run data
+   */
+  buildInsightsPayload(priceRecords, searchCriteria) {
+    const insightsConfig = this.config.insights || {};
+
+    if (!priceRecords || priceRecords.length === 0) {
+      logger.warn('No price records available for insights');
+      return null;
+    }
+
+    // Normalize DB records into the same shape the CSV-based code uses
+    const rows = priceRecords.map(p => ({
+      name: p.hotelName || '',
+      rating: p.rating || '',
+      location: p.location || '',
+      cityName: p.cityName || '',
+      priceText: p.originalPriceText || '',
+      numericPrice: typeof p.numericPrice === 'number' ? p.numericPrice : this.toNumber(p.numericPrice),
+      currency: p.currency || '',
+      originalPrice: p.originalPrice || null,
+      discountPercent: p.discountPercent || null,
+      deals: Array.isArray(p.deals) ? p.deals : [],
+      reviewCount: p.reviewCount ?? null,
+      stars: p.stars ?? null,
+      distanceKm: p.distanceKm ?? null,
+      distanceFrom: p.distanceFrom || null,
+      freeCancellation: p.freeCancellation === true,
+      noPrepayment: p.noPrepayment === true,
+      breakfastIncluded: p.breakfastIncluded === true,
+      roomsLeft: p.roomsLeft ?? null,
+      poiDistanceKm: p.poiDistanceKm ?? null,
+      url: p.hotelUrl || '',
+      units: Array.isArray(p.units) ? p.units : [],
+      checkIn: p.checkIn || '',
+      checkOut: p.checkOut || '',
+      nights: p.nights || 0,
+      extractedAt: p.extractedAt || '',
+      extractedDate: this.toDateString(p.extractedAt)
+    }));
+
+    let runs = this.groupRowsByRun(rows);
+    if (!runs.length) {
+      logger.warn('No run data available for insights');
+      return null;
+    }
+
+    // Flexible dates: runs are compared hotel by hotel at each hotel's cheapest stay
+    const dateWindow = searchCriteria.dateWindow || null;
+    let priceCalendar = null;
+    if (dateWindow) {
+      const latestTimes = new Set(runs[0].rows.map(row => row.extractedAt));
+      priceCalendar = this.summarizePriceCalendar(
+        buildPriceCalendar(priceRecords.filter(p => latestTimes.has(p.extractedAt))),
+        insightsConfig
+      );
+      runs = runs.map(run => ({ ...run, rows: this.cheapestRowPerHotel(run.rows) }));
+    }
+
+    const latestRun = runs[0];
+    const previousRun = runs.length > 1 ? runs[1] : { rows: [], timestamp: null };
+    const historyRows = runs.slice(1).flatMap(r => r.rows);
+
+    const compareVsPrevious = this.compareRuns(latestRun.rows, previousRun.rows, insightsConfig);
+    const compareHistory = this.compareRuns(latestRun.rows, historyRows, insightsConfig);
+
+    // Build search context from the DB criteria instead of config file
+    const checkIn = searchCriteria.checkIn || '';
+    const checkOut = searchCriteria.checkOut || '';
+    let nights = 0;
+    if (checkIn && checkOut) {
+      const diff = new Date(checkOut) - new Date(checkIn);
+      nights = Math.max(0, Math.round(diff / 86400000));
+    }
+    const searchContext = {
+      destination: searchCriteria.cityName || searchCriteria.destination || '',
+      checkIn,
+      checkOut,
+      nights,
+      adults: searchCriteria.adults || 0,
+      children: searchCriteria.children || 0,
+      childAge: searchCriteria.childAge || null,
+      rooms: searchCriteria.rooms || 1,
+      currency: searchCriteria.currency || 'EUR',
+      minPriceFilter: searchCriteria.minPrice || null,
+      mealPlan: searchCriteria.mealPlan || null,
+      dateWindow,
+      pointOfInterest: searchCriteria.pointOfInterest || null
+    };
+
+    return {
+      latestTimestamp: latestRun.timestamp,
+      previousTimestamp: previousRun.timestamp,
+      latestCount: latestRun.rows.length,
+      previousCount: previousRun.rows.length,
+      historyCount: historyRows.length,
+      totalRuns: runs.length,
+      vsLastRun: compareVsPrevious,
+      vsAllHistory: compareHistory,
+      searchContext,
+      summary: this.computeSummaryStats(latestRun.rows),
+      cheapestHotels: latestRun.rows
+        .filter(row => row.numericPrice > 0)
+        .sort((a, b) => a.numericPrice - b.numericPrice)
+        .slice(0, insightsConfig.maxNewHotels || DEFAULT_MAX_NEW_HOTELS)
+        .map(row => this.pickHotelFields(row)),
+      ...(priceCalendar ? { priceCalendar } : {})
+    };
+  }
+
+  /**
+   * Price calendar of the latest run, trimmed for the LLM payload
+   * @param {Object} calendar - From date-grid.cjs buildPriceCalendar
+   */
+  summarizePriceCalendar(calendar, insightsConfig) {
+    const maxHotels = insightsConfig.maxNewHotels || DEFAULT_MAX_NEW_HOTELS;
+    const stay = item => ({
+      checkIn: item.checkIn,
+      checkOut: item.checkOut,
+      nights: item.nights,
+      price: item.numericPrice ?? item.price,
+      pricePerNight: item.pricePerNight,
+      currency: item.currency
+    });
+
+    return {
+      stays: calendar.stays.map(item => ({ ...stay(item), hotels: item.hotels, cheapestHotel: item.hotelName })),
+      cheapestStays: calendar.cheapestStays.map(item => ({ ...stay(item), hotelName: item.hotelName })),
+      cheapestPerHotel: calendar.hotels.slice(0, maxHotels).map(item => ({
+        hotelName: item.hotelName,
+        ...stay(item),
+        staysAvailable: item.staysAvailable
+      }))
+    };
+  }
+
+  /**
+   * Build the Azure OpenAI chat request for a payload
+   * @param {Object} payload - Result of buildInsightsPayload()
+   * @param {Array} conversationMessages - Existing conversation messages array
+   */
+  buildInsightsRequest(payload, conversationMessages) {
+    const systemMessage = {
+      role: 'system',
+      content: this.formatMessageContent(this.buildSystemPrompt())
+    };
+
+    return {
+      messages: [systemMessage, ...(conversationMessages || []), {
+        role: 'user',
+        content: this.formatMessageContent(JSON.stringify(payload))
+      }],
+      temperature: 0.2,
+      max_completion_tokens: 78000
+    };
+  }
+
   /**
    * Generate insights from in-memory price data (from Cosmos DB),
    * rather than from a CSV file path.
@@ -508,99 +722,37 @@ class InsightsService {
    * @param {Array} priceRecords  - Array of price objects from Cosmos DB
    * @param {Array} conversationMessages - Existing conversation messages array
    * @param {Object} searchCriteria - The search criteria object from the DB
-   * @returns {Object} { html, conversation } where conversation is the updated messages array
+   * @param {Object} options - { callModel: false to only build the request (preview) }
+   * @returns {Object} { html, conversation, payload, request } where conversation is the updated messages array
    */
-  async generateInsightsFromData(priceRecords, conversationMessages, searchCriteria) {
+  async generateInsightsFromData(priceRecords, conversationMessages, searchCriteria, options = {}) {
     const insightsConfig = this.config.insights || {};
     const enabled = insightsConfig.enabled !== false;
     const apiKey = process.env.AZURE_OPENAI_API_KEY;
     const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+    const callModel = options.callModel !== false;
+    const history = conversationMessages || [];
 
-    if (!enabled || !apiKey || !endpoint) {
-      logger.info('Insights disabled or Azure OpenAI config missing, skipping insights');
-      return { html: null, conversation: conversationMessages || [] };
-    }
+    let payload = null;
+    let request = null;
 
     try {
-      if (!priceRecords || priceRecords.length === 0) {
-        logger.warn('No price records available for insights');
-        return { html: null, conversation: conversationMessages || [] };
+      payload = this.buildInsightsPayload(priceRecords, searchCriteria);
+      if (!payload) {
+        return { html: null, conversation: history, payload, request };
       }
 
-      // Normalize DB records into the same shape the CSV-based code uses
-      const rows = priceRecords.map(p => ({
-        name: p.hotelName || '',
-        rating: p.rating || '',
-        location: p.location || '',
-        cityName: p.cityName || '',
-        priceText: p.originalPriceText || '',
-        numericPrice: typeof p.numericPrice === 'number' ? p.numericPrice : this.toNumber(p.numericPrice),
-        currency: p.currency || '',
-        url: p.hotelUrl || '',
-        units: Array.isArray(p.units) ? p.units : [],
-        extractedAt: p.extractedAt || '',
-        extractedDate: this.toDateString(p.extractedAt)
-      }));
+      // Use the conversation messages from DB instead of the local file
+      request = this.buildInsightsRequest(payload, history);
 
-      const runs = this.groupRowsByRun(rows);
-      if (!runs.length) {
-        logger.warn('No run data available for insights');
-        return { html: null, conversation: conversationMessages || [] };
+      if (!callModel) {
+        return { html: null, conversation: history, payload, request };
       }
 
-      const latestRun = runs[0];
-      const previousRun = runs.length > 1 ? runs[1] : { rows: [], timestamp: null };
-      const historyRows = runs.slice(1).flatMap(r => r.rows);
-
-      const compareVsPrevious = this.compareRuns(latestRun.rows, previousRun.rows, insightsConfig);
-      const compareHistory = this.compareRuns(latestRun.rows, historyRows, insightsConfig);
-
-      // Build search context from the DB criteria instead of config file
-      const checkIn = searchCriteria.checkIn || '';
-      const checkOut = searchCriteria.checkOut || '';
-      let nights = 0;
-      if (checkIn && checkOut) {
-        const diff = new Date(checkOut) - new Date(checkIn);
-        nights = Math.max(0, Math.round(diff / 86400000));
+      if (!enabled || !apiKey || !endpoint) {
+        logger.info('Insights disabled or Azure OpenAI config missing, skipping insights');
+        return { html: null, conversation: history, payload, request };
       }
-      const searchContext = {
-        destination: searchCriteria.cityName || searchCriteria.destination || '',
-        checkIn,
-        checkOut,
-        nights,
-        adults: searchCriteria.adults || 0,
-        children: searchCriteria.children || 0,
-        childAge: searchCriteria.childAge || null,
-        rooms: searchCriteria.rooms || 1,
-        currency: searchCriteria.currency || 'EUR',
-        minPriceFilter: searchCriteria.minPrice || null,
-        mealPlan: searchCriteria.mealPlan || null
-      };
-
-      const payload = {
-        latestTimestamp: latestRun.timestamp,
-        previousTimestamp: previousRun.timestamp,
-        latestCount: latestRun.rows.length,
-        previousCount: previousRun.rows.length,
-        historyCount: historyRows.length,
-        totalRuns: runs.length,
-        vsLastRun: compareVsPrevious,
-        vsAllHistory: compareHistory,
-        searchContext,
-        summary: this.computeSummaryStats(latestRun.rows)
-      };
-
-      // Use the conversation messages from DB instead of the local file
-      const history = conversationMessages || [];
-      const systemMessage = {
-        role: 'system',
-        content: this.formatMessageContent(this.buildSystemPrompt())
-      };
-
-      const messages = [systemMessage, ...history, {
-        role: 'user',
-        content: this.formatMessageContent(JSON.stringify(payload))
-      }];
 
       const response = await fetch(endpoint, {
         method: 'POST',
@@ -608,11 +760,7 @@ class InsightsService {
           'Content-Type': 'application/json',
           'api-key': apiKey
         },
-        body: JSON.stringify({
-          messages,
-          temperature: 0.2,
-          max_completion_tokens: 78000
-        })
+        body: JSON.stringify(request)
       });
 
       if (!response.ok) {
@@ -621,6 +769,7 @@ class InsightsService {
       }
 
       const data = await response.json();
+      metrics.recordLLMUsage('insights', data);
       const content = this.extractContent(data);
 
       if (!content) {
@@ -640,10 +789,10 @@ class InsightsService {
       const maxMessages = Math.max(2, maxPairs * 2);
       const trimmedConversation = updatedConversation.slice(-maxMessages);
 
-      return { html: content, conversation: trimmedConversation };
+      return { html: content, conversation: trimmedConversation, payload, request };
     } catch (error) {
       logger.error('Failed to generate insights from data:', error);
-      return { html: null, conversation: conversationMessages || [] };
+      return { html: null, conversation: history, payload, request };
     }
   }
 }
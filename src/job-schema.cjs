@@ -0,0 +1,122 @@
+/**
+ * Job Message Schema
+ * Shape of the body of every message on the job queue. The producers
+ * (scheduler, web app) and the worker validate against the same schema:
+ * enqueueJob/enqueueBatch reject invalid jobs, the receiver dead-letters
+ * them with reason `InvalidJobMessage`.
+ *
+ * Version 1:
+ *
+ *   {
+ *     version: 1,                  // optional on receive, producers always set it
+ *     searchId: 'abc123',          // required
+ *     userId: 'user-1',            // required
+ *     scheduleType: 'scheduled',   // scheduled | manual | backfill | preview (default: scheduled)
+ *     requestedBy: 'user-1',       // optional, who asked for a manual run
+ *     requestedAt: '2025-…Z',      // optional ISO timestamp
+ *     callModel: false,            // preview only: also call the LLM
+ *
+ *     // Set by the job queue on scheduled retries
+ *     runId, attempt, retryOf, lastError: { errorClass, message }
+ *   }
+ *
+ * Unknown fields are ignored so producers can add fields within a version.
+ */
+
+const JOB_MESSAGE_VERSION = 1;
+
+/**
+ * Job types (`scheduleType`):
+ * - scheduled: periodic run enqueued by the scheduler
+ * - manual:    "run now" from the web app
+ * - backfill:  collect prices only, no insights or email, schedule untouched
+ * - preview:   dry run, nothing is written (see preview-runner.js)
+ */
+const JOB_TYPES = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+  BACKFILL: 'backfill',
+  PREVIEW: 'preview'
+};
+
+const SUPPORTED_VERSIONS = [1];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+/**
+ * Validate a job message body
+ * @param {Object} body - Message body
+ * @returns {Object} { valid, errors, job } - job is the normalized body when valid
+ */
+function validateJobMessage(body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, errors: ['message body must be a JSON object'], job: null };
+  }
+
+  const version = body.version === undefined ? JOB_MESSAGE_VERSION : body.version;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    errors.push(`unsupported version ${JSON.stringify(body.version)} (supported: ${SUPPORTED_VERSIONS.join(', ')})`);
+  }
+
+  if (!isNonEmptyString(body.searchId)) {
+    errors.push('searchId is required and must be a non-empty string');
+  }
+  if (!isNonEmptyString(body.userId)) {
+    errors.push('userId is required and must be a non-empty string');
+  }
+
+  const scheduleType = body.scheduleType === undefined ? JOB_TYPES.SCHEDULED : body.scheduleType;
+  if (!Object.values(JOB_TYPES).includes(scheduleType)) {
+    errors.push(`scheduleType must be one of ${Object.values(JOB_TYPES).join(', ')} (got ${JSON.stringify(body.scheduleType)})`);
+  }
+
+  if (!isOptionalString(body.runId) || body.runId === '') {
+    errors.push('runId must be a non-empty string');
+  }
+  if (body.attempt !== undefined && (!Number.isInteger(body.attempt) || body.attempt < 1)) {
+    errors.push('attempt must be a positive integer');
+  }
+  if (!isOptionalString(body.retryOf)) {
+    errors.push('retryOf must be a string');
+  }
+  if (body.lastError !== undefined && body.lastError !== null && typeof body.lastError !== 'object') {
+    errors.push('lastError must be an object');
+  }
+  if (!isOptionalString(body.requestedBy)) {
+    errors.push('requestedBy must be a string');
+  }
+  if (body.requestedAt !== undefined && body.requestedAt !== null &&
+      (typeof body.requestedAt !== 'string' || Number.isNaN(Date.parse(body.requestedAt)))) {
+    errors.push('requestedAt must be an ISO timestamp');
+  }
+  if (body.callModel !== undefined && typeof body.callModel !== 'boolean') {
+    errors.push('callModel must be a boolean');
+  }
+  if (body.callModel !== undefined && scheduleType !== JOB_TYPES.PREVIEW) {
+    errors.push('callModel is only allowed for preview jobs');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, job: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    job: { ...body, version, scheduleType }
+  };
+}
+
+module.exports = {
+  JOB_MESSAGE_VERSION,
+  JOB_TYPES,
+  validateJobMessage
+};
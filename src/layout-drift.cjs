@@ -0,0 +1,179 @@
+/**
+ * Layout Drift Detection
+ * After each scrape the scraper reports, per extracted field, the share of
+ * result cards where the field was found (its fill rate) and how many cards
+ * needed a fallback selector. A sudden drop in fill rate means Booking.com
+ * changed its markup and the selector registry (selectors.cjs) is stale.
+ *
+ * A field drifts when its fill rate is below `min`, or when it is more than
+ * `maxDrop` below its baseline: the median fill rate of recent completed
+ * runs. Drift on a critical field (name, price) would silently drop hotels
+ * from the results, so the job fails with LayoutDriftError; drift on other
+ * fields is only reported.
+ */
+
+const EXTRACTED_FIELDS = ['name', 'price', 'rating', 'location', 'url', 'units'];
+const CRITICAL_FIELDS = ['name', 'price'];
+
+/**
+ * Default thresholds per field. Override with LAYOUT_DRIFT_THRESHOLDS (JSON),
+ * e.g. {"rating":{"min":0.1}}.
+ */
+const DEFAULT_THRESHOLDS = {
+  name: { min: 0.9, maxDrop: 0.2 },
+  price: { min: 0.7, maxDrop: 0.25 },
+  rating: { min: 0.2, maxDrop: 0.35 },
+  location: { min: 0.3, maxDrop: 0.35 },
+  url: { min: 0.9, maxDrop: 0.2 },
+  units: { min: 0, maxDrop: 0.5 }
+};
+
+function isFilled(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Build the extraction report of one scrape
+ * @param {Array} cards - Extracted cards before filtering, each with `matched`
+ *   ({ field: index of the selector that matched })
+ * @param {string} registryVersion - Selector registry version used
+ * @returns {Object} { registryVersion, cards, fillRates, fallbacks }
+ */
+function buildExtractionReport(cards, registryVersion) {
+  const fillRates = {};
+  const fallbacks = {};
+
+  EXTRACTED_FIELDS.forEach(field => {
+    const filled = cards.filter(card => isFilled(card[field])).length;
+    fillRates[field] = cards.length > 0 ? round(filled / cards.length) : 0;
+  });
+
+  cards.forEach(card => {
+    Object.entries(card.matched || {}).forEach(([field, index]) => {
+      if (index > 0) {
+        fallbacks[field] = (fallbacks[field] || 0) + 1;
+      }
+    });
+  });
+
+  return {
+    registryVersion,
+    cards: cards.length,
+    fillRates,
+    fallbacks,
+    extractedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Combine the reports of several pages of one scrape (offline fixtures)
+ * @param {Array} reports - From buildExtractionReport
+ * @returns {Object|null} One report, fill rates weighted by card count
+ */
+function mergeExtractionReports(reports) {
+  const valid = reports.filter(Boolean);
+  if (valid.length === 0) {
+    return null;
+  }
+
+  const cards = valid.reduce((sum, report) => sum + report.cards, 0);
+  const fillRates = {};
+  const fallbacks = {};
+
+  EXTRACTED_FIELDS.forEach(field => {
+    const filled = valid.reduce((sum, report) => sum + (report.fillRates[field] || 0) * report.cards, 0);
+    fillRates[field] = cards > 0 ? round(filled / cards) : 0;
+  });
+  valid.forEach(report => {
+    Object.entries(report.fallbacks || {}).forEach(([field, count]) => {
+      fallbacks[field] = (fallbacks[field] || 0) + count;
+    });
+  });
+
+  return {
+    registryVersion: valid[0].registryVersion,
+    cards,
+    fillRates,
+    fallbacks,
+    extractedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Merge LAYOUT_DRIFT_THRESHOLDS-style overrides into the defaults
+ * @param {Object} overrides - { field: { min, maxDrop } }
+ */
+function resolveThresholds(overrides = {}) {
+  const thresholds = {};
+  EXTRACTED_FIELDS.forEach(field => {
+    thresholds[field] = { ...DEFAULT_THRESHOLDS[field], ...(overrides[field] || {}) };
+  });
+  return thresholds;
+}
+
+/**
+ * Compare a report with the reports of recent runs
+ * @param {Object} report - From buildExtractionReport
+ * @param {Array} recentReports - Reports of recent completed runs, newest first
+ * @param {Object} options - { thresholds, minCards, minBaselineRuns }
+ * @returns {Object} { drifted, critical, fields: [{ field, fillRate, baseline, reason }] }
+ */
+function detectLayoutDrift(report, recentReports = [], options = {}) {
+  const thresholds = options.thresholds || resolveThresholds();
+  const minCards = options.minCards ?? 5;
+  const minBaselineRuns = options.minBaselineRuns ?? 3;
+
+  // Too few cards to say anything about fill rates
+  if (!report || report.cards < minCards) {
+    return { drifted: false, critical: false, fields: [] };
+  }
+
+  const baselineReports = recentReports.filter(recent => recent?.fillRates && recent.cards >= minCards);
+  const fields = [];
+
+  EXTRACTED_FIELDS.forEach(field => {
+    const fillRate = report.fillRates[field] ?? 0;
+    const { min, maxDrop } = thresholds[field];
+    const history = baselineReports
+      .map(recent => recent.fillRates[field])
+      .filter(value => typeof value === 'number');
+    const baseline = history.length >= minBaselineRuns ? round(median(history)) : null;
+
+    if (fillRate < min) {
+      fields.push({ field, fillRate, baseline, reason: `fill rate ${fillRate} is below the minimum ${min}` });
+    } else if (baseline !== null && baseline - fillRate > maxDrop) {
+      fields.push({
+        field,
+        fillRate,
+        baseline,
+        reason: `fill rate ${fillRate} dropped more than ${maxDrop} below the recent median ${baseline}`
+      });
+    }
+  });
+
+  return {
+    drifted: fields.length > 0,
+    critical: fields.some(({ field }) => CRITICAL_FIELDS.includes(field)),
+    fields
+  };
+}
+
+module.exports = {
+  EXTRACTED_FIELDS,
+  CRITICAL_FIELDS,
+  DEFAULT_THRESHOLDS,
+  buildExtractionReport,
+  mergeExtractionReports,
+  resolveThresholds,
+  detectLayoutDrift
+};
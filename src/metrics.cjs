@@ -0,0 +1,196 @@
+/**
+ * Process-wide metrics in Prometheus text exposition format (version 0.0.4).
+ * Instrumented code records into the predefined metrics below; the health
+ * server renders them on GET /metrics. Gauges that describe current state
+ * (scheduler, lock, active jobs) are filled by collectors at render time.
+ */
+
+const PREFIX = 'vacationmonitor_';
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function labelKey(labels = {}) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatLabels(labels = {}, extra = {}) {
+  const all = { ...labels, ...extra };
+  const keys = Object.keys(all);
+  if (keys.length === 0) {
+    return '';
+  }
+  const pairs = keys.map(key => {
+    const value = String(all[key]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${key}="${value}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = `${PREFIX}${name}`;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(series => lines.push(...this.renderSeries(series)));
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels = {}, value = 0) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value = 0) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels(series.labels, { le: bound })} ${series.counts[index]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Register a function that updates gauges right before rendering
+   * @param {Function} collector
+   */
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   */
+  render() {
+    this.collectors.forEach(collector => {
+      try {
+        collector();
+      } catch {
+        // A broken collector must not break the whole scrape
+      }
+    });
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+const metrics = {
+  registry,
+
+  jobsProcessed: registry.counter('jobs_processed_total', 'Jobs finished, by outcome (completed, skipped, failed)'),
+  jobsFailed: registry.counter('jobs_failed_total', 'Failed jobs, by error class'),
+  stageDuration: registry.histogram('job_stage_duration_seconds', 'Duration of job pipeline stages, by stage and status'),
+  hotelsScraped: registry.counter('hotels_scraped_total', 'Hotels extracted from Booking.com result pages'),
+  scrapeFillRate: registry.gauge('scrape_field_fill_rate', 'Share of result cards with the field extracted in the last scrape, by field'),
+  scrapeArtifacts: registry.counter('scrape_artifacts_total', 'Failure artifact captures saved, by reason (scrape_failed, bot_challenge, empty_results, layout_drift)'),
+  layoutDrift: registry.counter('layout_drift_total', 'Scrapes where a field drifted below its fill-rate threshold, by field'),
+  botChallenges: registry.counter('bot_challenges_total', 'Bot challenge pages met while scraping, by kind (captcha, js_challenge, unusual_traffic, consent_wall)'),
+  propertyPages: registry.counter('property_pages_total', 'Property pages visited for room rates, by result (scraped, failed)'),
+  llmTokens: registry.counter('llm_tokens_total', 'Azure OpenAI tokens used, by caller and type (prompt, completion)'),
+  emailsSent: registry.counter('emails_sent_total', 'Email reports, by result (sent, failed)'),
+  eventsPublished: registry.counter('events_published_total', 'Worker events, by type, sink and result (sent, failed)'),
+  activeJobs: registry.gauge('worker_active_jobs', 'Jobs currently being processed by this worker'),
+  browserPoolBrowsers: registry.gauge('browser_pool_browsers', 'Pooled browsers, by state (in_use, idle)'),
+  browserPoolEvents: registry.counter('browser_pool_events_total', 'Browser pool events (launched, recycled, crashed, launch_failed)'),
+  schedulerRunning: registry.gauge('scheduler_running', '1 if the scheduler loop is running'),
+  schedulerTickLag: registry.gauge('scheduler_tick_lag_seconds', 'Seconds the scheduler is overdue for its next tick (0 when on time)'),
+  schedulerLastSuccess: registry.gauge('scheduler_last_success_timestamp_seconds', 'Unix time of the last successful scheduler tick'),
+  schedulerConsecutiveErrors: registry.gauge('scheduler_consecutive_errors', 'Consecutive failed scheduler ticks'),
+  schedulerLockHeld: registry.gauge('scheduler_lock_held', '1 if this instance holds the scheduler lock'),
+
+  /**
+   * Record token usage from an Azure OpenAI chat completion response
+   * @param {string} caller - insights | parser
+   * @param {Object} data - Response body with `usage`
+   */
+  recordLLMUsage(caller, data) {
+    const usage = data?.usage;
+    if (!usage) return;
+    if (usage.prompt_tokens) {
+      this.llmTokens.inc({ caller, type: 'prompt' }, usage.prompt_tokens);
+    }
+    if (usage.completion_tokens) {
+      this.llmTokens.inc({ caller, type: 'completion' }, usage.completion_tokens);
+    }
+  }
+};
+
+module.exports = metrics;
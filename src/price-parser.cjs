@@ -1,6 +1,17 @@
 const logger = require('./logger.cjs');
+const metrics = require('./metrics.cjs');
 const config = require('../config/search-config.json');
 
+// Deal badges of result cards, by the code stored in price records
+const DEAL_BADGES = [
+  ['genius', /genius/i],
+  ['limited_time_deal', /limited[- ]time/i],
+  ['early_booking', /early[- ]?(?:booking|booker|bird)/i],
+  ['late_escape', /late escape|last[- ]minute/i],
+  ['getaway_deal', /getaway/i],
+  ['mobile_rate', /mobile/i]
+];
+
 class PriceParser {
   constructor() {
     this.priceRegex = /[\$,\s]*([\d,]+\.?\d*)/;
@@ -33,6 +44,69 @@ class PriceParser {
     }
   }
 
+  /**
+   * Every amount with a currency symbol in a price text, in order:
+   * "€ 500 € 400" → [500, 400]. Other numbers, like the guests and nights
+   * of "€ 1,050 for 2 adults", are not amounts.
+   */
+  parseAmounts(priceText) {
+    const symbols = this.currencySymbols.map(symbol => symbol.replace(/\$/g, '\\$')).join('|');
+    const number = '(\\d[\\d,]*(?:\\.\\d+)?)';
+    const pattern = new RegExp(`(?:${symbols})\\s*${number}|${number}\\s*(?:${symbols})`, 'g');
+    return [...(priceText || '').matchAll(pattern)]
+      .map(match => parseFloat((match[1] || match[2]).replace(/,/g, '')))
+      .filter(amount => amount > 0);
+  }
+
+  /**
+   * Price of a hotel from its card's price components (see card-extractor.cjs).
+   * The payable amount is the discounted one: the strike-through amount
+   * becomes originalPrice, also when both sit in the same price text.
+   * @param {Object} hotel - { price, priceComponents: { originalPrice, discountedPrice, taxes, badges } }
+   * @returns {Object|null} parsePrice result with numericPrice set to the payable amount, plus
+   *   originalPrice, discountPercent, deals (codes), dealBadges (texts), taxesIncluded, taxesAmount
+   */
+  parseHotelPrice(hotel) {
+    const components = hotel.priceComponents || {};
+    const priceText = components.discountedPrice || hotel.price;
+    const parsed = this.parsePrice(priceText);
+    if (!parsed) return null;
+
+    const amounts = this.parseAmounts(priceText);
+    const struck = components.originalPrice ? this.parsePrice(components.originalPrice) : null;
+    let numericPrice = parsed.numericPrice;
+    let originalPrice = struck?.isValid ? struck.numericPrice : null;
+
+    if (originalPrice !== null) {
+      const payable = amounts.filter(amount => amount !== originalPrice);
+      numericPrice = payable.length > 0 ? payable[payable.length - 1] : parsed.numericPrice;
+    } else if (amounts.length > 1 && amounts[amounts.length - 1] < amounts[0]) {
+      // No strike-through element: "€ 500 € 400" lists the original first
+      originalPrice = amounts[0];
+      numericPrice = amounts[amounts.length - 1];
+    }
+    if (!(originalPrice > numericPrice)) {
+      originalPrice = null;
+    }
+
+    const badges = components.badges || [];
+    const taxes = components.taxes || '';
+    const taxesIncluded = taxes ? /includ/i.test(taxes) && !/exclud|not includ/i.test(taxes) : null;
+    const taxesAmount = taxes && !taxesIncluded ? this.parsePrice(taxes) : null;
+
+    return {
+      ...parsed,
+      numericPrice,
+      isValid: !isNaN(numericPrice) && numericPrice > 0,
+      originalPrice,
+      discountPercent: originalPrice ? Math.round((1 - numericPrice / originalPrice) * 100) : null,
+      deals: DEAL_BADGES.filter(([, pattern]) => badges.some(badge => pattern.test(badge))).map(([code]) => code),
+      dealBadges: badges,
+      taxesIncluded,
+      taxesAmount: taxesAmount?.isValid ? taxesAmount.numericPrice : null
+    };
+  }
+
   detectCurrency(text) {
     for (const symbol of this.currencySymbols) {
       if (text.includes(symbol)) {
@@ -104,13 +178,13 @@ class PriceParser {
       return {
         ...hotel,
         aiParsed: aiData,
-        priceParsed: this.parsePrice(hotel.price)
+        priceParsed: this.parseHotelPrice(hotel)
       };
     } catch (error) {
       logger.warn(`AI enhancement failed for ${hotel.name}:`, error);
       return {
         ...hotel,
-        priceParsed: this.parsePrice(hotel.price)
+        priceParsed: this.parseHotelPrice(hotel)
       };
     }
   }
@@ -138,6 +212,7 @@ class PriceParser {
     }
 
     const data = await response.json();
+    metrics.recordLLMUsage('parser', data);
     return data?.choices?.[0]?.message?.content || data?.choices?.[0]?.text || '';
   }
 
@@ -154,7 +229,7 @@ class PriceParser {
   processHotels(hotels) {
     return hotels.map(hotel => ({
       ...hotel,
-      priceParsed: this.parsePrice(hotel.price)
+      priceParsed: this.parseHotelPrice(hotel)
     })).filter(hotel => hotel.priceParsed && hotel.priceParsed.isValid);
   }
 }
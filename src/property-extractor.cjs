@@ -0,0 +1,190 @@
+/**
+ * Property Page Extractor
+ * Reads the room table and house rules of a Booking.com property page.
+ *
+ * `extractPropertyPage` runs inside the page (`page.evaluate(extractPropertyPage,
+ * { selectors })`), so like card-extractor.cjs it must stay self-contained:
+ * plain DOM APIs only, no imports or outer variables. It returns raw texts;
+ * `parseRate` and `parsePolicies` turn them into typed fields in Node.
+ */
+
+/**
+ * @param {Object} options - { selectors } (selector registry fields)
+ * @returns {Object} { rates: [{ blockId, roomName, occupancy, maxGuests, price, originalPrice, taxes, conditions }], policies, latitude, longitude }
+ */
+function extractPropertyPage({ selectors }) {
+  const text = element => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+  const pick = (root, field) => {
+    for (const selector of selectors[field] || []) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+
+  let rows = [];
+  for (const selector of selectors.roomRow || []) {
+    rows = Array.from(document.querySelectorAll(selector));
+    if (rows.length > 0) break;
+  }
+
+  // The room name cell spans every rate row of its room
+  let roomName = '';
+  const rates = rows.map(row => {
+    const nameElement = pick(row, 'roomName');
+    if (nameElement) {
+      roomName = text(nameElement);
+    }
+
+    const occupancyElement = pick(row, 'roomOccupancy');
+    const occupancy = text(occupancyElement);
+    const guestsMatch = occupancy.match(/(\d+)/);
+    const icons = occupancyElement
+      ? occupancyElement.querySelectorAll('.c-occupancy-icons__adults i, .bicon-occupancy, [data-testid="occupancy-icon"]').length
+      : 0;
+
+    const conditionsElement = pick(row, 'rateConditions');
+    const items = conditionsElement ? Array.from(conditionsElement.querySelectorAll('li')).map(text).filter(Boolean) : [];
+
+    return {
+      blockId: row.getAttribute('data-block-id') || null,
+      roomName,
+      occupancy,
+      maxGuests: guestsMatch ? parseInt(guestsMatch[1], 10) : (icons || null),
+      price: text(pick(row, 'ratePrice')),
+      originalPrice: text(pick(row, 'rateOriginalPrice')),
+      taxes: text(pick(row, 'rateTaxes')),
+      conditions: items.length > 0 ? items : [text(conditionsElement)].filter(Boolean)
+    };
+  });
+
+  // Map data: data-atlas-latlng is "lat,lng", data-coords "lng,lat"
+  const mapElement = pick(document, 'propertyCoordinates');
+  const latLng = mapElement?.getAttribute('data-atlas-latlng')?.split(',').map(parseFloat);
+  const lngLat = mapElement?.getAttribute('data-coords')?.split(',').map(parseFloat);
+
+  return {
+    rates: rates.filter(rate => rate.roomName || rate.price),
+    policies: text(pick(document, 'policies')),
+    latitude: latLng ? latLng[0] : (lngLat ? lngLat[1] : null),
+    longitude: latLng ? latLng[1] : (lngLat ? lngLat[0] : null)
+  };
+}
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * "3 July 2026" or "July 3, 2026" → "2026-07-03"
+ */
+function toIsoDate(day, month, year) {
+  const index = MONTHS.findIndex(name => name.startsWith(month.toLowerCase().slice(0, 3)));
+  if (index < 0) return null;
+  return `${year}-${String(index + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Cancellation terms of a rate
+ * @param {string[]} conditions
+ * @returns {Object} { cancellation: free | non_refundable | null, cancellationDeadline: YYYY-MM-DD[THH:mm] | null }
+ */
+function parseCancellation(conditions) {
+  const line = conditions.find(condition => /cancell?ation|refundable/i.test(condition)) || '';
+
+  if (/non[- ]?refundable/i.test(line)) {
+    return { cancellation: 'non_refundable', cancellationDeadline: null };
+  }
+  if (!/free cancell?ation/i.test(line)) {
+    return { cancellation: null, cancellationDeadline: null };
+  }
+
+  const time = line.match(/(\d{1,2}:\d{2})/)?.[1];
+  const dayFirst = line.match(/(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})/);
+  const monthFirst = line.match(/([A-Za-z]+)\s+(\d{1,2}),?\s+(\d{4})/);
+  const date = dayFirst
+    ? toIsoDate(dayFirst[1], dayFirst[2], dayFirst[3])
+    : monthFirst ? toIsoDate(monthFirst[2], monthFirst[1], monthFirst[3]) : null;
+
+  return {
+    cancellation: 'free',
+    cancellationDeadline: date ? `${date}${time ? `T${time.padStart(5, '0')}` : ''}` : null
+  };
+}
+
+/**
+ * Meal plan of a rate, from its conditions
+ * @returns {string|null} all_inclusive | full_board | half_board | breakfast | room_only
+ */
+function parseMealPlan(conditions) {
+  const meals = conditions.join(' ').toLowerCase();
+  if (/all[- ]inclusive/.test(meals)) return 'all_inclusive';
+  if (/full board|all meals/.test(meals)) return 'full_board';
+  if (/half board|breakfast (?:&|and) dinner|dinner included/.test(meals)) return 'half_board';
+  if (/breakfast included|breakfast (?:is )?included|includes breakfast/.test(meals)) return 'breakfast';
+  if (/room only|no meals/.test(meals)) return 'room_only';
+  return null;
+}
+
+/**
+ * Prepayment terms of a rate
+ * @returns {string|null} none | required
+ */
+function parsePrepayment(conditions) {
+  const terms = conditions.join(' ');
+  if (/no prepayment/i.test(terms)) return 'none';
+  if (/prepayment|pay (?:online|in advance)|non[- ]?refundable/i.test(terms)) return 'required';
+  return null;
+}
+
+/**
+ * Typed fields of one raw rate
+ * @param {Object} raw - Rate from extractPropertyPage
+ * @param {Object} priceParser - PriceParser instance
+ */
+function parseRate(raw, priceParser) {
+  const price = priceParser.parseHotelPrice({
+    price: raw.price,
+    priceComponents: { originalPrice: raw.originalPrice, taxes: raw.taxes }
+  });
+
+  return {
+    blockId: raw.blockId ?? null,
+    roomName: raw.roomName,
+    maxGuests: raw.maxGuests ?? null,
+    occupancyText: raw.occupancy || null,
+    priceText: raw.price,
+    numericPrice: price?.isValid ? price.numericPrice : 0,
+    currency: price?.currency || null,
+    originalPrice: price?.originalPrice ?? null,
+    mealPlan: parseMealPlan(raw.conditions),
+    ...parseCancellation(raw.conditions),
+    prepayment: parsePrepayment(raw.conditions),
+    taxesIncluded: price?.taxesIncluded ?? null,
+    taxesAmount: price?.taxesAmount ?? null,
+    taxesText: raw.taxes || null,
+    conditions: raw.conditions
+  };
+}
+
+/**
+ * Check-in and check-out times from the house rules text, e.g.
+ * "Check-in From 15:00 to 22:00", "Check-out Until 10:00"
+ * @param {string} text - Policies section text
+ * @returns {Object} { checkInFrom, checkInUntil, checkOutFrom, checkOutUntil } (HH:mm or null)
+ */
+function parsePolicies(text) {
+  const times = label => {
+    const match = (text || '').match(new RegExp(`${label}\\s*(?:from\\s*)?(\\d{1,2}:\\d{2})?(?:\\s*(?:to|until|-|–)\\s*(\\d{1,2}:\\d{2}))?`, 'i'));
+    return match ? [match[1] || null, match[2] || null] : [null, null];
+  };
+  const [checkInFrom, checkInUntil] = times('Check-in');
+  const [checkOutFrom, checkOutUntil] = times('Check-out');
+
+  return { checkInFrom, checkInUntil, checkOutFrom, checkOutUntil };
+}
+
+module.exports = {
+  extractPropertyPage,
+  parseRate,
+  parsePolicies
+};
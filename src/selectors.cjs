@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger.cjs');
+
+/**
+ * Booking.com Selector Registry
+ * Every CSS selector the scraper depends on, with ordered fallbacks per
+ * field: the first selector that matches wins. When Booking changes its
+ * markup, add the new selector in front of the old one and bump the
+ * version, so fill-rate reports (see layout-drift.cjs) can be compared
+ * across registry versions.
+ *
+ * SCRAPER_SELECTORS_FILE points to a JSON file with the same shape
+ * ({ version, fields: { price: [...] } }); fields listed there replace the
+ * built-in lists, so selectors can be hotfixed without a release.
+ */
+
+const SELECTOR_REGISTRY = {
+  version: '2025.1',
+  fields: {
+    // Search results page
+    resultCard: [
+      '[data-testid="property-card"]',
+      '[data-testid="property-card-container"]'
+    ],
+    loadMore: [
+      '[data-testid="pagination-next"]',
+      'button[aria-label*="more"]',
+      'button[class*="load-more"]'
+    ],
+    cookieConsent: [
+      'button[data-testid="cookie-banner-strict-accept-all"]',
+      '#onetrust-accept-btn-handler'
+    ],
+
+    // Inside a result card
+    title: [
+      '[data-testid="title"]',
+      '[data-testid="property-card-title"]',
+      'h3'
+    ],
+    price: [
+      '[data-testid="price-and-discounted-price"]',
+      '[data-testid="availability-rate-information"] [aria-hidden="true"]'
+    ],
+    // Price components around the price (see PriceParser.parseHotelPrice)
+    originalPrice: [
+      '[data-testid="price-and-discounted-price"] s',
+      '[data-testid="price-and-discounted-price"] del',
+      '[data-testid="strikethrough-price"]',
+      '[data-testid="availability-rate-information"] s'
+    ],
+    taxesAndCharges: [
+      '[data-testid="taxes-and-charges"]',
+      '[data-testid="availability-rate-information"] [data-testid="taxes-and-charges"]'
+    ],
+    // Every match is collected, not only the first
+    dealBadge: [
+      '[data-testid="genius-badge"]',
+      '[data-testid="property-card-deal"]',
+      '[data-testid="deal-badge"]',
+      '[data-testid="availability-rate-information"] .bui-badge'
+    ],
+    rating: [
+      '[data-testid="review-score"]',
+      '[data-testid="review-score-component"]'
+    ],
+    stars: [
+      '[data-testid="rating-stars"]',
+      '[data-testid="rating-squares"]',
+      '[data-testid="rating-circles"]'
+    ],
+    distance: [
+      '[data-testid="distance"]',
+      '[data-testid="property-card-distance"]'
+    ],
+    // Map link carrying data-coords ("lng,lat") or data-atlas-latlng ("lat,lng")
+    coordinates: [
+      '[data-coords]',
+      '[data-atlas-latlng]',
+      '[data-latlng]'
+    ],
+    address: [
+      '[data-testid="address"]',
+      '[data-testid="location"]',
+      '[data-testid="property-card-subtitle"]'
+    ],
+    link: [
+      'a[data-testid="title-link"]',
+      'a[href*="/hotel/"]',
+      'a'
+    ],
+    recommendedUnits: [
+      '[data-testid="recommended-units"]'
+    ],
+    unitConfiguration: [
+      '[data-testid="property-card-unit-configuration"]'
+    ],
+
+    // Property detail page (see property-extractor.cjs)
+    roomRow: [
+      '#hprt-table tr[data-block-id]',
+      '#hprt-table tbody tr.js-rt-block-row',
+      '[data-testid="room-table"] tr[data-block-id]'
+    ],
+    roomName: [
+      '.hprt-roomtype-icon-link',
+      '.hprt-roomtype-link',
+      '[data-testid="room-name"]'
+    ],
+    roomOccupancy: [
+      '.hprt-occupancy-occupancy-info',
+      '[data-testid="occupancy"]'
+    ],
+    ratePrice: [
+      '.bui-price-display__value',
+      '.prco-valign-middle-helper',
+      '[data-testid="price-and-discounted-price"]'
+    ],
+    rateOriginalPrice: [
+      '.bui-price-display__original',
+      '[data-testid="strikethrough-price"]'
+    ],
+    rateTaxes: [
+      '.prd-taxes-and-fees-under-price',
+      '[data-testid="taxes-and-charges"]'
+    ],
+    rateConditions: [
+      '.hprt-table-cell-conditions',
+      '.hprt-conditions',
+      '[data-testid="policy-subtitle"]'
+    ],
+    propertyCoordinates: [
+      '#hotel_address[data-atlas-latlng]',
+      '[data-atlas-latlng]',
+      '[data-coords]'
+    ],
+    policies: [
+      '#hotelPoliciesInc',
+      '[data-testid="property-section--content"]',
+      '.policies-block'
+    ]
+  }
+};
+
+let registry = null;
+
+/**
+ * Load SCRAPER_SELECTORS_FILE over the built-in registry.
+ * An unreadable or invalid file is logged and ignored.
+ */
+function loadOverrides() {
+  const file = process.env.SCRAPER_SELECTORS_FILE;
+  if (!file) {
+    return SELECTOR_REGISTRY;
+  }
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+    const fields = { ...SELECTOR_REGISTRY.fields };
+
+    Object.entries(overrides.fields || {}).forEach(([field, selectors]) => {
+      if (!Array.isArray(selectors) || selectors.length === 0 || !selectors.every(s => typeof s === 'string' && s)) {
+        throw new Error(`fields.${field} must be a non-empty array of selectors`);
+      }
+      fields[field] = selectors;
+    });
+
+    const version = overrides.version || `${SELECTOR_REGISTRY.version}+local`;
+    logger.info('Loaded selector overrides', { file, version, fields: Object.keys(overrides.fields || {}) });
+    return { version, fields };
+  } catch (error) {
+    logger.warn('Ignoring invalid SCRAPER_SELECTORS_FILE, using built-in selectors', { file, error: error.message });
+    return SELECTOR_REGISTRY;
+  }
+}
+
+/**
+ * The registry in effect, resolved on first use (after dotenv has loaded)
+ * @returns {Object} { version, fields }
+ */
+function getSelectorRegistry() {
+  if (!registry) {
+    registry = loadOverrides();
+  }
+  return registry;
+}
+
+/**
+ * Ordered selectors for one field
+ * @param {string} field
+ * @returns {string[]}
+ */
+function getSelectors(field) {
+  const selectors = getSelectorRegistry().fields[field];
+  if (!selectors) {
+    throw new Error(`Unknown selector field "${field}"`);
+  }
+  return selectors;
+}
+
+module.exports = {
+  SELECTOR_REGISTRY,
+  getSelectorRegistry,
+  getSelectors
+};
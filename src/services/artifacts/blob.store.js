@@ -0,0 +1,118 @@
+/**
+ * Azure Blob Artifact Store
+ * Uploads artifacts as block blobs to the container in
+ * ARTIFACTS_BLOB_CONTAINER_URL, a container URL with a SAS token that allows
+ * create, write, list and delete:
+ *
+ *   https://<account>.blob.core.windows.net/<container>?sv=...&sig=...
+ *
+ * Blob names are <jobId>/<capture>/<file>. Stored locations are the blob
+ * URLs without the SAS token.
+ */
+
+const API_VERSION = '2021-08-06';
+
+class BlobArtifactStore {
+  /**
+   * @param {Object} options - { containerUrl, timeoutMs }
+   */
+  constructor({ containerUrl, timeoutMs = 30000 }) {
+    const url = new URL(containerUrl);
+    this.name = 'blob';
+    this.baseUrl = `${url.origin}${url.pathname.replace(/\/$/, '')}`;
+    this.sas = url.search.replace(/^\?/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  blobUrl(key) {
+    const encoded = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/${encoded}`;
+  }
+
+  async request(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'x-ms-version': API_VERSION, ...(options.headers || {}) },
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      const error = new Error(`Blob storage responded ${response.status} for ${options.method || 'GET'} ${url.split('?')[0]}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * @param {string} key - <jobId>/<capture>/<file>
+   * @param {Buffer|string} body
+   * @param {string} contentType
+   * @returns {Promise<string>} Blob URL (without SAS)
+   */
+  async put(key, body, contentType = 'application/octet-stream') {
+    const url = this.blobUrl(key);
+    await this.request(`${url}?${this.sas}`, {
+      method: 'PUT',
+      headers: { 'x-ms-blob-type': 'BlockBlob', 'Content-Type': contentType },
+      body
+    });
+    return url;
+  }
+
+  /**
+   * Delete blobs last modified before the cutoff
+   * @param {Date} cutoff
+   * @returns {Promise<number>} Blobs removed
+   */
+  async deleteOlderThan(cutoff) {
+    let marker = '';
+    let removed = 0;
+
+    do {
+      const response = await this.request(
+        `${this.baseUrl}?restype=container&comp=list&${this.sas}${marker ? `&marker=${encodeURIComponent(marker)}` : ''}`
+      );
+      const xml = await response.text();
+
+      const blobs = [...xml.matchAll(/<Blob>([\s\S]*?)<\/Blob>/g)].map(([, blob]) => ({
+        name: decodeXml(blob.match(/<Name>([\s\S]*?)<\/Name>/)?.[1] || ''),
+        lastModified: new Date(blob.match(/<Last-Modified>([\s\S]*?)<\/Last-Modified>/)?.[1] || 0)
+      }));
+
+      for (const blob of blobs.filter(b => b.name && b.lastModified < cutoff)) {
+        await this.request(`${this.blobUrl(blob.name)}?${this.sas}`, { method: 'DELETE' });
+        removed += 1;
+      }
+
+      marker = decodeXml(xml.match(/<NextMarker>([\s\S]*?)<\/NextMarker>/)?.[1] || '');
+    } while (marker);
+
+    return removed;
+  }
+
+  async close() {}
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Create a blob store from ARTIFACTS_BLOB_CONTAINER_URL
+ */
+export function createBlobStore() {
+  const containerUrl = process.env.ARTIFACTS_BLOB_CONTAINER_URL;
+
+  if (!containerUrl) {
+    throw new Error('Missing required environment variable: ARTIFACTS_BLOB_CONTAINER_URL');
+  }
+
+  return new BlobArtifactStore({ containerUrl });
+}
+
+export default BlobArtifactStore;
@@ -0,0 +1,128 @@
+import { createRequire } from 'module';
+import { createLocalStore } from './local.store.js';
+import { createBlobStore } from './blob.store.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../../logger.cjs');
+const metrics = require('../../metrics.cjs');
+
+/**
+ * Artifact stores by ARTIFACTS_STORE name
+ */
+const STORES = {
+  local: createLocalStore,
+  blob: createBlobStore
+};
+
+// How often the retention cleanup runs while the worker is up
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Artifact Service
+ * Saves what a scraper captured when a scrape failed or looked wrong
+ * (screenshot, page HTML, optional Playwright trace, see
+ * BookingScraper.captureArtifacts) to the store chosen by ARTIFACTS_STORE
+ * (`local` by default, or `blob`). Each capture is keyed by job:
+ *
+ *   <jobId>/<capturedAt>-<reason>/screenshot.png | page.html | trace.zip
+ *
+ * Captures older than ARTIFACTS_RETENTION_DAYS are deleted on worker start
+ * and every 6 hours.
+ */
+class ArtifactService {
+  constructor() {
+    this.store = null;
+    this.retentionTimer = null;
+  }
+
+  /**
+   * Create the configured store on first use, after dotenv has loaded
+   */
+  getStore() {
+    if (!this.store) {
+      const name = (process.env.ARTIFACTS_STORE || 'local').toLowerCase();
+      if (!STORES[name]) {
+        throw new Error(`Unknown ARTIFACTS_STORE "${name}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+      }
+      this.store = STORES[name]();
+    }
+    return this.store;
+  }
+
+  /**
+   * Save one capture of a job
+   * @param {string} jobId
+   * @param {Object} capture - { reason, url, capturedAt, error, files: [{ name, contentType, body }] }
+   * @returns {Promise<Object>} Reference for the job record: { reason, url, capturedAt, error, files: [{ name, location, size }] }
+   */
+  async save(jobId, capture) {
+    const store = this.getStore();
+    const prefix = `${jobId}/${capture.capturedAt.replace(/[:.]/g, '-')}-${capture.reason}`;
+
+    const files = await Promise.all(capture.files.map(async (file) => ({
+      name: file.name,
+      location: await store.put(`${prefix}/${file.name}`, file.body, file.contentType),
+      size: Buffer.byteLength(file.body)
+    })));
+    metrics.scrapeArtifacts.inc({ reason: capture.reason });
+
+    return {
+      reason: capture.reason,
+      url: capture.url,
+      capturedAt: capture.capturedAt,
+      error: capture.error,
+      store: store.name,
+      files
+    };
+  }
+
+  /**
+   * Delete captures older than ARTIFACTS_RETENTION_DAYS (0 keeps them forever)
+   * @returns {Promise<number>} Captures (local) or blobs removed
+   */
+  async cleanup() {
+    const retentionDays = parseFloat(process.env.ARTIFACTS_RETENTION_DAYS || '14');
+    if (!(retentionDays > 0)) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const removed = await this.getStore().deleteOlderThan(cutoff);
+    if (removed > 0) {
+      logger.info('Expired scrape artifacts removed', { removed, retentionDays });
+    }
+    return removed;
+  }
+
+  /**
+   * Run the retention cleanup now and periodically
+   */
+  startRetention() {
+    if (this.retentionTimer) {
+      return;
+    }
+
+    const run = () => this.cleanup().catch(error => {
+      logger.warn('Artifact retention cleanup failed', { error: error.message });
+    });
+    run();
+    this.retentionTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+    this.retentionTimer.unref();
+  }
+
+  async close() {
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
+    }
+    if (this.store) {
+      await this.store.close();
+      this.store = null;
+    }
+  }
+}
+
+// Singleton instance
+const artifactService = new ArtifactService();
+
+export default artifactService;
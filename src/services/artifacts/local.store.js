@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local Artifact Store
+ * Writes artifacts under ARTIFACTS_DIR (default data/artifacts), one
+ * directory per job: <jobId>/<capture>/<file>.
+ */
+class LocalArtifactStore {
+  /**
+   * @param {Object} options - { dir }
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dir = options.dir || path.join(__dirname, '../../../data/artifacts');
+  }
+
+  /**
+   * @param {string} key - <jobId>/<capture>/<file>
+   * @param {Buffer|string} body
+   * @returns {Promise<string>} Path of the written file
+   */
+  async put(key, body) {
+    const filePath = path.join(this.dir, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return filePath;
+  }
+
+  /**
+   * Remove captures last written before the cutoff, then empty job directories
+   * @param {Date} cutoff
+   * @returns {Promise<number>} Captures removed
+   */
+  async deleteOlderThan(cutoff) {
+    let jobDirs;
+    try {
+      jobDirs = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let removed = 0;
+    for (const jobDir of jobDirs.filter(entry => entry.isDirectory())) {
+      const jobPath = path.join(this.dir, jobDir.name);
+      const captures = await fs.readdir(jobPath, { withFileTypes: true });
+
+      for (const capture of captures.filter(entry => entry.isDirectory())) {
+        const capturePath = path.join(jobPath, capture.name);
+        const stats = await fs.stat(capturePath);
+        if (stats.mtime < cutoff) {
+          await fs.rm(capturePath, { recursive: true, force: true });
+          removed += 1;
+        }
+      }
+
+      if ((await fs.readdir(jobPath)).length === 0) {
+        await fs.rmdir(jobPath);
+      }
+    }
+    return removed;
+  }
+
+  async close() {}
+}
+
+/**
+ * Create a local store from ARTIFACTS_DIR
+ */
+export function createLocalStore() {
+  return new LocalArtifactStore({
+    dir: process.env.ARTIFACTS_DIR ? path.resolve(process.env.ARTIFACTS_DIR) : undefined
+  });
+}
+
+export default LocalArtifactStore;
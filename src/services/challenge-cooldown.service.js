@@ -0,0 +1,109 @@
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import storageService from './storage/index.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Challenge Cool-down Store on the storage backend (Cosmos DB or local)
+ * Keeps the bot challenge cool-downs of bot-challenge.cjs in the `locks`
+ * container, next to the scheduler lock, so a proxy or profile that met a
+ * challenge cools down for every worker process, not only the one that
+ * met it. One document per key, with the key, kind, strikes and until
+ * (epoch ms). Keys hold proxy URLs, and Cosmos DB ids cannot contain '/',
+ * so the id is `cooldown:<sha256 of the key>`. Concurrent updates use the
+ * same optimistic concurrency (ETag) as DistributedLockService and are
+ * retried.
+ */
+class ChallengeCooldownStore {
+  constructor() {
+    this.maxUpdateAttempts = 3;
+  }
+
+  /**
+   * Document id and partition key of a key's cool-down
+   */
+  lockName(key) {
+    return `cooldown:${createHash('sha256').update(key).digest('hex')}`;
+  }
+
+  /**
+   * @param {string} key - `profile:<name>` or `proxy:<host>`
+   * @returns {Promise<Object|null>} { kind, strikes, until }
+   */
+  async read(key) {
+    const doc = await storageService.readLock(this.lockName(key));
+    return doc ? this.toEntry(doc) : null;
+  }
+
+  /**
+   * Replace the entry of a key with next(current entry)
+   * @param {string} key
+   * @param {Function} next - (entry|null) → { kind, strikes, until }
+   * @returns {Promise<Object>} The entry saved
+   */
+  async update(key, next) {
+    const lockName = this.lockName(key);
+
+    for (let attempt = 1; ; attempt++) {
+      const existing = await storageService.readLock(lockName);
+      const entry = next(existing ? this.toEntry(existing) : null);
+      const doc = {
+        id: lockName,
+        lockName, // Partition key
+        key,
+        ...entry,
+        expiresAt: new Date(entry.until).toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      try {
+        if (existing) {
+          await storageService.replaceLock(doc, existing._etag);
+        } else {
+          await storageService.createLock(doc);
+        }
+        return entry;
+      } catch (error) {
+        // Another worker recorded a challenge for the same key at the same time
+        if ((error?.code === 409 || error?.code === 412) && attempt < this.maxUpdateAttempts) {
+          logger.debug('Cool-down updated by another instance, retrying', { key, attempt });
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Remove the entry of a key if isStale(entry) still holds when removing
+   * @param {string} key
+   * @param {Function} isStale - (entry) → boolean
+   */
+  async delete(key, isStale) {
+    const lockName = this.lockName(key);
+    const existing = await storageService.readLock(lockName);
+    if (!existing || !isStale(this.toEntry(existing))) {
+      return;
+    }
+
+    try {
+      await storageService.deleteLock(lockName, existing._etag);
+    } catch (error) {
+      // Already removed, or a new challenge was recorded meanwhile
+      if (error?.code !== 404 && error?.code !== 412) {
+        throw error;
+      }
+    }
+  }
+
+  toEntry(doc) {
+    return { kind: doc.kind, strikes: doc.strikes, until: doc.until };
+  }
+}
+
+// Singleton instance
+const challengeCooldownStore = new ChallengeCooldownStore();
+
+export default challengeCooldownStore;
@@ -1,12 +1,22 @@
 import { CosmosClient } from '@azure/cosmos';
 import { createRequire } from 'module';
+import {
+  toUserDocument,
+  toSearchDocument,
+  toPriceDocument,
+  toRateDocument,
+  toConversationDocument,
+  toJobDocument
+} from './storage/documents.js';
 
 const require = createRequire(import.meta.url);
 const logger = require('../logger.cjs');
+const { SearchNotFoundError } = require('../errors.cjs');
 
 /**
  * Cosmos DB Service for VacationMonitor
- * Manages all database operations for users, searches, prices, conversations, and jobs
+ * Manages all database operations for users, searches, prices, rates, conversations, jobs and locks.
+ * The default storage backend (see storage/index.js).
  */
 class CosmosDBService {
   constructor() {
@@ -16,8 +26,10 @@ class CosmosDBService {
       users: null,
       searches: null,
       prices: null,
+      rates: null,
       conversations: null,
-      jobs: null
+      jobs: null,
+      locks: null
     };
   }
 
@@ -59,17 +71,7 @@ class CosmosDBService {
    */
   async upsertUser(user) {
     try {
-      const userDoc = {
-        id: user.id,
-        userId: user.id, // Partition key
-        email: user.email,
-        displayName: user.displayName,
-        googleId: user.googleId,
-        photoURL: user.photoURL || null,
-        emailPreferences: user.emailPreferences || { enabled: true },
-        createdAt: user.createdAt || new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      const userDoc = toUserDocument(user);
 
       const { resource } = await this.containers.users.items.upsert(userDoc);
       logger.info('User upserted successfully', { userId: resource.id });
@@ -137,23 +139,7 @@ class CosmosDBService {
    */
   async createSearch(search) {
     try {
-      const searchDoc = {
-        id: search.id,
-        userId: search.userId, // Partition key
-        searchName: search.searchName || search.criteria.cityName,
-        searchUrl: search.searchUrl, // Original Booking.com URL
-        criteria: search.criteria, // Parsed search criteria JSON
-        schedule: search.schedule || {
-          enabled: true,
-          intervalHours: 6,
-          nextRun: new Date().toISOString()
-        },
-        emailRecipients: search.emailRecipients || [],
-        isActive: search.isActive !== undefined ? search.isActive : true,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        lastRunAt: null
-      };
+      const searchDoc = toSearchDocument(search);
 
       const { resource } = await this.containers.searches.items.create(searchDoc);
       logger.info('Search created successfully', { searchId: resource.id, userId: search.userId });
@@ -253,7 +239,7 @@ class CosmosDBService {
     try {
       const existing = await this.getSearch(searchId, userId);
       if (!existing) {
-        throw new Error('Search not found');
+        throw new SearchNotFoundError(`Search not found: ${searchId}`, { details: { searchId, userId } });
       }
 
       const updated = {
@@ -290,6 +276,8 @@ class CosmosDBService {
 
   /**
    * Bulk create price records
+   * Records are upserted so that re-storing a run with the same deterministic
+   * ids (see PriceMonitorWorker) overwrites instead of duplicating.
    * @param {Array} prices - Array of price objects
    */
   async createPrices(prices) {
@@ -298,52 +286,10 @@ class CosmosDBService {
         return [];
       }
 
-      // Cosmos DB bulk operations are more efficient than individual inserts
-      const operations = prices.map(price => ({
-        operationType: 'Create',
-        resourceBody: {
-          id: price.id,
-          searchId: price.searchId, // Partition key
-          userId: price.userId,
-          hotelName: price.hotelName,
-          rating: price.rating,
-          location: price.location,
-          cityName: price.cityName,
-          originalPriceText: price.originalPriceText,
-          parsedPrice: price.parsedPrice,
-          numericPrice: price.numericPrice,
-          currency: price.currency,
-          hotelUrl: price.hotelUrl,
-          units: price.units || [],
-          extractedAt: price.extractedAt,
-          searchDestination: price.searchDestination,
-          searchDate: price.searchDate
-        }
-      }));
-
       // Note: Cosmos DB Node.js SDK doesn't have built-in bulk operations yet
-      // We'll use Promise.all for concurrent inserts (good performance for <100 items)
+      // We'll use Promise.all for concurrent upserts (good performance for <100 items)
       const results = await Promise.all(
-        prices.map(price => 
-          this.containers.prices.items.create({
-            id: price.id,
-            searchId: price.searchId,
-            userId: price.userId,
-            hotelName: price.hotelName,
-            rating: price.rating,
-            location: price.location,
-            cityName: price.cityName,
-            originalPriceText: price.originalPriceText,
-            parsedPrice: price.parsedPrice,
-            numericPrice: price.numericPrice,
-            currency: price.currency,
-            hotelUrl: price.hotelUrl,
-            units: price.units || [],
-            extractedAt: price.extractedAt,
-            searchDestination: price.searchDestination,
-            searchDate: price.searchDate
-          })
-        )
+        prices.map(price => this.containers.prices.items.upsert(toPriceDocument(price)))
       );
 
       logger.info('Prices created successfully', { count: results.length, searchId: prices[0].searchId });
@@ -354,6 +300,53 @@ class CosmosDBService {
     }
   }
 
+  /**
+   * Get all price records written by one job run
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async getPricesByRun(searchId, runId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId AND c.runId = @runId',
+        parameters: [
+          { name: '@searchId', value: searchId },
+          { name: '@runId', value: runId }
+        ]
+      };
+
+      const { resources } = await this.containers.prices.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get prices for run', { searchId, runId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all price records written by one job run
+   * Used to clear a partially stored run before it is stored again.
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async deletePricesByRun(searchId, runId) {
+    try {
+      const prices = await this.getPricesByRun(searchId, runId);
+
+      await Promise.all(
+        prices.map(price => this.containers.prices.item(price.id, searchId).delete())
+      );
+
+      if (prices.length > 0) {
+        logger.info('Prices for run deleted', { searchId, runId, count: prices.length });
+      }
+      return prices.length;
+    } catch (error) {
+      logger.error('Failed to delete prices for run', { searchId, runId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get prices for a search
    * @param {string} searchId
@@ -434,6 +427,94 @@ class CosmosDBService {
     }
   }
 
+  // ==================== RATES OPERATIONS ====================
+
+  /**
+   * Get the rates container, creating it on first use
+   */
+  async getRatesContainer() {
+    if (!this.containers.rates) {
+      const { container } = await this.database.containers.createIfNotExists({
+        id: 'rates',
+        partitionKey: { paths: ['/searchId'] }
+      });
+      this.containers.rates = container;
+    }
+    return this.containers.rates;
+  }
+
+  /**
+   * Bulk create room/rate records of property pages
+   * Upserted, like prices, so re-storing a run overwrites.
+   * @param {Array} rates - Array of rate objects
+   */
+  async createRates(rates) {
+    try {
+      if (!rates || rates.length === 0) {
+        return [];
+      }
+
+      const container = await this.getRatesContainer();
+      const results = await Promise.all(
+        rates.map(rate => container.items.upsert(toRateDocument(rate)))
+      );
+
+      logger.info('Rates created successfully', { count: results.length, searchId: rates[0].searchId });
+      return results.map(r => r.resource);
+    } catch (error) {
+      logger.error('Failed to create rates', { count: rates.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all rate records written by one job run
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async getRatesByRun(searchId, runId) {
+    try {
+      const container = await this.getRatesContainer();
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId AND c.runId = @runId',
+        parameters: [
+          { name: '@searchId', value: searchId },
+          { name: '@runId', value: runId }
+        ]
+      };
+
+      const { resources } = await container.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get rates for run', { searchId, runId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all rate records written by one job run
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async deleteRatesByRun(searchId, runId) {
+    try {
+      const container = await this.getRatesContainer();
+      const rates = await this.getRatesByRun(searchId, runId);
+
+      await Promise.all(
+        rates.map(rate => container.item(rate.id, searchId).delete())
+      );
+
+      if (rates.length > 0) {
+        logger.info('Rates for run deleted', { searchId, runId, count: rates.length });
+      }
+      return rates.length;
+    } catch (error) {
+      logger.error('Failed to delete rates for run', { searchId, runId, error: error.message });
+      throw error;
+    }
+  }
+
   // ==================== CONVERSATIONS OPERATIONS ====================
 
   /**
@@ -443,34 +524,11 @@ class CosmosDBService {
   async getConversation(searchId) {
     try {
       const { resource } = await this.containers.conversations.item(searchId, searchId).read();
-      // Ensure we always return an object with messages property
-      if (resource && typeof resource === 'object') {
-        return {
-          id: resource.id || searchId,
-          searchId: resource.searchId || searchId,
-          messages: Array.isArray(resource.messages) ? resource.messages : [],
-          createdAt: resource.createdAt || new Date().toISOString(),
-          updatedAt: resource.updatedAt || new Date().toISOString()
-        };
-      }
-      // If resource is invalid, return default empty conversation
-      return {
-        id: searchId,
-        searchId: searchId,
-        messages: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      return toConversationDocument(searchId, resource);
     } catch (error) {
       if (error.code === 404) {
         // Return empty conversation if not exists
-        return {
-          id: searchId,
-          searchId: searchId,
-          messages: [],
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
+        return toConversationDocument(searchId);
       }
       logger.error('Failed to get conversation', { searchId, error: error.message });
       throw error;
@@ -511,18 +569,7 @@ class CosmosDBService {
    */
   async createJob(job) {
     try {
-      const jobDoc = {
-        id: job.id,
-        status: job.status || 'pending', // Partition key: pending, running, completed, failed
-        searchId: job.searchId,
-        userId: job.userId,
-        scheduleType: job.scheduleType || 'scheduled', // scheduled | manual
-        createdAt: new Date().toISOString(),
-        startedAt: null,
-        completedAt: null,
-        error: null,
-        result: null
-      };
+      const jobDoc = toJobDocument(job);
 
       const { resource } = await this.containers.jobs.items.create(jobDoc);
       logger.info('Job created successfully', { jobId: resource.id, searchId: job.searchId });
@@ -570,6 +617,24 @@ class CosmosDBService {
     }
   }
 
+  /**
+   * Find a job by ID without knowing its status (cross-partition query)
+   * @param {string} jobId
+   */
+  async findJob(jobId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.id = @jobId',
+        parameters: [{ name: '@jobId', value: jobId }]
+      };
+      const { resources } = await this.containers.jobs.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? resources[0] : null;
+    } catch (error) {
+      logger.error('Failed to find job', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get job by ID
    * @param {string} jobId
@@ -587,6 +652,100 @@ class CosmosDBService {
       throw error;
     }
   }
+
+  /**
+   * Most recently finished jobs with a status, newest first
+   * @param {Object} options - { status (partition key, default completed), searchId (optional), limit }
+   */
+  async getRecentJobs(options = {}) {
+    const { status = 'completed', searchId = null, limit = 20 } = options;
+    try {
+      const querySpec = {
+        query: `SELECT TOP @limit * FROM c WHERE c.status = @status${searchId ? ' AND c.searchId = @searchId' : ''} ORDER BY c.completedAt DESC`,
+        parameters: [
+          { name: '@limit', value: limit },
+          { name: '@status', value: status },
+          ...(searchId ? [{ name: '@searchId', value: searchId }] : [])
+        ]
+      };
+      const { resources } = await this.containers.jobs.items
+        .query(querySpec, { partitionKey: status })
+        .fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get recent jobs', { status, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== LOCKS OPERATIONS ====================
+
+  /**
+   * Get the locks container, creating it on first use
+   */
+  async getLocksContainer() {
+    if (!this.containers.locks) {
+      const { container } = await this.database.containers.createIfNotExists({
+        id: 'locks',
+        partitionKey: { paths: ['/lockName'] }
+      });
+      this.containers.locks = container;
+    }
+    return this.containers.locks;
+  }
+
+  /**
+   * Read a lock document
+   * @param {string} lockName - Id and partition key
+   * @returns {Promise<Object|null>} The lock (with `_etag`) or null
+   */
+  async readLock(lockName) {
+    try {
+      const container = await this.getLocksContainer();
+      const { resource } = await container.item(lockName, lockName).read();
+      return resource || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a lock document. Throws with code 409 if it already exists.
+   * @param {Object} lockDoc - { id, lockName, instanceId, expiresAt, ... }
+   */
+  async createLock(lockDoc) {
+    const container = await this.getLocksContainer();
+    const { resource } = await container.items.create(lockDoc);
+    return resource;
+  }
+
+  /**
+   * Overwrite a lock document if its etag still matches. Throws with code 412 otherwise.
+   * @param {Object} lockDoc
+   * @param {string} etag - `_etag` of the version that was read
+   */
+  async replaceLock(lockDoc, etag) {
+    const container = await this.getLocksContainer();
+    const { resource } = await container.items.upsert(lockDoc, {
+      accessCondition: { type: 'IfMatch', condition: etag }
+    });
+    return resource;
+  }
+
+  /**
+   * Delete a lock document if its etag still matches. Throws with code 404 or 412 otherwise.
+   * @param {string} lockName
+   * @param {string} etag
+   */
+  async deleteLock(lockName, etag) {
+    const container = await this.getLocksContainer();
+    await container.item(lockName, lockName).delete({
+      accessCondition: { type: 'IfMatch', condition: etag }
+    });
+  }
 }
 
 // Singleton instance
@@ -1,18 +1,16 @@
 import { nanoid } from 'nanoid';
 import { createRequire } from 'module';
+import storageService from './storage/index.js';
 
 const require = createRequire(import.meta.url);
 const logger = require('../logger.cjs');
 
 /**
- * Distributed Lock Service using Cosmos DB
+ * Distributed Lock Service on the storage backend (Cosmos DB or local)
  * Implements leader election for multi-instance scheduler coordination
  */
 class DistributedLockService {
   constructor() {
-    this.client = null;
-    this.database = null;
-    this.locksContainer = null;
     this.instanceId = nanoid(12); // Unique ID for this worker instance
     this.lockName = 'scheduler-lock';
     this.lockDurationSeconds = 90; // Lock expires after 90 seconds
@@ -26,26 +24,7 @@ class DistributedLockService {
    */
   async initialize() {
     try {
-      const { CosmosClient } = await import('@azure/cosmos');
-
-      const endpoint = process.env.COSMOS_ENDPOINT;
-      const key = process.env.COSMOS_KEY;
-      const databaseName = process.env.COSMOS_DATABASE_NAME;
-
-      if (!endpoint || !key || !databaseName) {
-        throw new Error('Missing required Cosmos DB environment variables for distributed lock');
-      }
-
-      this.client = new CosmosClient({ endpoint, key });
-      this.database = this.client.database(databaseName);
-
-      // Create locks container if it doesn't exist
-      const { container } = await this.database.containers.createIfNotExists({
-        id: 'locks',
-        partitionKey: { paths: ['/lockName'] }
-      });
-
-      this.locksContainer = container;
+      await storageService.initialize();
 
       logger.info('Distributed lock service initialized', {
         instanceId: this.instanceId,
@@ -78,17 +57,14 @@ class DistributedLockService {
 
       try {
         // Try to read existing lock
-        const { resource: existingLock } = await this.locksContainer
-          .item(this.lockName, this.lockName)
-          .read();
+        const existingLock = await storageService.readLock(this.lockName);
 
         if (!existingLock) {
-          // Fallback: create new lock if read returned empty resource
-          const { resource: newLock } = await this.locksContainer.items.create(lockDoc);
+          const newLock = await storageService.createLock(lockDoc);
           this.currentLock = newLock;
           this.startRenewalTimer();
 
-          logger.info('✅ Distributed lock acquired (new - null resource fallback)', {
+          logger.info('✅ Distributed lock acquired (new)', {
             instanceId: this.instanceId,
             expiresAt: lockDoc.expiresAt
           });
@@ -115,11 +91,8 @@ class DistributedLockService {
           return false;
         }
 
-        // Lock is expired, try to take it over (optimistic concurrency)
-        lockDoc._etag = existingLock._etag; // Include ETag for optimistic concurrency
-        const { resource: updatedLock } = await this.locksContainer.items.upsert(lockDoc, {
-          accessCondition: { type: 'IfMatch', condition: existingLock._etag }
-        });
+        // Lock is expired, try to take it over (optimistic concurrency on the ETag)
+        const updatedLock = await storageService.replaceLock(lockDoc, existingLock._etag);
 
         this.currentLock = updatedLock;
         this.startRenewalTimer();
@@ -132,31 +105,10 @@ class DistributedLockService {
 
         return true;
       } catch (error) {
-        // Lock doesn't exist yet, try to create it
-        if (error && error.code === 404) {
-          try {
-            const { resource: newLock } = await this.locksContainer.items.create(lockDoc);
-            this.currentLock = newLock;
-            this.startRenewalTimer();
-
-            logger.info('✅ Distributed lock acquired (new)', {
-              instanceId: this.instanceId,
-              expiresAt: lockDoc.expiresAt
-            });
-
-            return true;
-          } catch (createError) {
-            // Another instance created the lock at the same time (race condition)
-            if (createError && createError.code === 409) {
-              logger.debug('Lock created by another instance during race condition');
-              return false;
-            }
-            logger.error('Unexpected error creating lock', {
-              error: createError?.message || String(createError),
-              code: createError?.code
-            });
-            throw createError;
-          }
+        // Another instance created the lock at the same time (race condition)
+        if (error && error.code === 409) {
+          logger.debug('Lock created by another instance during race condition');
+          return false;
         }
 
         // Precondition failed - another instance updated the lock (race condition)
@@ -165,7 +117,7 @@ class DistributedLockService {
           return false;
         }
 
-        logger.error('Unexpected error reading lock', {
+        logger.error('Unexpected error acquiring lock', {
           error: error?.message || String(error),
           code: error?.code,
           hasError: !!error
@@ -202,11 +154,7 @@ class DistributedLockService {
         renewedAt: now.toISOString()
       };
 
-      const { resource } = await this.locksContainer.items.upsert(updatedLock, {
-        accessCondition: { type: 'IfMatch', condition: this.currentLock._etag }
-      });
-
-      this.currentLock = resource;
+      this.currentLock = await storageService.replaceLock(updatedLock, this.currentLock._etag);
 
       logger.debug('Lock renewed', {
         instanceId: this.instanceId,
@@ -247,11 +195,7 @@ class DistributedLockService {
       this.stopRenewalTimer();
 
       // Delete the lock document
-      await this.locksContainer
-        .item(this.lockName, this.lockName)
-        .delete({
-          accessCondition: { type: 'IfMatch', condition: this.currentLock._etag }
-        });
+      await storageService.deleteLock(this.lockName, this.currentLock._etag);
 
       logger.info('Distributed lock released', { instanceId: this.instanceId });
 
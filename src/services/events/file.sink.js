@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * File Event Sink
+ * Appends each event as one JSON line to EVENTS_FILE
+ * (default data/events/events.jsonl). Meant for local runs and tests.
+ */
+class FileEventSink {
+  /**
+   * @param {Object} options - { filePath }
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath || path.join(__dirname, '../../../data/events/events.jsonl');
+    this.ready = null;
+  }
+
+  async send(event) {
+    if (!this.ready) {
+      this.ready = fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+    await this.ready;
+    await fs.appendFile(this.filePath, `${JSON.stringify(event)}\n`);
+  }
+
+  async close() {}
+}
+
+/**
+ * Create a file sink from EVENTS_FILE
+ */
+export function createFileSink() {
+  return new FileEventSink({
+    filePath: process.env.EVENTS_FILE ? path.resolve(process.env.EVENTS_FILE) : undefined
+  });
+}
+
+export default FileEventSink;
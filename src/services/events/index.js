@@ -0,0 +1,143 @@
+import { nanoid } from 'nanoid';
+import { createRequire } from 'module';
+import { createTopicSink } from './topic.sink.js';
+import { createWebhookSink } from './webhook.sink.js';
+import { createFileSink } from './file.sink.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../../logger.cjs');
+const metrics = require('../../metrics.cjs');
+
+/**
+ * Event types published by the worker
+ */
+export const EVENT_TYPES = {
+  JOB_STARTED: 'job.started',
+  JOB_COMPLETED: 'job.completed',
+  JOB_FAILED: 'job.failed',
+  PRICE_DROPPED: 'price.dropped',
+  HOTEL_APPEARED: 'hotel.appeared',
+  HOTEL_DISAPPEARED: 'hotel.disappeared',
+  LAYOUT_DRIFT: 'scrape.layout_drift'
+};
+
+/**
+ * Event sinks by EVENT_SINKS name
+ */
+const SINKS = {
+  topic: createTopicSink,
+  webhook: createWebhookSink,
+  file: createFileSink
+};
+
+/**
+ * Event Publisher
+ * Sends worker events to the sinks listed in EVENT_SINKS (comma separated:
+ * topic, webhook, file). Without sinks publishing is a no-op. Every event
+ * has the same envelope:
+ *
+ *   { id, type, version: 1, time, source, searchId, userId, data }
+ *
+ * A failing sink is logged and counted, never thrown: events are
+ * notifications, not part of the job pipeline.
+ */
+class EventPublisher {
+  constructor() {
+    this.sinks = null;
+    this.source = 'vacationmonitor-worker';
+  }
+
+  /**
+   * Create the configured sinks on first use, after dotenv has loaded
+   */
+  getSinks() {
+    if (!this.sinks) {
+      const names = (process.env.EVENT_SINKS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+      this.sinks = [];
+      names.forEach(name => {
+        const factory = SINKS[name];
+        if (!factory) {
+          logger.warn(`Ignoring unknown event sink "${name}" (expected one of: ${Object.keys(SINKS).join(', ')})`);
+          return;
+        }
+        try {
+          this.sinks.push(factory());
+        } catch (error) {
+          logger.error('Failed to create event sink', { sink: name, error: error.message });
+        }
+      });
+
+      if (this.sinks.length > 0) {
+        logger.info('Event publisher initialized', { sinks: this.sinks.map(sink => sink.name) });
+      }
+    }
+    return this.sinks;
+  }
+
+  /**
+   * Build an event envelope
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} subject - { searchId, userId }
+   * @param {Object} data - Event payload
+   */
+  createEvent(type, { searchId, userId } = {}, data = {}) {
+    return {
+      id: `evt_${nanoid(16)}`,
+      type,
+      version: 1,
+      time: new Date().toISOString(),
+      source: this.source,
+      searchId: searchId || null,
+      userId: userId || null,
+      data
+    };
+  }
+
+  /**
+   * Publish one event to every sink
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} subject - { searchId, userId }
+   * @param {Object} data - Event payload
+   */
+  async publish(type, subject, data) {
+    const sinks = this.getSinks();
+    if (sinks.length === 0) {
+      return;
+    }
+
+    const event = this.createEvent(type, subject, data);
+    await Promise.all(sinks.map(async (sink) => {
+      try {
+        await sink.send(event);
+        metrics.eventsPublished.inc({ type, sink: sink.name, result: 'sent' });
+      } catch (error) {
+        metrics.eventsPublished.inc({ type, sink: sink.name, result: 'failed' });
+        logger.warn('Failed to publish event', {
+          eventId: event.id,
+          type,
+          sink: sink.name,
+          error: error.message
+        });
+      }
+    }));
+  }
+
+  async close() {
+    if (!this.sinks) {
+      return;
+    }
+    await Promise.all(this.sinks.map(sink => sink.close().catch(error => {
+      logger.warn('Failed to close event sink', { sink: sink.name, error: error.message });
+    })));
+    this.sinks = null;
+  }
+}
+
+// Singleton instance
+const eventPublisher = new EventPublisher();
+
+export default eventPublisher;
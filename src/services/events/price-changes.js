@@ -0,0 +1,101 @@
+/**
+ * Price Changes
+ * Compares the hotels of two runs of one search. Hotels are matched by
+ * name (case and whitespace insensitive); a hotel listed twice in a run
+ * (e.g. once per stay of a flexible-date grid) counts with its cheapest
+ * price.
+ */
+
+function hotelKey(record) {
+  return (record.hotelName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function cheapestByHotel(records) {
+  const hotels = new Map();
+  records.forEach(record => {
+    const key = hotelKey(record);
+    if (!key) return;
+    const existing = hotels.get(key);
+    if (!existing || (record.numericPrice > 0 && (!(existing.numericPrice > 0) || record.numericPrice < existing.numericPrice))) {
+      hotels.set(key, record);
+    }
+  });
+  return hotels;
+}
+
+function summarize(record) {
+  return {
+    hotelName: record.hotelName,
+    price: record.numericPrice || null,
+    currency: record.currency || null,
+    rating: record.rating || null,
+    hotelUrl: record.hotelUrl || null,
+    checkIn: record.checkIn || null,
+    checkOut: record.checkOut || null
+  };
+}
+
+/**
+ * Latest run before the current one, from a search's price history
+ * @param {Array} history - Price records of the search
+ * @param {string} runId - Current run
+ * @returns {Array} Records of the previous run (empty if there is none)
+ */
+export function getPreviousRun(history, runId) {
+  const earlier = history.filter(record => record.runId !== runId && record.extractedAt);
+  if (earlier.length === 0) {
+    return [];
+  }
+
+  const latest = earlier.reduce((max, record) => (record.extractedAt > max ? record.extractedAt : max), '');
+  return earlier.filter(record => record.extractedAt === latest);
+}
+
+/**
+ * Hotels that got cheaper, appeared or disappeared between two runs
+ * @param {Array} previous - Price records of the previous run
+ * @param {Array} current - Price records of this run
+ * @param {Object} options - { minDropPercent }
+ * @returns {Object} { dropped, appeared, disappeared }
+ */
+export function detectPriceChanges(previous, current, options = {}) {
+  const minDropPercent = options.minDropPercent ?? 5;
+  const before = cheapestByHotel(previous);
+  const after = cheapestByHotel(current);
+  const changes = { dropped: [], appeared: [], disappeared: [] };
+
+  // First run: nothing to compare against
+  if (before.size === 0) {
+    return changes;
+  }
+
+  after.forEach((record, key) => {
+    const old = before.get(key);
+    if (!old) {
+      changes.appeared.push(summarize(record));
+      return;
+    }
+
+    const oldPrice = old.numericPrice;
+    const newPrice = record.numericPrice;
+    if (oldPrice > 0 && newPrice > 0 && newPrice < oldPrice) {
+      const dropPercent = Math.round(((oldPrice - newPrice) / oldPrice) * 1000) / 10;
+      if (dropPercent >= minDropPercent) {
+        changes.dropped.push({
+          ...summarize(record),
+          previousPrice: oldPrice,
+          dropAmount: Math.round((oldPrice - newPrice) * 100) / 100,
+          dropPercent
+        });
+      }
+    }
+  });
+
+  before.forEach((record, key) => {
+    if (!after.has(key)) {
+      changes.disappeared.push(summarize(record));
+    }
+  });
+
+  return changes;
+}
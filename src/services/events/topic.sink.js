@@ -0,0 +1,58 @@
+import { ServiceBusClient } from '@azure/service-bus';
+
+/**
+ * Service Bus Topic Event Sink
+ * Sends each event as one message to EVENTS_TOPIC_NAME. The event type is
+ * the message subject and an application property, so subscriptions can
+ * filter on it (e.g. `eventType LIKE 'job.%'`).
+ */
+class TopicEventSink {
+  /**
+   * @param {Object} options - { connectionString, topicName }
+   */
+  constructor({ connectionString, topicName }) {
+    this.name = 'topic';
+    this.topicName = topicName;
+    this.client = new ServiceBusClient(connectionString);
+    this.sender = this.client.createSender(topicName);
+  }
+
+  async send(event) {
+    await this.sender.sendMessages({
+      body: event,
+      contentType: 'application/json',
+      messageId: event.id,
+      subject: event.type,
+      applicationProperties: {
+        eventType: event.type,
+        searchId: event.searchId || null,
+        userId: event.userId || null
+      }
+    });
+  }
+
+  async close() {
+    await this.sender.close();
+    await this.client.close();
+  }
+}
+
+/**
+ * Create a topic sink from EVENTS_SERVICE_BUS_CONNECTION_STRING (falls back
+ * to AZURE_SERVICE_BUS_CONNECTION_STRING) and EVENTS_TOPIC_NAME
+ */
+export function createTopicSink() {
+  const connectionString = process.env.EVENTS_SERVICE_BUS_CONNECTION_STRING ||
+    process.env.AZURE_SERVICE_BUS_CONNECTION_STRING;
+
+  if (!connectionString) {
+    throw new Error('Missing required environment variable: EVENTS_SERVICE_BUS_CONNECTION_STRING or AZURE_SERVICE_BUS_CONNECTION_STRING');
+  }
+
+  return new TopicEventSink({
+    connectionString,
+    topicName: process.env.EVENTS_TOPIC_NAME || 'price-monitor-events'
+  });
+}
+
+export default TopicEventSink;
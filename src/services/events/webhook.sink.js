@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+
+/**
+ * HTTP Webhook Event Sink
+ * POSTs each event as JSON to EVENTS_WEBHOOK_URL. With EVENTS_WEBHOOK_SECRET
+ * every request is signed so the receiver can verify it came from us:
+ *
+ *   X-VacationMonitor-Event:      job.completed
+ *   X-VacationMonitor-Delivery:   <event id>
+ *   X-VacationMonitor-Timestamp:  <unix seconds>
+ *   X-VacationMonitor-Signature:  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Receivers should recompute the signature over the raw body, compare in
+ * constant time and reject old timestamps. Network errors, 429 and 5xx
+ * responses are retried a few times; other responses are not.
+ */
+class WebhookEventSink {
+  /**
+   * @param {Object} options - { url, secret, timeoutMs, maxAttempts }
+   */
+  constructor({ url, secret, timeoutMs = 5000, maxAttempts = 3 }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret || null;
+    this.timeoutMs = timeoutMs;
+    this.maxAttempts = Math.max(1, maxAttempts);
+  }
+
+  /**
+   * Signature header value for a body sent at a timestamp
+   * @param {string} timestamp - Unix seconds
+   * @param {string} body - Raw JSON body
+   */
+  sign(timestamp, body) {
+    const digest = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  async send(event) {
+    const body = JSON.stringify(event);
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        await this.post(event, body);
+        return;
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable || attempt === this.maxAttempts) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500 * 2 ** (attempt - 1)));
+      }
+    }
+
+    throw lastError;
+  }
+
+  async post(event, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'VacationMonitor-Worker',
+      'X-VacationMonitor-Event': event.type,
+      'X-VacationMonitor-Delivery': event.id,
+      'X-VacationMonitor-Timestamp': timestamp
+    };
+    if (this.secret) {
+      headers['X-VacationMonitor-Signature'] = this.sign(timestamp, body);
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      const networkError = new Error(`Webhook request failed: ${error.message}`, { cause: error });
+      networkError.retryable = true;
+      throw networkError;
+    }
+
+    if (!response.ok) {
+      const httpError = new Error(`Webhook responded ${response.status}`);
+      httpError.retryable = response.status === 429 || response.status >= 500;
+      throw httpError;
+    }
+  }
+
+  async close() {}
+}
+
+/**
+ * Create a webhook sink from EVENTS_WEBHOOK_URL, EVENTS_WEBHOOK_SECRET,
+ * EVENTS_WEBHOOK_TIMEOUT_MS and EVENTS_WEBHOOK_MAX_ATTEMPTS
+ */
+export function createWebhookSink() {
+  const url = process.env.EVENTS_WEBHOOK_URL;
+
+  if (!url) {
+    throw new Error('Missing required environment variable: EVENTS_WEBHOOK_URL');
+  }
+
+  return new WebhookEventSink({
+    url,
+    secret: process.env.EVENTS_WEBHOOK_SECRET,
+    timeoutMs: parseInt(process.env.EVENTS_WEBHOOK_TIMEOUT_MS || '5000', 10),
+    maxAttempts: parseInt(process.env.EVENTS_WEBHOOK_MAX_ATTEMPTS || '3', 10)
+  });
+}
+
+export default WebhookEventSink;
@@ -0,0 +1,203 @@
+import http from 'http';
+import { createRequire } from 'module';
+import storageService from './storage/index.js';
+import jobQueueService from './job-queue.service.js';
+import schedulerService from './scheduler.service.js';
+import distributedLockService from './distributed-lock.service.js';
+
+const require = createRequire(import.meta.url);
+const { chromium } = require('playwright');
+const logger = require('../logger.cjs');
+const metrics = require('../metrics.cjs');
+
+/**
+ * Health Server
+ * Small HTTP server for container probes and Prometheus:
+ *
+ * - GET /healthz  liveness: worker running (or draining) and scheduler not stopped on errors
+ * - GET /readyz   readiness: storage reachable, queue receiver open, browser launchable
+ * - GET /metrics  Prometheus text format (see metrics.cjs)
+ */
+class HealthServer {
+  constructor() {
+    this.server = null;
+    this.worker = null;
+    this.port = parseInt(process.env.HEALTH_PORT || '8080', 10);
+    this.checkTimeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '10000', 10);
+    // Launching a browser is expensive; reuse the result for a while
+    this.browserCheckTtlMs = parseInt(process.env.HEALTH_BROWSER_CHECK_TTL_MS || '300000', 10);
+    this.browserCheck = null;
+    // Registered once: start() may run again after stop()
+    metrics.registry.onCollect(() => this.collectMetrics());
+  }
+
+  /**
+   * Start listening
+   * @param {Object} worker - PriceMonitorWorker instance (for status)
+   */
+  async start(worker) {
+    if (process.env.HEALTH_SERVER_ENABLED === 'false') {
+      logger.info('Health server is disabled via HEALTH_SERVER_ENABLED environment variable');
+      return;
+    }
+
+    this.worker = worker;
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error('Health server request failed', { url: req.url, error: error.message });
+        this.send(res, 500, { status: 'error', error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    logger.info('Health server listening', { port: this.port });
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    logger.info('Health server stopped');
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      this.send(res, 405, { status: 'error', error: 'Method not allowed' });
+      return;
+    }
+
+    switch (pathname) {
+      case '/healthz':
+        await this.handleLiveness(res);
+        break;
+      case '/readyz':
+        await this.handleReadiness(res);
+        break;
+      case '/metrics':
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(metrics.registry.render());
+        break;
+      default:
+        this.send(res, 404, { status: 'error', error: 'Not found' });
+    }
+  }
+
+  async handleLiveness(res) {
+    const scheduler = schedulerService.getStatus();
+    const problems = [];
+
+    if (!this.worker?.isRunning && !this.worker?.isDraining) {
+      problems.push('worker is not running');
+    }
+    if (scheduler.stoppedOnErrors) {
+      problems.push(`scheduler stopped after ${scheduler.consecutiveErrors} consecutive errors`);
+    }
+
+    this.send(res, problems.length === 0 ? 200 : 503, {
+      status: problems.length === 0 ? 'ok' : 'unhealthy',
+      problems,
+      worker: this.worker?.getStatus(),
+      scheduler
+    });
+  }
+
+  async handleReadiness(res) {
+    const [storage, queue, browser] = await Promise.all([
+      this.runCheck(() => storageService.getSearch('__readyz__', '__readyz__')),
+      this.runCheck(async () => {
+        if (!jobQueueService.isReady()) {
+          throw new Error('Queue receiver is not open');
+        }
+      }),
+      this.checkBrowser()
+    ]);
+
+    const checks = { storage, queue, browser };
+    const ready = Object.values(checks).every(check => check.ok);
+
+    this.send(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not ready', checks });
+  }
+
+  /**
+   * Launch and close a headless browser, cached for browserCheckTtlMs
+   */
+  async checkBrowser() {
+    const now = Date.now();
+    if (this.browserCheck && now - this.browserCheck.checkedAt < this.browserCheckTtlMs) {
+      return this.browserCheck.result;
+    }
+
+    const result = await this.runCheck(async () => {
+      const browser = await chromium.launch({ headless: true });
+      await browser.close();
+    });
+    this.browserCheck = { checkedAt: now, result: { ...result, checkedAt: new Date(now).toISOString() } };
+    return this.browserCheck.result;
+  }
+
+  /**
+   * Run one readiness check with a timeout
+   * @returns {Promise<Object>} { ok, durationMs, error? }
+   */
+  async runCheck(fn) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      await Promise.race([
+        fn(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${this.checkTimeoutMs}ms`)), this.checkTimeoutMs);
+        })
+      ]);
+      return { ok: true, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Refresh state gauges before /metrics is rendered
+   */
+  collectMetrics() {
+    const scheduler = schedulerService.getStatus();
+
+    metrics.activeJobs.set({}, this.worker?.activeJobs.size || 0);
+    const browserPool = this.worker?.getStatus().browserPool;
+    if (browserPool) {
+      metrics.browserPoolBrowsers.set({ state: 'in_use' }, browserPool.inUse);
+      metrics.browserPoolBrowsers.set({ state: 'idle' }, browserPool.idle);
+    }
+    metrics.schedulerRunning.set({}, scheduler.isRunning ? 1 : 0);
+    metrics.schedulerTickLag.set({}, scheduler.tickLagSeconds);
+    metrics.schedulerConsecutiveErrors.set({}, scheduler.consecutiveErrors);
+    metrics.schedulerLockHeld.set({}, distributedLockService.isLockHeld() ? 1 : 0);
+    if (scheduler.lastTickTime) {
+      metrics.schedulerLastSuccess.set({}, Math.floor(new Date(scheduler.lastTickTime).getTime() / 1000));
+    }
+  }
+
+  send(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+// Singleton instance
+const healthServer = new HealthServer();
+
+export default healthServer;
@@ -1,37 +1,228 @@
-import { ServiceBusClient } from '@azure/service-bus';
 import { createRequire } from 'module';
+import { createQueueClient } from './transports/index.js';
+import LaneDispatcher from './lane-dispatcher.js';
 
 const require = createRequire(import.meta.url);
 const logger = require('../logger.cjs');
+const { DISPOSITIONS, RETRY_POLICIES, ValidationError, classifyError } = require('../errors.cjs');
+const { JOB_TYPES, validateJobMessage } = require('../job-schema.cjs');
+
+// Lane weights for weighted round-robin; override with JOB_LANE_WEIGHTS (JSON)
+const DEFAULT_LANE_WEIGHTS = { manual: 6, scheduled: 3, backfill: 1 };
 
 /**
- * Azure Service Bus integration for job queue management
+ * Job queue management on top of a queue transport:
+ * Azure Service Bus (default) or a local file-backed queue (QUEUE_TRANSPORT=local)
+ *
+ * With JOB_PRIORITY_LANES=true jobs are routed by scheduleType to one queue
+ * per lane and received by a LaneDispatcher with weighted fairness:
+ *
+ *   manual, preview -> <queue>-manual
+ *   scheduled       -> <queue>
+ *   backfill        -> <queue>-backfill
+ *
+ * Without lanes every job uses <queue>, received through the same dispatcher.
  */
 class JobQueueService {
   constructor() {
+    this.transport = null;
     this.client = null;
-    this.sender = null;
-    this.receiver = null;
+    this.senders = new Map(); // lane -> sender
+    this.receivers = new Map(); // lane -> receiver
+    this.dispatcher = null;
+    // Receiver that delivered each message, for settling it
+    this.messageReceivers = new WeakMap();
+    // Messages whose handler is still running, by messageId (see abandonInFlight)
+    this.inFlight = new Map();
+    this.activeByUser = new Map();
     this.queueName = process.env.AZURE_SERVICE_BUS_QUEUE_NAME || 'price-monitor-jobs';
+    // Messages delivered more often than this are dead-lettered as poison messages
+    this.maxDeliveryCount = parseInt(process.env.JOB_MAX_DELIVERY_COUNT || '5', 10);
+    // How long a running job's message lock is renewed. Flexible-date grids
+    // and property pages run far longer than a few minutes; a crashed worker
+    // still loses its locks after the queue's lock duration.
+    this.lockRenewalMaxMs = parseInt(process.env.JOB_LOCK_RENEWAL_MAX_MS || String(2 * 60 * 60 * 1000), 10);
+    this.retryPolicies = this.loadRetryPolicies();
+    this.lanesEnabled = false;
+    this.laneWeights = { ...DEFAULT_LANE_WEIGHTS };
+    this.maxActivePerUser = 0;
+    this.userDeferDelayMs = 30 * 1000;
+    this.receiveWaitMs = 1000;
   }
 
   /**
-   * Initialize Service Bus client
+   * Read the lane and per-user cap settings:
+   * JOB_PRIORITY_LANES, JOB_LANE_WEIGHTS, JOB_MAX_ACTIVE_PER_USER,
+   * JOB_USER_DEFER_DELAY_MS and JOB_LANE_RECEIVE_WAIT_MS
    */
-  async initialize() {
-    try {
-      const connectionString = process.env.AZURE_SERVICE_BUS_CONNECTION_STRING;
+  loadLaneConfig() {
+    this.lanesEnabled = process.env.JOB_PRIORITY_LANES === 'true';
+    this.maxActivePerUser = parseInt(process.env.JOB_MAX_ACTIVE_PER_USER || '0', 10);
+    this.userDeferDelayMs = parseInt(process.env.JOB_USER_DEFER_DELAY_MS || '30000', 10);
+    this.receiveWaitMs = Math.max(100, parseInt(process.env.JOB_LANE_RECEIVE_WAIT_MS || '1000', 10));
+    this.laneWeights = { ...DEFAULT_LANE_WEIGHTS };
+
+    if (process.env.JOB_LANE_WEIGHTS) {
+      try {
+        const overrides = JSON.parse(process.env.JOB_LANE_WEIGHTS);
+        Object.entries(overrides).forEach(([lane, weight]) => {
+          if (lane in DEFAULT_LANE_WEIGHTS && Number(weight) > 0) {
+            this.laneWeights[lane] = Number(weight);
+          } else {
+            logger.warn('Ignoring invalid lane weight', { lane, weight });
+          }
+        });
+      } catch (error) {
+        logger.warn('Ignoring invalid JOB_LANE_WEIGHTS', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Lanes this instance sends to and receives from
+   */
+  getLanes() {
+    return this.lanesEnabled ? Object.keys(this.laneWeights) : ['scheduled'];
+  }
+
+  /**
+   * Lane for a job, by scheduleType
+   * @param {Object} job - Validated job
+   */
+  laneFor(job) {
+    if (!this.lanesEnabled) {
+      return 'scheduled';
+    }
+    switch (job.scheduleType) {
+      case JOB_TYPES.MANUAL:
+      case JOB_TYPES.PREVIEW:
+        return 'manual';
+      case JOB_TYPES.BACKFILL:
+        return 'backfill';
+      default:
+        return 'scheduled';
+    }
+  }
+
+  /**
+   * Queue name of a lane; the scheduled lane keeps the base queue name
+   * @param {string} lane
+   */
+  queueNameFor(lane) {
+    return lane === 'scheduled' ? this.queueName : `${this.queueName}-${lane}`;
+  }
+
+  /**
+   * Sender for a lane, created on first use
+   * @param {string} lane
+   */
+  getSender(lane) {
+    if (!this.senders.has(lane)) {
+      this.senders.set(lane, this.client.createSender(this.queueNameFor(lane)));
+    }
+    return this.senders.get(lane);
+  }
+
+  /**
+   * Receiver that delivered a message
+   * @param {Object} message
+   */
+  receiverFor(message) {
+    return this.messageReceivers.get(message) || this.receivers.get('scheduled');
+  }
+
+  /**
+   * Build the per-error-class retry policies from the defaults in errors.cjs,
+   * JOB_RETRY_BASE_DELAY_MS / JOB_RETRY_MAX_DELAY_MS (default policy) and
+   * JOB_RETRY_POLICIES, a JSON object keyed by error class name
+   */
+  loadRetryPolicies() {
+    const policies = {};
+    Object.entries(RETRY_POLICIES).forEach(([errorClass, policy]) => {
+      policies[errorClass] = { ...policy };
+    });
+
+    if (process.env.JOB_RETRY_BASE_DELAY_MS) {
+      policies.default.baseDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10);
+    }
+    if (process.env.JOB_RETRY_MAX_DELAY_MS) {
+      policies.default.maxDelayMs = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS, 10);
+    }
+
+    if (process.env.JOB_RETRY_POLICIES) {
+      try {
+        const overrides = JSON.parse(process.env.JOB_RETRY_POLICIES);
+        Object.entries(overrides).forEach(([errorClass, policy]) => {
+          policies[errorClass] = { ...policies.default, ...policies[errorClass], ...policy };
+        });
+      } catch (error) {
+        logger.warn('Ignoring invalid JOB_RETRY_POLICIES', { error: error.message });
+      }
+    }
+
+    return policies;
+  }
+
+  /**
+   * Validate a job against the job message schema (see job-schema.cjs)
+   * @param {Object} job - Job data { searchId, userId, scheduleType }
+   * @returns {Object} Normalized job (version and scheduleType filled in)
+   * @throws {ValidationError}
+   */
+  validateJob(job) {
+    const { valid, errors, job: normalized } = validateJobMessage(job);
+    if (!valid) {
+      throw new ValidationError(`Invalid job message: ${errors.join('; ')}`, {
+        details: { searchId: job?.searchId, errors }
+      });
+    }
+    return normalized;
+  }
 
-      if (!connectionString) {
-        throw new Error('Missing required environment variable: AZURE_SERVICE_BUS_CONNECTION_STRING');
+  /**
+   * Build a Service Bus message for a validated job
+   * @param {Object} job - Job data { version, searchId, userId, scheduleType }
+   * @param {Object} options - { scheduledEnqueueTimeUtc }
+   */
+  buildMessage(job, options = {}) {
+    const message = {
+      body: job,
+      contentType: 'application/json',
+      messageId: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sessionId: job.searchId, // Group messages by searchId
+      applicationProperties: {
+        schemaVersion: job.version,
+        jobType: job.scheduleType
       }
+    };
+
+    if (options.scheduledEnqueueTimeUtc) {
+      message.scheduledEnqueueTimeUtc = options.scheduledEnqueueTimeUtc;
+    }
 
-      this.client = new ServiceBusClient(connectionString);
-      this.sender = this.client.createSender(this.queueName);
+    return message;
+  }
 
-      logger.info('Service Bus client initialized successfully', { queueName: this.queueName });
+  /**
+   * Initialize the queue client for the configured transport
+   */
+  async initialize() {
+    try {
+      // Read at initialize time so a .env loaded after import still applies
+      this.transport = (process.env.QUEUE_TRANSPORT || 'servicebus').toLowerCase();
+      this.loadLaneConfig();
+      this.client = createQueueClient(this.transport);
+
+      logger.info('Job queue client initialized successfully', {
+        transport: this.transport,
+        queueName: this.queueName,
+        lanes: this.getLanes().map(lane => this.queueNameFor(lane))
+      });
     } catch (error) {
-      logger.error('Failed to initialize Service Bus client', { error: error.message });
+      logger.error('Failed to initialize job queue client', {
+        transport: this.transport,
+        error: error.message
+      });
       throw error;
     }
   }
@@ -42,24 +233,22 @@ class JobQueueService {
    */
   async enqueueJob(job) {
     try {
-      if (!this.sender) {
+      if (!this.client) {
         await this.initialize();
       }
 
-      const message = {
-        body: job,
-        contentType: 'application/json',
-        messageId: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        sessionId: job.searchId // Group messages by searchId
-      };
+      const validJob = this.validateJob(job);
+      const message = this.buildMessage(validJob);
+      const lane = this.laneFor(validJob);
 
-      await this.sender.sendMessages(message);
+      await this.getSender(lane).sendMessages(message);
 
       logger.info('Job enqueued successfully', {
         messageId: message.messageId,
         searchId: job.searchId,
         userId: job.userId,
-        scheduleType: job.scheduleType
+        scheduleType: validJob.scheduleType,
+        lane
       });
 
       return message.messageId;
@@ -73,12 +262,14 @@ class JobQueueService {
   }
 
   /**
-   * Enqueue multiple jobs in batch
+   * Enqueue multiple jobs in batch. An invalid job is logged and skipped;
+   * the others are still enqueued.
    * @param {Array} jobs - Array of job objects
+   * @returns {Promise<string[]>} Message ids of the enqueued jobs
    */
   async enqueueBatch(jobs) {
     try {
-      if (!this.sender) {
+      if (!this.client) {
         await this.initialize();
       }
 
@@ -86,16 +277,42 @@ class JobQueueService {
         return [];
       }
 
-      const messages = jobs.map(job => ({
-        body: job,
-        contentType: 'application/json',
-        messageId: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        sessionId: job.searchId
-      }));
+      // Validate all before sending; one bad job must not hold back the rest
+      const messages = [];
+      jobs.forEach(job => {
+        try {
+          messages.push(this.buildMessage(this.validateJob(job)));
+        } catch (error) {
+          if (!(error instanceof ValidationError)) {
+            throw error;
+          }
+          logger.error('Skipping invalid job in batch', {
+            searchId: job?.searchId,
+            userId: job?.userId,
+            errors: error.details.errors
+          });
+        }
+      });
+
+      if (messages.length === 0) {
+        return [];
+      }
+
+      const byLane = new Map();
+      messages.forEach(message => {
+        const lane = this.laneFor(message.body);
+        byLane.set(lane, [...(byLane.get(lane) || []), message]);
+      });
 
-      await this.sender.sendMessages(messages);
+      for (const [lane, laneMessages] of byLane) {
+        await this.getSender(lane).sendMessages(laneMessages);
+      }
 
-      logger.info('Batch jobs enqueued successfully', { count: messages.length });
+      logger.info('Batch jobs enqueued successfully', {
+        count: messages.length,
+        skipped: jobs.length - messages.length,
+        lanes: Object.fromEntries([...byLane].map(([lane, laneMessages]) => [lane, laneMessages.length]))
+      });
 
       return messages.map(m => m.messageId);
     } catch (error) {
@@ -108,117 +325,438 @@ class JobQueueService {
   }
 
   /**
-   * Create a receiver for processing messages
-   * @param {Function} messageHandler - Function to process each message
+   * Create the lane receivers and start dispatching messages
+   * @param {Function} messageHandler - Function to process each message: (body, { messageId, deliveryCount, enqueuedTimeUtc })
    * @param {Function} errorHandler - Function to handle errors
+   * @param {Object} options - { maxConcurrentCalls, onSettled(body, settlement) called after a failed message is settled }
    */
-  async createReceiver(messageHandler, errorHandler) {
+  async createReceiver(messageHandler, errorHandler, options = {}) {
+    this.onSettled = options.onSettled || null;
+    const maxConcurrentCalls = options.maxConcurrentCalls || 1;
+
     try {
       if (!this.client) {
         await this.initialize();
       }
 
-      this.receiver = this.client.createReceiver(this.queueName, {
-        receiveMode: 'peekLock', // Messages are locked and must be completed/abandoned
-        maxAutoLockRenewalDurationInMs: 5 * 60 * 1000 // Auto-renew lock for up to 5 minutes
-      });
-
-      // Subscribe to messages
-      this.receiver.subscribe(
-        {
-          processMessage: async (message) => {
-            try {
-              logger.info('Processing message', {
-                messageId: message.messageId,
-                searchId: message.body.searchId
-              });
-
-              await messageHandler(message.body);
-
-              // Complete the message (remove from queue)
-              await this.receiver.completeMessage(message);
-
-              logger.info('Message processed successfully', {
-                messageId: message.messageId
-              });
-            } catch (error) {
-              logger.error('Failed to process message', {
-                messageId: message.messageId,
-                error: error.message
-              });
-
-              // Check if this is a non-retryable error (search not found, inactive, etc.)
-              const isNonRetryable = 
-                error.message.includes('Search not found') ||
-                error.message.includes('not found') ||
-                error.message.includes('does not exist');
-
-              if (isNonRetryable) {
-                // Complete the message (remove from queue) - no point retrying
-                logger.warn('Non-retryable error, removing message from queue', {
-                  messageId: message.messageId,
-                  error: error.message
-                });
-                await this.receiver.completeMessage(message);
-              } else {
-                // Abandon the message (return to queue for retry)
-                logger.warn('Retryable error, abandoning message for retry', {
-                  messageId: message.messageId,
-                  error: error.message
-                });
-                await this.receiver.abandonMessage(message);
-              }
-            }
-          },
-          processError: async (args) => {
-            const serviceBusError = args?.error || args;
-
-            logger.error('Message processing error', {
-              error: serviceBusError?.message || String(serviceBusError),
-              stack: serviceBusError?.stack,
-              errorSource: args?.errorSource,
-              entityPath: args?.entityPath,
-              fullyQualifiedNamespace: args?.fullyQualifiedNamespace,
-              identifier: args?.identifier
-            });
-
-            if (errorHandler) {
-              await errorHandler(args);
-            }
-          }
+      const lanes = this.getLanes().map(lane => {
+        const receiver = this.client.createReceiver(this.queueNameFor(lane), {
+          receiveMode: 'peekLock', // Messages are locked and must be completed/abandoned
+          maxAutoLockRenewalDurationInMs: this.lockRenewalMaxMs
+        });
+        this.receivers.set(lane, receiver);
+        return { name: lane, queueName: this.queueNameFor(lane), receiver, weight: this.laneWeights[lane] };
+      });
+
+      this.dispatcher = new LaneDispatcher({
+        lanes,
+        maxConcurrentCalls,
+        receiveWaitMs: this.receiveWaitMs,
+        processMessage: (message, lane) => {
+          this.messageReceivers.set(message, lane.receiver);
+          return this.handleMessage(message, lane.name, messageHandler);
         },
-        {
-          autoCompleteMessages: false // We'll complete messages manually
+        processError: async (args) => {
+          const serviceBusError = args?.error || args;
+
+          logger.error('Message processing error', {
+            error: serviceBusError?.message || String(serviceBusError),
+            stack: serviceBusError?.stack,
+            errorSource: args?.errorSource,
+            entityPath: args?.entityPath,
+            lane: args?.lane
+          });
+
+          if (errorHandler) {
+            await errorHandler(args);
+          }
         }
-      );
+      });
+      this.dispatcher.start();
 
-      logger.info('Service Bus receiver started', { queueName: this.queueName });
+      logger.info('Job queue receiver started', {
+        transport: this.transport,
+        lanes: Object.fromEntries(lanes.map(lane => [lane.queueName, lane.weight])),
+        maxConcurrentCalls,
+        maxActivePerUser: this.maxActivePerUser || 'unlimited'
+      });
 
-      return this.receiver;
+      return this.dispatcher;
     } catch (error) {
       logger.error('Failed to create receiver', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Validate, run and settle one received message
+   * @param {Object} message - Service Bus received message
+   * @param {string} lane
+   * @param {Function} messageHandler
+   */
+  async handleMessage(message, lane, messageHandler) {
+    // Poison message: it keeps coming back without ever being settled
+    if (message.deliveryCount > this.maxDeliveryCount) {
+      await this.deadLetter(message, {
+        reason: 'MaxDeliveryCountExceeded',
+        description: `Message delivered ${message.deliveryCount} times (limit ${this.maxDeliveryCount})`
+      });
+      return;
+    }
+
+    const { valid, errors, job } = validateJobMessage(message.body);
+    if (!valid) {
+      await this.deadLetter(message, {
+        reason: 'InvalidJobMessage',
+        description: errors.join('; ')
+      });
+      return;
+    }
+
+    // One user's backlog must not take every slot
+    if (this.maxActivePerUser > 0 && (this.activeByUser.get(job.userId) || 0) >= this.maxActivePerUser) {
+      await this.deferMessage(message, job);
+      return;
+    }
+
+    const entry = { message, abandoned: false };
+    this.inFlight.set(message.messageId, entry);
+    this.activeByUser.set(job.userId, (this.activeByUser.get(job.userId) || 0) + 1);
+
+    try {
+      logger.info('Processing message', {
+        messageId: message.messageId,
+        searchId: job.searchId,
+        scheduleType: job.scheduleType,
+        lane,
+        deliveryCount: message.deliveryCount
+      });
+
+      await messageHandler(job, {
+        messageId: message.messageId,
+        deliveryCount: message.deliveryCount,
+        enqueuedTimeUtc: message.enqueuedTimeUtc
+      });
+
+      if (entry.abandoned) {
+        logger.warn('Handler finished after its message was abandoned on shutdown', {
+          messageId: message.messageId
+        });
+        return;
+      }
+
+      // Complete the message (remove from queue)
+      await this.receiverFor(message).completeMessage(message);
+
+      logger.info('Message processed successfully', {
+        messageId: message.messageId
+      });
+    } catch (error) {
+      if (entry.abandoned) {
+        logger.warn('Message abandoned on shutdown, leaving it for redelivery', {
+          messageId: message.messageId,
+          error: error.message
+        });
+        return;
+      }
+
+      logger.error('Failed to process message', {
+        messageId: message.messageId,
+        error: error.message
+      });
+
+      await this.settleFailedMessage(message, error);
+    } finally {
+      this.inFlight.delete(message.messageId);
+      const active = (this.activeByUser.get(job.userId) || 1) - 1;
+      if (active > 0) {
+        this.activeByUser.set(job.userId, active);
+      } else {
+        this.activeByUser.delete(job.userId);
+      }
+    }
+  }
+
+  /**
+   * Put a job back at the end of its lane because its user is at the
+   * JOB_MAX_ACTIVE_PER_USER cap: send a copy delayed by JOB_USER_DEFER_DELAY_MS
+   * and complete the original. The attempt counter is not incremented.
+   * @param {Object} message - Service Bus received message
+   * @param {Object} job - Validated job
+   */
+  async deferMessage(message, job) {
+    const scheduledEnqueueTimeUtc = new Date(Date.now() + this.userDeferDelayMs);
+    const deferredJob = { ...job, runId: job.runId || message.messageId };
+
+    try {
+      const deferred = this.buildMessage(deferredJob, { scheduledEnqueueTimeUtc });
+      await this.getSender(this.laneFor(job)).sendMessages(deferred);
+      await this.receiverFor(message).completeMessage(message);
+
+      logger.info('User is at the active job cap, job deferred', {
+        messageId: message.messageId,
+        deferredMessageId: deferred.messageId,
+        userId: job.userId,
+        maxActivePerUser: this.maxActivePerUser,
+        scheduledEnqueueTimeUtc: scheduledEnqueueTimeUtc.toISOString()
+      });
+    } catch (error) {
+      logger.warn('Could not defer job, abandoning message instead', {
+        messageId: message.messageId,
+        error: error.message
+      });
+      await this.receiverFor(message).abandonMessage(message).catch(() => {});
+    }
+  }
+
+  /**
+   * Complete, re-schedule or dead-letter a message whose handler threw,
+   * based on the disposition of the error class (see errors.cjs)
+   * @param {Object} message - Service Bus received message
+   * @param {Error} error
+   */
+  async settleFailedMessage(message, error) {
+    const failure = classifyError(error);
+    const attempt = message.body?.attempt || 1;
+    let settlement;
+
+    try {
+      if (failure.disposition === DISPOSITIONS.COMPLETE) {
+        // Complete the message (remove from queue) - no point retrying
+        logger.warn('Non-retryable error, removing message from queue', {
+          messageId: message.messageId,
+          errorClass: failure.errorClass,
+          error: failure.description
+        });
+        await this.receiverFor(message).completeMessage(message);
+        settlement = { action: 'completed' };
+      } else if (failure.disposition === DISPOSITIONS.DEAD_LETTER) {
+        await this.deadLetter(message, failure);
+        settlement = { action: 'deadLettered', reason: failure.reason };
+      } else if (message.deliveryCount >= this.maxDeliveryCount) {
+        await this.deadLetter(message, {
+          reason: 'MaxDeliveryCountExceeded',
+          description: `${failure.errorClass}: ${failure.description}`
+        });
+        settlement = { action: 'deadLettered', reason: 'MaxDeliveryCountExceeded' };
+      } else if (!failure.error.details?.deferred && attempt >= this.getRetryPolicy(failure.errorClass).maxAttempts) {
+        await this.deadLetter(message, {
+          reason: 'MaxAttemptsExceeded',
+          description: `Attempt ${attempt} failed with ${failure.errorClass}: ${failure.description}`
+        });
+        settlement = { action: 'deadLettered', reason: 'MaxAttemptsExceeded' };
+      } else {
+        settlement = await this.scheduleRetry(message, failure);
+      }
+    } catch (settleError) {
+      // Lock lost or receiver closed - the queue will redeliver after the lock expires
+      logger.error('Failed to settle message', {
+        messageId: message.messageId,
+        disposition: failure.disposition,
+        error: settleError.message
+      });
+      return;
+    }
+
+    if (this.onSettled) {
+      try {
+        await this.onSettled(message.body, {
+          ...settlement,
+          messageId: message.messageId,
+          attempt,
+          errorClass: failure.errorClass
+        });
+      } catch (hookError) {
+        logger.warn('onSettled hook failed', { messageId: message.messageId, error: hookError.message });
+      }
+    }
+  }
+
+  /**
+   * Re-send a copy of a failed message with a delayed enqueue time, then
+   * complete the original. The copy carries the same runId and an
+   * incremented attempt counter so the worker resumes the same run.
+   * A deferred failure (see RETRY_POLICIES) keeps its attempt counter and
+   * is sent for when its retryAfterMs runs out.
+   * Falls back to abandoning the original if the copy cannot be sent.
+   * @param {Object} message - Service Bus received message
+   * @param {Object} failure - Result of classifyError()
+   */
+  async scheduleRetry(message, failure) {
+    const attempt = message.body?.attempt || 1;
+    const deferred = Boolean(failure.error.details?.deferred);
+    const nextAttempt = deferred ? attempt : attempt + 1;
+    // Never before the error says the retry can succeed (bot challenge cool-down)
+    const retryAfterMs = failure.error.details?.retryAfterMs || 0;
+    const delayMs = deferred ? retryAfterMs : Math.max(this.getRetryDelay(failure.errorClass, attempt), retryAfterMs);
+    const scheduledEnqueueTimeUtc = new Date(Date.now() + delayMs);
+
+    const retryJob = {
+      ...message.body,
+      runId: message.body?.runId || message.messageId,
+      attempt: nextAttempt,
+      retryOf: message.messageId,
+      lastError: { errorClass: failure.errorClass, message: failure.description }
+    };
+
+    try {
+      const retryMessage = this.buildMessage(retryJob, { scheduledEnqueueTimeUtc });
+      await this.getSender(this.laneFor(retryJob)).sendMessages(retryMessage);
+      await this.receiverFor(message).completeMessage(message);
+
+      logger.warn('Retryable error, retry scheduled', {
+        messageId: message.messageId,
+        retryMessageId: retryMessage.messageId,
+        errorClass: failure.errorClass,
+        error: failure.description,
+        attempt,
+        nextAttempt,
+        deferred,
+        delayMs,
+        scheduledEnqueueTimeUtc: scheduledEnqueueTimeUtc.toISOString()
+      });
+
+      return {
+        action: 'retryScheduled',
+        retryMessageId: retryMessage.messageId,
+        nextAttempt,
+        delayMs,
+        nextRetryAt: scheduledEnqueueTimeUtc.toISOString()
+      };
+    } catch (sendError) {
+      // Abandon the message (return to queue for immediate retry)
+      logger.warn('Could not schedule retry, abandoning message instead', {
+        messageId: message.messageId,
+        errorClass: failure.errorClass,
+        error: sendError.message
+      });
+      await this.receiverFor(message).abandonMessage(message);
+      return { action: 'abandoned' };
+    }
+  }
+
+  /**
+   * Move a message to the dead-letter queue
+   * @param {Object} message - Service Bus received message
+   * @param {Object} failure - { reason, description }
+   */
+  async deadLetter(message, { reason, description }) {
+    logger.error('Dead-lettering message', {
+      messageId: message.messageId,
+      searchId: message.body?.searchId,
+      deliveryCount: message.deliveryCount,
+      attempt: message.body?.attempt || 1,
+      reason,
+      description
+    });
+
+    await this.receiverFor(message).deadLetterMessage(message, {
+      deadLetterReason: reason,
+      deadLetterErrorDescription: description
+    });
+  }
+
+  /**
+   * Get the retry policy for an error class
+   * @param {string} errorClass
+   */
+  getRetryPolicy(errorClass) {
+    return this.retryPolicies[errorClass] || this.retryPolicies.default;
+  }
+
+  /**
+   * Exponential backoff with jitter for the given attempt
+   * @param {string} errorClass
+   * @param {number} attempt - 1-based attempt that just failed
+   */
+  getRetryDelay(errorClass, attempt) {
+    const policy = this.getRetryPolicy(errorClass);
+    const exponential = policy.baseDelayMs * (policy.factor || 2) ** Math.max(0, attempt - 1);
+    const capped = Math.min(policy.maxDelayMs, exponential);
+    const jitter = policy.jitter || 0;
+    return Math.round(capped * (1 - jitter + Math.random() * 2 * jitter));
+  }
+
+  /**
+   * Whether a receiver is subscribed and open (readiness check)
+   */
+  isReady() {
+    return !!this.dispatcher && this.receivers.size > 0 &&
+      [...this.receivers.values()].every(receiver => !receiver.isClosed);
+  }
+
+  /**
+   * Stop receiving new messages. The receiver stays open so messages that
+   * are still being processed can be completed or abandoned.
+   */
+  async stopReceiving() {
+    if (!this.dispatcher) {
+      return;
+    }
+
+    try {
+      await this.dispatcher.close();
+      logger.info('Job queue stopped receiving new messages', {
+        queueName: this.queueName,
+        inFlight: this.inFlight.size
+      });
+    } catch (error) {
+      logger.warn('Failed to stop the lane dispatcher', { error: error.message });
+    }
+    this.dispatcher = null;
+  }
+
+  /**
+   * Give an in-flight message back to the queue for immediate redelivery
+   * while its handler is still running (drain deadline on shutdown).
+   * Whatever the handler does afterwards, the message is not settled again.
+   * @param {string} messageId
+   * @returns {Promise<boolean>} True if the message was abandoned
+   */
+  async abandonInFlight(messageId) {
+    const entry = this.inFlight.get(messageId);
+    if (!entry || entry.abandoned) {
+      return false;
+    }
+
+    entry.abandoned = true;
+    try {
+      await this.receiverFor(entry.message).abandonMessage(entry.message);
+      logger.warn('Abandoned in-flight message', {
+        messageId,
+        searchId: entry.message.body?.searchId
+      });
+      return true;
+    } catch (error) {
+      // Lock already lost - the queue redelivers after it expires
+      logger.error('Failed to abandon in-flight message', { messageId, error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Close connections
    */
   async close() {
+    await this.stopReceiving();
+
     try {
-      if (this.receiver) {
-        await this.receiver.close();
+      for (const receiver of this.receivers.values()) {
+        await receiver.close();
       }
-      if (this.sender) {
-        await this.sender.close();
+      for (const sender of this.senders.values()) {
+        await sender.close();
       }
       if (this.client) {
         await this.client.close();
       }
+      this.receivers.clear();
+      this.senders.clear();
+      this.client = null;
 
-      logger.info('Service Bus connections closed');
+      logger.info('Job queue connections closed', { transport: this.transport });
     } catch (error) {
-      logger.error('Failed to close Service Bus connections', { error: error.message });
+      logger.error('Failed to close job queue connections', { error: error.message });
     }
   }
 }
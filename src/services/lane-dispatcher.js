@@ -0,0 +1,168 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Lane Dispatcher
+ * Pulls messages from several queue receivers (priority lanes) into a shared
+ * pool of handler slots. A message is only received when a slot is free, so
+ * nothing sits locked while it waits for a slot.
+ *
+ * Lanes are picked by smooth weighted round-robin: with weights
+ * manual 6, scheduled 3, backfill 1 and all lanes busy, every 10 slots go
+ * 6/3/1. A lane with nothing to receive is skipped and does not bank credit,
+ * so an idle lane cannot burst ahead once messages arrive.
+ *
+ * Receives do not wait on a lane: each round polls the lanes in turn and,
+ * when all are empty, pauses once for receiveWaitMs. A message on a high
+ * priority lane is therefore never held up behind waits on idle lanes.
+ */
+class LaneDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Array} options.lanes - [{ name, receiver, weight }]
+   * @param {number} options.maxConcurrentCalls - Shared handler slots
+   * @param {number} options.receiveWaitMs - Pause after a round in which every lane was empty
+   * @param {Function} options.processMessage - (message, lane) => Promise
+   * @param {Function} options.processError - ({ error, errorSource, entityPath }) => Promise
+   */
+  constructor({ lanes, maxConcurrentCalls = 1, receiveWaitMs = 1000, processMessage, processError }) {
+    this.lanes = lanes.map(lane => ({ ...lane, weight: Math.max(1, lane.weight || 1), credit: 0 }));
+    this.maxConcurrentCalls = maxConcurrentCalls;
+    this.receiveWaitMs = receiveWaitMs;
+    this.processMessage = processMessage;
+    this.processError = processError;
+    this.active = 0;
+    this.running = false;
+    this.loop = null;
+    this.wakeUp = null;
+  }
+
+  start() {
+    this.running = true;
+    this.loop = this.run();
+  }
+
+  /**
+   * Stop receiving. Handlers that are running keep their slot and finish;
+   * a message received while stopping is abandoned.
+   */
+  async close() {
+    this.running = false;
+    this.wake();
+    await this.loop;
+  }
+
+  async run() {
+    while (this.running) {
+      if (this.active >= this.maxConcurrentCalls) {
+        await new Promise(resolve => { this.wakeUp = resolve; });
+        continue;
+      }
+
+      let received = false;
+      // Weight of the lanes found empty this round: they drop the credit they were given
+      let emptyWeight = 0;
+      for (const lane of this.pickOrder()) {
+        if (!this.running) break;
+
+        const message = await this.receiveOne(lane);
+        if (!message) {
+          lane.credit = 0;
+          emptyWeight += lane.weight;
+          continue;
+        }
+
+        if (!this.running) {
+          await lane.receiver.abandonMessage(message).catch(() => {});
+          break;
+        }
+
+        // Only the credit handed out to lanes with work, or a lone busy lane runs into debt
+        lane.credit -= this.totalWeight() - emptyWeight;
+        this.dispatch(message, lane);
+        received = true;
+        break;
+      }
+
+      if (!received && this.running) {
+        await this.pause(this.receiveWaitMs);
+      }
+    }
+  }
+
+  /**
+   * Lanes in the order to try this round: highest credit first
+   */
+  pickOrder() {
+    this.lanes.forEach(lane => { lane.credit += lane.weight; });
+    return [...this.lanes].sort((a, b) => b.credit - a.credit);
+  }
+
+  totalWeight() {
+    return this.lanes.reduce((sum, lane) => sum + lane.weight, 0);
+  }
+
+  /**
+   * Receive a message the lane has now, without waiting for one to arrive
+   * (Service Bus drains the link and returns what is available)
+   */
+  async receiveOne(lane) {
+    try {
+      const [message] = await lane.receiver.receiveMessages(1, { maxWaitTimeInMs: 0 });
+      return message || null;
+    } catch (error) {
+      await this.reportError(error, lane);
+      // Back off so a broken lane does not spin
+      await this.pause(this.receiveWaitMs);
+      return null;
+    }
+  }
+
+  /**
+   * Wait up to ms; close() or a freed slot ends the wait early
+   */
+  pause(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  dispatch(message, lane) {
+    this.active += 1;
+
+    Promise.resolve()
+      .then(() => this.processMessage(message, lane))
+      .catch(error => this.reportError(error, lane, 'processMessageCallback'))
+      .finally(() => {
+        this.active -= 1;
+        this.wake();
+      });
+  }
+
+  /**
+   * End the current wait for a free slot, or pause
+   */
+  wake() {
+    if (this.wakeUp) {
+      const resolve = this.wakeUp;
+      this.wakeUp = null;
+      resolve();
+    }
+  }
+
+  async reportError(error, lane, errorSource = 'receive') {
+    try {
+      await this.processError({ error, errorSource, entityPath: lane.queueName, lane: lane.name });
+    } catch (handlerError) {
+      logger.warn('Lane dispatcher error handler failed', { error: handlerError.message });
+    }
+  }
+}
+
+export default LaneDispatcher;
@@ -1,4 +1,4 @@
-import cosmosDBService from './cosmos-db.service.js';
+import storageService from './storage/index.js';
 import jobQueueService from './job-queue.service.js';
 import distributedLockService from './distributed-lock.service.js';
 import { createRequire } from 'module';
@@ -8,7 +8,7 @@ const logger = require('../logger.cjs');
 
 /**
  * Job Scheduler Service
- * Polls database for due searches and enqueues them to Service Bus
+ * Polls database for due searches and enqueues them to the job queue
  */
 class SchedulerService {
   constructor() {
@@ -18,6 +18,8 @@ class SchedulerService {
     this.consecutiveErrors = 0;
     this.maxConsecutiveErrors = 10;
     this.lastTickTime = null;
+    this.lastTickStartedAt = null;
+    this.stoppedOnErrors = false;
   }
 
   /**
@@ -38,12 +40,12 @@ class SchedulerService {
     logger.info('Starting job scheduler...', { intervalMinutes: this.pollIntervalMs / 60000 });
 
     try {
-      // Initialize Cosmos DB first
-      logger.info('Initializing Cosmos DB connection for scheduler...');
-      await cosmosDBService.initialize();
+      // Initialize storage first
+      logger.info('Initializing storage for scheduler...');
+      await storageService.initialize();
 
-      // Initialize Service Bus
-      logger.info('Initializing Service Bus connection for scheduler...');
+      // Initialize job queue
+      logger.info('Initializing job queue connection for scheduler...');
       await jobQueueService.initialize();
 
       // Initialize distributed lock for multi-instance support
@@ -52,6 +54,7 @@ class SchedulerService {
 
       // Mark as running ONLY after all services successfully initialized
       this.isRunning = true;
+      this.stoppedOnErrors = false;
       this.consecutiveErrors = 0;
 
       // Run immediately on start
@@ -100,13 +103,8 @@ class SchedulerService {
         logger.warn('Error releasing distributed lock', { error: lockError.message });
       }
 
-      // Close Service Bus connections
-      try {
-        await jobQueueService.close();
-        logger.info('Closed Service Bus connections');
-      } catch (closeError) {
-        logger.warn('Error closing Service Bus connections', { error: closeError.message });
-      }
+      // The job queue is shared with the worker's receiver, which may still be
+      // draining in-flight jobs; the worker closes it
 
       logger.info('✅ Job scheduler stopped gracefully');
     } catch (error) {
@@ -125,7 +123,8 @@ class SchedulerService {
     }
 
     const tickStartTime = Date.now();
-    
+    this.lastTickStartedAt = new Date(tickStartTime).toISOString();
+
     try {
       // Try to acquire the distributed lock
       // In multi-instance scenarios, only the instance holding the lock runs the scheduler
@@ -139,7 +138,7 @@ class SchedulerService {
       logger.info('Scheduler tick: checking for due searches...');
 
       // Get searches that are due to run
-      const dueSearches = await cosmosDBService.getDueSearches(50);
+      const dueSearches = await storageService.getDueSearches(50);
 
       if (dueSearches.length === 0) {
         logger.debug('No due searches found');
@@ -183,7 +182,7 @@ class SchedulerService {
           nextRun: nextRun.toISOString()
         };
         
-        return cosmosDBService.updateSearch(search.id, search.userId, {
+        return storageService.updateSearch(search.id, search.userId, {
           schedule: updatedSchedule,
           lastRunAt: now.toISOString()
         });
@@ -219,6 +218,7 @@ class SchedulerService {
           consecutiveErrors: this.consecutiveErrors
         });
         this.isRunning = false;
+        this.stoppedOnErrors = true;
         if (this.intervalId) {
           clearInterval(this.intervalId);
           this.intervalId = null;
@@ -234,6 +234,18 @@ class SchedulerService {
     }
   }
 
+  /**
+   * Seconds the next tick is overdue, measured from the last tick start
+   * (leader or not). Grows without bound if the tick loop has died.
+   */
+  getTickLagSeconds() {
+    if (!this.isRunning || !this.lastTickStartedAt) {
+      return 0;
+    }
+    const dueAt = new Date(this.lastTickStartedAt).getTime() + this.pollIntervalMs;
+    return Math.max(0, (Date.now() - dueAt) / 1000);
+  }
+
   /**
    * Get scheduler status for monitoring
    */
@@ -241,6 +253,9 @@ class SchedulerService {
     return {
       isRunning: this.isRunning,
       lastTickTime: this.lastTickTime,
+      lastTickStartedAt: this.lastTickStartedAt,
+      tickLagSeconds: this.getTickLagSeconds(),
+      stoppedOnErrors: this.stoppedOnErrors,
       consecutiveErrors: this.consecutiveErrors,
       maxConsecutiveErrors: this.maxConsecutiveErrors,
       pollIntervalMinutes: this.pollIntervalMs / 60000,
@@ -0,0 +1,218 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { createRequire } from 'module';
+import storageService from './storage/index.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+const BookingURLParser = require('../booking-url-parser.cjs');
+const { ValidationError } = require('../errors.cjs');
+const { getProfile } = require('../scraping-profiles.cjs');
+
+/**
+ * Search File Service
+ * Loads search definitions from a JSON or YAML file (standalone mode) and
+ * syncs them into storage, so the scheduler picks them up like searches
+ * created in the web app.
+ *
+ * File format:
+ *
+ *   defaults:                      # optional, applied to every search
+ *     intervalHours: 6
+ *     emailRecipients: [me@example.com]
+ *   searches:
+ *     - id: istria-july            # stable id, keeps schedule state across restarts
+ *       name: Istria in July
+ *       url: https://www.booking.com/searchresults.html?...   # or `criteria: {...}`
+ *       intervalHours: 12
+ *       active: true
+ *       dateWindow:                # optional flexible dates, see date-grid.cjs
+ *         checkInFrom: 2026-07-01
+ *         checkInTo: 2026-07-20
+ *         minNights: 5
+ *         maxNights: 7
+ *       pointOfInterest:           # optional, hotels get their distance to it
+ *         name: Old Town
+ *         latitude: 45.0812
+ *         longitude: 13.6387
+ *       propertyDetails:           # optional room rates from property pages
+ *         topN: 3                  # cheapest hotels to visit
+ *         pinned: [Hotel Park]     # always visited, by name or hotel URL
+ *       scrapingProfile: de-DE     # optional locale/timezone/proxy, see scraping-profiles.cjs
+ */
+class SearchFileService {
+  constructor() {
+    this.userId = 'standalone'; // Owner (partition key) of every file-defined search
+  }
+
+  /**
+   * Read and validate a searches file
+   * @param {string} filePath - .json, .yaml or .yml
+   * @returns {Promise<Array>} Search definitions ready for storage
+   */
+  async load(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw new ValidationError(`Cannot read searches file ${filePath}: ${error.message}`, { cause: error });
+    }
+
+    let data;
+    try {
+      const extension = path.extname(filePath).toLowerCase();
+      data = extension === '.yaml' || extension === '.yml' ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid searches file ${filePath}: ${error.message}`, { cause: error });
+    }
+
+    const entries = Array.isArray(data) ? data : data?.searches;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new ValidationError(`Searches file ${filePath} defines no searches`);
+    }
+
+    const defaults = (!Array.isArray(data) && data.defaults) || {};
+    const ids = new Set();
+
+    return entries.map((entry, index) => {
+      const search = this.toSearch({ ...defaults, ...entry }, index);
+      if (ids.has(search.id)) {
+        throw new ValidationError(`Duplicate search id "${search.id}" in ${filePath}`);
+      }
+      ids.add(search.id);
+      return search;
+    });
+  }
+
+  /**
+   * Turn one file entry into a search document
+   * @param {Object} entry - Entry merged with file defaults
+   * @param {number} index - Position in the file (for error messages)
+   */
+  toSearch(entry, index) {
+    const label = entry.id || entry.name || `searches[${index}]`;
+
+    if (!entry.id) {
+      throw new ValidationError(`Search ${label} is missing an id`);
+    }
+    if (!entry.url && !entry.criteria) {
+      throw new ValidationError(`Search ${label} needs a Booking.com url or criteria`);
+    }
+
+    let criteria;
+    try {
+      criteria = entry.url
+        ? BookingURLParser.parseURL(entry.url)
+        : { ...entry.criteria, sourceUrl: entry.criteria.sourceUrl || BookingURLParser.buildURL(entry.criteria) };
+    } catch (error) {
+      throw new ValidationError(`Search ${label}: ${error.message}`, { cause: error });
+    }
+    if (entry.dateWindow) {
+      criteria.dateWindow = entry.dateWindow;
+    }
+    if (entry.pointOfInterest) {
+      criteria.pointOfInterest = entry.pointOfInterest;
+    }
+
+    const validation = BookingURLParser.validateCriteria(criteria);
+    if (!validation.valid) {
+      throw new ValidationError(`Search ${label} has invalid criteria: ${validation.errors.join('; ')}`, {
+        details: { searchId: entry.id, errors: validation.errors }
+      });
+    }
+
+    if (entry.scrapingProfile) {
+      try {
+        getProfile(String(entry.scrapingProfile));
+      } catch (error) {
+        throw new ValidationError(`Search ${label}: ${error.message}`, { cause: error });
+      }
+    }
+
+    return {
+      id: String(entry.id),
+      userId: this.userId,
+      searchName: entry.name || criteria.cityName,
+      searchUrl: criteria.sourceUrl,
+      criteria,
+      emailRecipients: [].concat(entry.emailRecipients || []),
+      propertyDetails: entry.propertyDetails
+        ? { topN: entry.propertyDetails.topN, pinned: [].concat(entry.propertyDetails.pinned || []) }
+        : null,
+      scrapingProfile: entry.scrapingProfile ? String(entry.scrapingProfile) : null,
+      intervalHours: Number(entry.intervalHours) || 6,
+      isActive: entry.active !== false
+    };
+  }
+
+  /**
+   * Create or update file-defined searches in storage and deactivate the
+   * ones removed from the file. Existing schedule state (nextRun, lastRunAt)
+   * is kept, so restarting does not re-run every search.
+   * @param {Array} searches - Result of load()
+   * @returns {Promise<Object>} { created, updated, deactivated }
+   */
+  async sync(searches) {
+    const summary = { created: 0, updated: 0, deactivated: 0 };
+    const ids = new Set(searches.map(search => search.id));
+
+    for (const search of searches) {
+      const existing = await storageService.getSearch(search.id, search.userId);
+
+      if (!existing) {
+        await storageService.createSearch({
+          ...search,
+          schedule: {
+            enabled: search.isActive,
+            intervalHours: search.intervalHours,
+            nextRun: new Date().toISOString()
+          }
+        });
+        summary.created += 1;
+        continue;
+      }
+
+      await storageService.updateSearch(search.id, search.userId, {
+        searchName: search.searchName,
+        searchUrl: search.searchUrl,
+        criteria: search.criteria,
+        emailRecipients: search.emailRecipients,
+        propertyDetails: search.propertyDetails,
+        scrapingProfile: search.scrapingProfile,
+        isActive: search.isActive,
+        schedule: {
+          ...existing.schedule,
+          enabled: search.isActive,
+          intervalHours: search.intervalHours
+        }
+      });
+      summary.updated += 1;
+    }
+
+    // Collect first: deactivating while paging would shift the pages
+    const removed = [];
+    let continuationToken;
+    do {
+      const page = await storageService.getSearchesByUser(this.userId, { isActive: true, continuationToken });
+      removed.push(...page.searches.filter(stored => !ids.has(stored.id)));
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    for (const stored of removed) {
+      await storageService.updateSearch(stored.id, stored.userId, {
+        isActive: false,
+        schedule: { ...stored.schedule, enabled: false }
+      });
+      summary.deactivated += 1;
+    }
+
+    logger.info('Searches file synced to storage', summary);
+    return summary;
+  }
+}
+
+// Singleton instance
+const searchFileService = new SearchFileService();
+
+export default searchFileService;
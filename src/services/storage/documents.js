@@ -0,0 +1,174 @@
+/**
+ * Stored document shapes shared by every storage backend, so the Cosmos DB
+ * and local backends write identical documents.
+ */
+
+/**
+ * @param {Object} user - User object with id, email, displayName, googleId, etc.
+ */
+export function toUserDocument(user) {
+  return {
+    id: user.id,
+    userId: user.id, // Partition key
+    email: user.email,
+    displayName: user.displayName,
+    googleId: user.googleId,
+    photoURL: user.photoURL || null,
+    emailPreferences: user.emailPreferences || { enabled: true },
+    createdAt: user.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * @param {Object} search - Search object with userId, searchUrl, criteria, schedule, etc.
+ */
+export function toSearchDocument(search) {
+  return {
+    id: search.id,
+    userId: search.userId, // Partition key
+    searchName: search.searchName || search.criteria.cityName,
+    searchUrl: search.searchUrl, // Original Booking.com URL
+    criteria: search.criteria, // Parsed search criteria JSON
+    schedule: search.schedule || {
+      enabled: true,
+      intervalHours: 6,
+      nextRun: new Date().toISOString()
+    },
+    emailRecipients: search.emailRecipients || [],
+    propertyDetails: search.propertyDetails || null, // { topN, pinned }, see PriceMonitorWorker.selectPropertyTargets
+    scrapingProfile: search.scrapingProfile || null, // See scraping-profiles.cjs; null uses SCRAPER_PROFILE
+    isActive: search.isActive !== undefined ? search.isActive : true,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    lastRunAt: null
+  };
+}
+
+/**
+ * @param {Object} price - Price record built by the worker
+ */
+export function toPriceDocument(price) {
+  return {
+    id: price.id,
+    searchId: price.searchId, // Partition key
+    userId: price.userId,
+    runId: price.runId || null, // Job run that produced this record
+    hotelName: price.hotelName,
+    rating: price.rating,
+    reviewCount: price.reviewCount ?? null,
+    stars: price.stars ?? null,
+    location: price.location,
+    distanceText: price.distanceText || null, // As shown, e.g. "2.3 km from centre"
+    distanceKm: price.distanceKm ?? null,
+    distanceFrom: price.distanceFrom || null, // centre | beach
+    latitude: price.latitude ?? null,
+    longitude: price.longitude ?? null,
+    coordinatesSource: price.coordinatesSource || null, // card | property_page | previous_run
+    poiDistanceKm: price.poiDistanceKm ?? null, // To the search's criteria.pointOfInterest
+    freeCancellation: price.freeCancellation ?? null,
+    noPrepayment: price.noPrepayment ?? null,
+    breakfastIncluded: price.breakfastIncluded ?? null,
+    roomsLeft: price.roomsLeft ?? null, // "Only N left at this price"
+    cityName: price.cityName,
+    originalPriceText: price.originalPriceText,
+    parsedPrice: price.parsedPrice,
+    numericPrice: price.numericPrice, // Payable amount, after any discount
+    currency: price.currency,
+    originalPrice: price.originalPrice ?? null, // Strike-through amount of a discounted price
+    discountPercent: price.discountPercent ?? null,
+    deals: price.deals || [], // genius, limited_time_deal, early_booking, ...
+    dealBadges: price.dealBadges || [],
+    taxesIncluded: price.taxesIncluded ?? null,
+    taxesAmount: price.taxesAmount ?? null,
+    hotelUrl: price.hotelUrl,
+    units: price.units || [],
+    checkIn: price.checkIn || null, // Stay this price is for
+    checkOut: price.checkOut || null,
+    nights: price.nights || null,
+    policies: price.policies || null, // Check-in/out times from the property page, if visited
+    ratesCount: price.ratesCount ?? null,
+    scrapingProfile: price.scrapingProfile || null, // { name, locale, timezoneId, proxy } the price was scraped with
+    extractedAt: price.extractedAt,
+    searchDestination: price.searchDestination,
+    searchDate: price.searchDate
+  };
+}
+
+/**
+ * @param {Object} rate - Room/rate record of a property page, built by the worker
+ */
+export function toRateDocument(rate) {
+  return {
+    id: rate.id,
+    searchId: rate.searchId, // Partition key
+    userId: rate.userId,
+    runId: rate.runId,
+    priceId: rate.priceId, // Price record of the hotel in the same run
+    hotelName: rate.hotelName,
+    hotelUrl: rate.hotelUrl,
+    blockId: rate.blockId,
+    roomName: rate.roomName,
+    maxGuests: rate.maxGuests,
+    occupancyText: rate.occupancyText,
+    priceText: rate.priceText,
+    numericPrice: rate.numericPrice,
+    currency: rate.currency,
+    originalPrice: rate.originalPrice,
+    mealPlan: rate.mealPlan,
+    cancellation: rate.cancellation,
+    cancellationDeadline: rate.cancellationDeadline,
+    prepayment: rate.prepayment,
+    taxesIncluded: rate.taxesIncluded,
+    taxesAmount: rate.taxesAmount,
+    taxesText: rate.taxesText,
+    conditions: rate.conditions || [],
+    checkIn: rate.checkIn || null,
+    checkOut: rate.checkOut || null,
+    scrapingProfile: rate.scrapingProfile || null,
+    extractedAt: rate.extractedAt
+  };
+}
+
+/**
+ * Conversation document, defaulting missing or malformed fields
+ * @param {string} searchId
+ * @param {Object} resource - Stored document, if any
+ */
+export function toConversationDocument(searchId, resource = null) {
+  const conversation = resource && typeof resource === 'object' ? resource : {};
+  return {
+    id: conversation.id || searchId,
+    searchId: conversation.searchId || searchId, // Partition key
+    messages: Array.isArray(conversation.messages) ? conversation.messages : [],
+    createdAt: conversation.createdAt || new Date().toISOString(),
+    updatedAt: conversation.updatedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * @param {Object} job - Job object with searchId, userId, status, etc.
+ */
+export function toJobDocument(job) {
+  return {
+    id: job.id,
+    status: job.status || 'pending', // Partition key: pending, running, completed, failed, skipped, interrupted
+    searchId: job.searchId,
+    userId: job.userId,
+    scheduleType: job.scheduleType || 'scheduled', // scheduled | manual | backfill | preview
+    messageId: job.messageId || null, // Queue messageId that triggered the run
+    deliveryCount: job.deliveryCount || null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    durationMs: null,
+    runId: job.runId || null, // Idempotency key shared by all deliveries of one run
+    stages: {}, // Per-stage timings: { scrape: { status, startedAt, durationMs }, ... }
+    checkpoints: {}, // Completed stage outputs reused when a delivery is retried
+    attempt: job.attempt || 1,
+    attempts: [], // Attempt history: { attempt, messageId, outcome, errorClass, settlement, nextRetryAt }
+    artifacts: [], // Failure artifacts: { reason, url, capturedAt, error, store, files: [{ name, location, size }] }
+    error: null,
+    result: null
+  };
+}
@@ -0,0 +1,87 @@
+import { createRequire } from 'module';
+import cosmosDBService from '../cosmos-db.service.js';
+import localStorageService from './local-storage.service.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../../logger.cjs');
+
+/**
+ * Storage backends by STORAGE_BACKEND name
+ */
+const BACKENDS = {
+  cosmos: cosmosDBService,
+  local: localStorageService
+};
+
+/**
+ * Repository interface every backend implements. Lock methods report
+ * conflicts with Cosmos DB status codes (404, 409, 412).
+ */
+const STORAGE_METHODS = [
+  // Users
+  'upsertUser', 'getUser', 'getUserByGoogleId', 'deleteUser',
+  // Searches
+  'createSearch', 'getSearch', 'getSearchesByUser', 'getDueSearches', 'updateSearch', 'deleteSearch',
+  // Prices
+  'createPrices', 'getPricesByRun', 'deletePricesByRun', 'getPricesBySearch', 'getLatestPrices',
+  // Rates (property page rooms, linked to prices)
+  'createRates', 'getRatesByRun', 'deleteRatesByRun',
+  // Conversations
+  'getConversation', 'updateConversation',
+  // Jobs
+  'createJob', 'updateJob', 'findJob', 'getJob', 'getRecentJobs',
+  // Locks
+  'readLock', 'createLock', 'replaceLock', 'deleteLock'
+];
+
+/**
+ * Storage Service
+ * Delegates every repository call to the backend chosen by STORAGE_BACKEND
+ * (`cosmos` by default, or `local`). The backend is resolved on first use,
+ * after dotenv has loaded, so importing this module never reads the env.
+ */
+class StorageService {
+  constructor() {
+    this.backend = null;
+    this.backendName = null;
+    this.initialized = null;
+  }
+
+  resolve() {
+    if (!this.backend) {
+      const name = (process.env.STORAGE_BACKEND || 'cosmos').toLowerCase();
+      if (!BACKENDS[name]) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+      }
+      this.backend = BACKENDS[name];
+      this.backendName = name;
+    }
+    return this.backend;
+  }
+
+  /**
+   * Initialize the backend once, however many services call this
+   */
+  async initialize() {
+    if (!this.initialized) {
+      const backend = this.resolve();
+      logger.info('Initializing storage backend', { backend: this.backendName });
+      this.initialized = backend.initialize().catch(error => {
+        this.initialized = null;
+        throw error;
+      });
+    }
+    return this.initialized;
+  }
+}
+
+STORAGE_METHODS.forEach(method => {
+  StorageService.prototype[method] = function (...args) {
+    return this.resolve()[method](...args);
+  };
+});
+
+// Singleton instance
+const storageService = new StorageService();
+
+export default storageService;
@@ -0,0 +1,622 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { nanoid } from 'nanoid';
+import { createRequire } from 'module';
+import {
+  toUserDocument,
+  toSearchDocument,
+  toPriceDocument,
+  toRateDocument,
+  toConversationDocument,
+  toJobDocument
+} from './documents.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../../logger.cjs');
+const { SearchNotFoundError } = require('../../errors.cjs');
+const { Semaphore } = require('../../concurrency.cjs');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Partition key path of each container, as in Cosmos DB
+const PARTITION_KEYS = {
+  users: 'userId',
+  searches: 'userId',
+  prices: 'searchId',
+  rates: 'searchId',
+  conversations: 'searchId',
+  jobs: 'status',
+  locks: 'lockName'
+};
+
+// Containers that grow with every run: one file per partition (search), so
+// reading a search's prices never parses the other searches' history
+const PARTITIONED_CONTAINERS = ['prices', 'rates'];
+
+/**
+ * Build an error carrying a Cosmos DB status code (404, 409, 412),
+ * so callers handle both backends the same way
+ */
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Cosmos DB ORDER BY comparison: undefined sorts before any value
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Page through sorted results with an opaque offset-based continuation token
+ * @returns {Object} { resources, continuationToken } - token is undefined on the last page
+ */
+function paginate(resources, limit, continuationToken) {
+  const offset = continuationToken
+    ? JSON.parse(Buffer.from(continuationToken, 'base64').toString('utf-8')).offset
+    : 0;
+  const page = resources.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+
+  return {
+    resources: page,
+    continuationToken: nextOffset < resources.length
+      ? Buffer.from(JSON.stringify({ offset: nextOffset })).toString('base64')
+      : undefined
+  };
+}
+
+/**
+ * Local Storage Service
+ * File-backed implementation of the storage interface (see storage/index.js)
+ * for offline development and integration tests. Each container is one JSON
+ * file under LOCAL_STORAGE_DIR (default data/db), except prices and rates:
+ * one file per search under prices/ and rates/. Documents are keyed by
+ * partition key + id and get `_etag` / `_ts` system properties on every
+ * write, and queries follow the Cosmos DB queries in cosmos-db.service.js.
+ *
+ * Writes to a container are serialised within the process; the files are
+ * not meant to be shared by several processes. Prices and rates older than
+ * LOCAL_STORAGE_RETENTION_DAYS (0, the default, keeps them) are pruned when
+ * a run adds new ones.
+ */
+class LocalStorageService {
+  constructor() {
+    this.directory = null;
+    this.retentionDays = 0;
+    this.containerLocks = {};
+    Object.keys(PARTITION_KEYS).forEach(name => {
+      this.containerLocks[name] = new Semaphore(1);
+    });
+  }
+
+  /**
+   * Create the storage directory
+   */
+  async initialize() {
+    try {
+      this.directory = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../../data/db');
+      this.retentionDays = parseFloat(process.env.LOCAL_STORAGE_RETENTION_DAYS || '0');
+      for (const container of PARTITIONED_CONTAINERS) {
+        await fs.mkdir(path.join(this.directory, container), { recursive: true });
+        await this.splitContainerFile(container);
+      }
+
+      logger.info('Local storage service initialized successfully', { directory: this.directory });
+    } catch (error) {
+      logger.error('Failed to initialize local storage service', { error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== CONTAINER PRIMITIVES ====================
+
+  /**
+   * @param {string} container
+   * @param {string} partitionKey - Required for PARTITIONED_CONTAINERS
+   */
+  getContainerPath(container, partitionKey = null) {
+    if (PARTITIONED_CONTAINERS.includes(container)) {
+      return path.join(this.directory, container, `${encodeURIComponent(partitionKey)}.json`);
+    }
+    return path.join(this.directory, `${container}.json`);
+  }
+
+  /**
+   * Move the documents of a single-file container written by an earlier
+   * version (e.g. prices.json) to one file per partition
+   */
+  async splitContainerFile(container) {
+    const legacyPath = path.join(this.directory, `${container}.json`);
+    let docs;
+    try {
+      docs = JSON.parse(await fs.readFile(legacyPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const partitions = new Map();
+    Object.entries(docs).forEach(([key, doc]) => {
+      const partitionKey = doc[PARTITION_KEYS[container]];
+      if (!partitions.has(partitionKey)) {
+        partitions.set(partitionKey, {});
+      }
+      partitions.get(partitionKey)[key] = doc;
+    });
+
+    for (const [partitionKey, partitionDocs] of partitions) {
+      await this.mutate(container, existing => Object.assign(existing, partitionDocs), partitionKey);
+    }
+    await fs.rm(legacyPath);
+    logger.info('Split local storage container into one file per partition', { container, partitions: partitions.size });
+  }
+
+  getKey(container, doc) {
+    return `${doc[PARTITION_KEYS[container]]}|${doc.id}`;
+  }
+
+  /**
+   * Read all documents of a container (or of one partition of a
+   * partitioned container), keyed by partition key + id
+   */
+  async load(container, partitionKey = null) {
+    try {
+      const content = await fs.readFile(this.getContainerPath(container, partitionKey), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write a container under its lock. The file is replaced atomically.
+   * @param {string} container
+   * @param {Function} fn - Receives the documents map, may mutate it, returns the result
+   * @param {string} partitionKey - Required for PARTITIONED_CONTAINERS
+   */
+  async mutate(container, fn, partitionKey = null) {
+    return this.containerLocks[container].run(async () => {
+      const docs = await this.load(container, partitionKey);
+      const result = await fn(docs);
+
+      const filePath = this.getContainerPath(container, partitionKey);
+      const tmpPath = `${filePath}.${nanoid(6)}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(docs));
+      await fs.rename(tmpPath, filePath);
+
+      return result;
+    });
+  }
+
+  /**
+   * @param {string} container
+   * @param {Function} predicate
+   * @param {string} partitionKey - Required for PARTITIONED_CONTAINERS
+   */
+  async query(container, predicate, partitionKey = null) {
+    const docs = await this.load(container, partitionKey);
+    return Object.values(docs).filter(predicate);
+  }
+
+  async readItem(container, id, partitionKey) {
+    const docs = await this.load(container, partitionKey);
+    return docs[`${partitionKey}|${id}`] || null;
+  }
+
+  stamp(doc) {
+    return { ...doc, _etag: nanoid(16), _ts: Math.floor(Date.now() / 1000) };
+  }
+
+  /**
+   * Insert a document. Fails with 409 if it exists.
+   */
+  async createItem(container, doc) {
+    return this.mutate(container, docs => {
+      const key = this.getKey(container, doc);
+      if (docs[key]) {
+        throw storageError(409, `Entity with the specified id already exists: ${doc.id}`);
+      }
+      docs[key] = this.stamp(doc);
+      return docs[key];
+    }, doc[PARTITION_KEYS[container]]);
+  }
+
+  /**
+   * Insert or replace a document. With `etag`, fails with 412 unless the
+   * stored version matches (IfMatch access condition).
+   */
+  async upsertItem(container, doc, etag = null) {
+    return this.mutate(container, docs => {
+      const key = this.getKey(container, doc);
+      if (etag && docs[key]?._etag !== etag) {
+        throw storageError(412, `Precondition failed for ${doc.id}`);
+      }
+      docs[key] = this.stamp(doc);
+      return docs[key];
+    }, doc[PARTITION_KEYS[container]]);
+  }
+
+  /**
+   * Delete a document. Fails with 404 if missing, or 412 if `etag` does not match.
+   */
+  async deleteItem(container, id, partitionKey, etag = null) {
+    return this.mutate(container, docs => {
+      const key = `${partitionKey}|${id}`;
+      if (!docs[key]) {
+        throw storageError(404, `Entity with the specified id does not exist: ${id}`);
+      }
+      if (etag && docs[key]._etag !== etag) {
+        throw storageError(412, `Precondition failed for ${id}`);
+      }
+      delete docs[key];
+    }, partitionKey);
+  }
+
+  /**
+   * Insert the documents of a run into their search's file, pruning the
+   * documents older than LOCAL_STORAGE_RETENTION_DAYS on the way
+   * @param {string} container - prices or rates
+   * @param {Object[]} newDocs
+   * @returns {Promise<Object[]>} The stored documents
+   */
+  async insertRunDocuments(container, newDocs) {
+    const bySearch = new Map();
+    newDocs.forEach(doc => {
+      if (!bySearch.has(doc.searchId)) {
+        bySearch.set(doc.searchId, []);
+      }
+      bySearch.get(doc.searchId).push(doc);
+    });
+
+    const cutoff = this.retentionDays > 0
+      ? new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+    const results = [];
+    for (const [searchId, searchDocs] of bySearch) {
+      results.push(...await this.mutate(container, docs => {
+        if (cutoff) {
+          Object.keys(docs)
+            .filter(key => compareValues(docs[key].extractedAt, cutoff) < 0)
+            .forEach(key => delete docs[key]);
+        }
+        return searchDocs.map(doc => {
+          const key = this.getKey(container, doc);
+          docs[key] = this.stamp(doc);
+          return docs[key];
+        });
+      }, searchId));
+    }
+    return results;
+  }
+
+  /**
+   * Delete the documents of a run from its search's file
+   * @returns {Promise<number>} Documents deleted
+   */
+  async deleteRunDocuments(container, searchId, runId) {
+    return this.mutate(container, docs => {
+      const keys = Object.keys(docs).filter(key => docs[key].runId === runId);
+      keys.forEach(key => delete docs[key]);
+      return keys.length;
+    }, searchId);
+  }
+
+  // ==================== USERS OPERATIONS ====================
+
+  async upsertUser(user) {
+    try {
+      const resource = await this.upsertItem('users', toUserDocument(user));
+      logger.info('User upserted successfully', { userId: resource.id });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to upsert user', { userId: user.id, error: error.message });
+      throw error;
+    }
+  }
+
+  async getUser(userId) {
+    return this.readItem('users', userId, userId);
+  }
+
+  async getUserByGoogleId(googleId) {
+    const resources = await this.query('users', doc => doc.googleId === googleId);
+    return resources.length > 0 ? resources[0] : null;
+  }
+
+  async deleteUser(userId) {
+    try {
+      await this.deleteItem('users', userId, userId);
+      logger.info('User deleted successfully', { userId });
+    } catch (error) {
+      logger.error('Failed to delete user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== SEARCHES OPERATIONS ====================
+
+  async createSearch(search) {
+    try {
+      const resource = await this.createItem('searches', toSearchDocument(search));
+      logger.info('Search created successfully', { searchId: resource.id, userId: search.userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create search', { userId: search.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getSearch(searchId, userId) {
+    return this.readItem('searches', searchId, userId);
+  }
+
+  async getSearchesByUser(userId, options = {}) {
+    const { isActive, limit = 100, continuationToken } = options;
+
+    const searches = (await this.query('searches', doc =>
+      doc.userId === userId && (isActive === undefined || doc.isActive === isActive)
+    )).sort((a, b) => compareValues(b.createdAt, a.createdAt));
+
+    const { resources, continuationToken: nextToken } = paginate(searches, limit, continuationToken);
+    return { searches: resources, continuationToken: nextToken };
+  }
+
+  async getDueSearches(limit = 50) {
+    const now = new Date().toISOString();
+
+    const searches = await this.query('searches', doc =>
+      doc.isActive === true &&
+      doc.schedule?.enabled === true &&
+      (doc.schedule.nextRun === undefined || doc.schedule.nextRun <= now)
+    );
+
+    return searches
+      .sort((a, b) => compareValues(a.schedule.nextRun, b.schedule.nextRun))
+      .slice(0, limit);
+  }
+
+  async updateSearch(searchId, userId, updates) {
+    try {
+      const existing = await this.getSearch(searchId, userId);
+      if (!existing) {
+        throw new SearchNotFoundError(`Search not found: ${searchId}`, { details: { searchId, userId } });
+      }
+
+      const resource = await this.upsertItem('searches', {
+        ...existing,
+        ...updates,
+        updatedAt: new Date().toISOString()
+      });
+      logger.info('Search updated successfully', { searchId, userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update search', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async deleteSearch(searchId, userId) {
+    await this.updateSearch(searchId, userId, { isActive: false, 'schedule.enabled': false });
+    logger.info('Search deleted successfully', { searchId, userId });
+  }
+
+  // ==================== PRICES OPERATIONS ====================
+
+  async createPrices(prices) {
+    try {
+      if (!prices || prices.length === 0) {
+        return [];
+      }
+
+      const results = await this.insertRunDocuments('prices', prices.map(toPriceDocument));
+
+      logger.info('Prices created successfully', { count: results.length, searchId: prices[0].searchId });
+      return results;
+    } catch (error) {
+      logger.error('Failed to create prices', { count: prices.length, error: error.message });
+      throw error;
+    }
+  }
+
+  async getPricesByRun(searchId, runId) {
+    return this.query('prices', doc => doc.runId === runId, searchId);
+  }
+
+  async deletePricesByRun(searchId, runId) {
+    const count = await this.deleteRunDocuments('prices', searchId, runId);
+
+    if (count > 0) {
+      logger.info('Prices for run deleted', { searchId, runId, count });
+    }
+    return count;
+  }
+
+  async getPricesBySearch(searchId, options = {}) {
+    const { startDate, endDate, hotelName, limit = 1000, continuationToken } = options;
+    const hotelNameFilter = hotelName ? hotelName.toLowerCase() : null;
+
+    const matches = doc =>
+      (!startDate || doc.extractedAt >= startDate) &&
+      (!endDate || doc.extractedAt <= endDate) &&
+      (!hotelNameFilter || (doc.hotelName || '').toLowerCase().includes(hotelNameFilter));
+    const prices = (await this.query('prices', matches, searchId))
+      .sort((a, b) => compareValues(b.extractedAt, a.extractedAt));
+
+    const { resources, continuationToken: nextToken } = paginate(prices, limit, continuationToken);
+    return { prices: resources, continuationToken: nextToken };
+  }
+
+  async getLatestPrices(searchId) {
+    const prices = await this.query('prices', () => true, searchId);
+    if (prices.length === 0) {
+      return [];
+    }
+
+    const latestTimestamp = prices
+      .map(price => price.extractedAt)
+      .sort(compareValues)
+      .pop();
+    return prices.filter(price => price.extractedAt === latestTimestamp);
+  }
+
+  // ==================== RATES OPERATIONS ====================
+
+  async createRates(rates) {
+    try {
+      if (!rates || rates.length === 0) {
+        return [];
+      }
+
+      const results = await this.insertRunDocuments('rates', rates.map(toRateDocument));
+
+      logger.info('Rates created successfully', { count: results.length, searchId: rates[0].searchId });
+      return results;
+    } catch (error) {
+      logger.error('Failed to create rates', { count: rates.length, error: error.message });
+      throw error;
+    }
+  }
+
+  async getRatesByRun(searchId, runId) {
+    return this.query('rates', doc => doc.runId === runId, searchId);
+  }
+
+  async deleteRatesByRun(searchId, runId) {
+    const count = await this.deleteRunDocuments('rates', searchId, runId);
+
+    if (count > 0) {
+      logger.info('Rates for run deleted', { searchId, runId, count });
+    }
+    return count;
+  }
+
+  // ==================== CONVERSATIONS OPERATIONS ====================
+
+  async getConversation(searchId) {
+    const resource = await this.readItem('conversations', searchId, searchId);
+    return toConversationDocument(searchId, resource);
+  }
+
+  async updateConversation(searchId, messages) {
+    try {
+      const existing = await this.getConversation(searchId);
+
+      const resource = await this.upsertItem('conversations', {
+        id: searchId,
+        searchId: searchId, // Partition key
+        messages: messages,
+        createdAt: existing.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      logger.info('Conversation updated successfully', { searchId, messageCount: messages.length });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update conversation', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== JOBS OPERATIONS ====================
+
+  async createJob(job) {
+    try {
+      const resource = await this.createItem('jobs', toJobDocument(job));
+      logger.info('Job created successfully', { jobId: resource.id, searchId: job.searchId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create job', { searchId: job.searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a job; a status change moves it to the new partition, as in Cosmos DB
+   */
+  async updateJob(jobId, oldStatus, updates) {
+    try {
+      const resource = await this.mutate('jobs', docs => {
+        const oldKey = `${oldStatus}|${jobId}`;
+        if (!docs[oldKey]) {
+          throw storageError(404, 'Job not found');
+        }
+
+        const updated = this.stamp({
+          ...docs[oldKey],
+          ...updates,
+          updatedAt: new Date().toISOString()
+        });
+        const newKey = this.getKey('jobs', updated);
+        if (newKey !== oldKey && docs[newKey]) {
+          throw storageError(409, `Entity with the specified id already exists: ${jobId}`);
+        }
+
+        delete docs[oldKey];
+        docs[newKey] = updated;
+        return updated;
+      });
+
+      if (updates.status && updates.status !== oldStatus) {
+        logger.info('Job status updated', { jobId, oldStatus, newStatus: updates.status });
+      } else {
+        logger.info('Job updated successfully', { jobId });
+      }
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update job', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  async findJob(jobId) {
+    const resources = await this.query('jobs', doc => doc.id === jobId);
+    return resources.length > 0 ? resources[0] : null;
+  }
+
+  async getJob(jobId, status) {
+    return this.readItem('jobs', jobId, status);
+  }
+
+  async getRecentJobs(options = {}) {
+    const { status = 'completed', searchId = null, limit = 20 } = options;
+    const jobs = (await this.query('jobs', doc => doc.status === status && (!searchId || doc.searchId === searchId)))
+      .sort((a, b) => compareValues(b.completedAt, a.completedAt));
+    return jobs.slice(0, limit);
+  }
+
+  // ==================== LOCKS OPERATIONS ====================
+
+  async readLock(lockName) {
+    return this.readItem('locks', lockName, lockName);
+  }
+
+  async createLock(lockDoc) {
+    return this.createItem('locks', lockDoc);
+  }
+
+  async replaceLock(lockDoc, etag) {
+    return this.upsertItem('locks', lockDoc, etag);
+  }
+
+  async deleteLock(lockName, etag) {
+    await this.deleteItem('locks', lockName, lockName, etag);
+  }
+}
+
+// Singleton instance
+const localStorageService = new LocalStorageService();
+
+export default localStorageService;
@@ -0,0 +1,27 @@
+import { createServiceBusClient } from './service-bus.transport.js';
+import { createLocalQueueClient } from './local-queue.transport.js';
+
+/**
+ * Queue transports by QUEUE_TRANSPORT name. Each factory returns a client
+ * with the ServiceBusClient surface used by JobQueueService.
+ */
+const TRANSPORTS = {
+  servicebus: createServiceBusClient,
+  local: createLocalQueueClient
+};
+
+/**
+ * Create the queue client for a transport
+ * @param {string} name - 'servicebus' (default) or 'local'
+ */
+export function createQueueClient(name = 'servicebus') {
+  const factory = TRANSPORTS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown QUEUE_TRANSPORT "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+
+  return factory();
+}
+
+export default createQueueClient;
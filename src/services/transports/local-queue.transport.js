@@ -0,0 +1,613 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { nanoid } from 'nanoid';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../../logger.cjs');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A message file renamed aside while replaceMessage rewrites it
+const HELD_SUFFIX = '.held';
+
+/**
+ * The error Service Bus throws when settling a message whose lock was lost
+ */
+function lockLostError(message) {
+  const error = new Error(`The lock supplied is invalid for message ${message.messageId}`);
+  error.code = 'MessageLockLost';
+  return error;
+}
+
+/**
+ * Local Queue Transport
+ * File-backed stand-in for ServiceBusClient so the scheduler and worker can
+ * run end-to-end without Azure. Exposes the subset of the Service Bus API
+ * used by JobQueueService: createSender().sendMessages(), createReceiver()
+ * with subscribe / receiveMessages / completeMessage / abandonMessage /
+ * deadLetterMessage.
+ *
+ * Every message is one JSON file. Its directory is its state:
+ *
+ *   <dir>/<queue>/active/<messageId>.json      waiting (maybe scheduled for later)
+ *   <dir>/<queue>/inflight/<messageId>.json    peek-locked by a receiver
+ *   <dir>/<queue>/deadletter/<messageId>.json  dead-lettered, with reason
+ *
+ * Moves between directories use rename(), which is atomic, so two processes
+ * sharing the directory never receive the same message under one lock.
+ * Rewrites of an inflight file rename it aside first (see replaceMessage),
+ * so a lock released by another process is never written back.
+ */
+class LocalQueueClient {
+  /**
+   * @param {Object} options - { directory, pollIntervalMs, lockDurationMs, maxDeliveryCount }
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '../../../data/queue');
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.lockDurationMs = options.lockDurationMs || 60 * 1000;
+    // Same default as a Service Bus queue's MaxDeliveryCount
+    this.maxDeliveryCount = options.maxDeliveryCount || 10;
+    this.sequenceNumber = 0;
+    this.receivers = new Set();
+  }
+
+  /**
+   * @param {string} queueName
+   */
+  createSender(queueName) {
+    return new LocalQueueSender(this, queueName);
+  }
+
+  /**
+   * @param {string} queueName
+   * @param {Object} options - { receiveMode, maxAutoLockRenewalDurationInMs }
+   */
+  createReceiver(queueName, options = {}) {
+    const receiver = new LocalQueueReceiver(this, queueName, options);
+    this.receivers.add(receiver);
+    return receiver;
+  }
+
+  async close() {
+    await Promise.all([...this.receivers].map(receiver => receiver.close()));
+    this.receivers.clear();
+  }
+
+  getQueuePath(queueName, state) {
+    return path.join(this.directory, queueName, state);
+  }
+
+  async ensureQueue(queueName) {
+    await Promise.all(['active', 'inflight', 'deadletter'].map(state =>
+      fs.mkdir(this.getQueuePath(queueName, state), { recursive: true })
+    ));
+  }
+
+  async readMessage(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Write a message file atomically (temp file + rename)
+   */
+  async writeMessage(filePath, record) {
+    const tmpPath = `${filePath}.${nanoid(6)}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Rewrite a message file only if it still exists, so a late write never
+   * brings back a message another call settled or moved. The file is first
+   * renamed aside (atomic, fails if it is gone), so no other process can
+   * move it between the check and the write; the new content then takes
+   * its place. See recoverHeldMessages for a process that stops in between.
+   * @returns {Promise<boolean>} false if the file is gone
+   */
+  async replaceMessage(filePath, record) {
+    const nonce = nanoid(6);
+    const tmpPath = `${filePath}.${nonce}.tmp`;
+    const heldPath = `${filePath}.${nonce}${HELD_SUFFIX}`;
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2));
+    try {
+      await fs.rename(filePath, heldPath);
+    } catch (error) {
+      await fs.rm(tmpPath, { force: true });
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+    await fs.rename(tmpPath, filePath);
+    await fs.rm(heldPath, { force: true });
+    return true;
+  }
+
+  /**
+   * Put back the messages of a directory left renamed aside by a process
+   * that stopped inside replaceMessage, once they are older than a lock
+   * duration. link() fails if the message file exists again, so a message
+   * is never restored twice.
+   */
+  async recoverHeldMessages(dir) {
+    const now = Date.now();
+    const held = (await fs.readdir(dir)).filter(file => file.endsWith(HELD_SUFFIX));
+
+    for (const file of held) {
+      const heldPath = path.join(dir, file);
+      try {
+        const { ctimeMs } = await fs.stat(heldPath);
+        if (ctimeMs + this.lockDurationMs >= now) {
+          continue;
+        }
+        await fs.link(heldPath, path.join(dir, file.slice(0, file.indexOf('.json.') + '.json'.length)));
+        logger.warn('Local queue restored a message held by a stopped receiver', { file });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      await fs.rm(heldPath, { force: true });
+    }
+  }
+
+  /**
+   * Move a message file between state directories.
+   * @returns {Promise<boolean>} false if another receiver moved it first
+   */
+  async moveMessage(queueName, messageId, fromState, toState) {
+    try {
+      await fs.rename(
+        path.join(this.getQueuePath(queueName, fromState), `${messageId}.json`),
+        path.join(this.getQueuePath(queueName, toState), `${messageId}.json`)
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async listMessages(queueName, state) {
+    const dir = this.getQueuePath(queueName, state);
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    const records = await Promise.all(files.map(async file => {
+      try {
+        return await this.readMessage(path.join(dir, file));
+      } catch {
+        // Removed or being rewritten by another receiver
+        return null;
+      }
+    }));
+    return records.filter(Boolean);
+  }
+
+  nextSequenceNumber() {
+    this.sequenceNumber += 1;
+    return Date.now() * 1000 + (this.sequenceNumber % 1000);
+  }
+}
+
+class LocalQueueSender {
+  constructor(client, queueName) {
+    this.client = client;
+    this.queueName = queueName;
+  }
+
+  /**
+   * @param {Object|Array} messages - Service Bus style message(s) { body, messageId, scheduledEnqueueTimeUtc, ... }
+   */
+  async sendMessages(messages) {
+    const list = Array.isArray(messages) ? messages : [messages];
+    await this.client.ensureQueue(this.queueName);
+
+    for (const message of list) {
+      const messageId = message.messageId || nanoid(16);
+      const record = {
+        messageId,
+        body: message.body,
+        contentType: message.contentType || 'application/json',
+        sessionId: message.sessionId || null,
+        applicationProperties: message.applicationProperties || {},
+        sequenceNumber: this.client.nextSequenceNumber(),
+        enqueuedTimeUtc: new Date().toISOString(),
+        scheduledEnqueueTimeUtc: message.scheduledEnqueueTimeUtc
+          ? new Date(message.scheduledEnqueueTimeUtc).toISOString()
+          : null,
+        deliveryCount: 0,
+        lockToken: null,
+        lockedUntilUtc: null
+      };
+
+      await this.client.writeMessage(
+        path.join(this.client.getQueuePath(this.queueName, 'active'), `${messageId}.json`),
+        record
+      );
+    }
+  }
+
+  async close() {}
+}
+
+class LocalQueueReceiver {
+  constructor(client, queueName, options = {}) {
+    this.client = client;
+    this.queueName = queueName;
+    this.maxAutoLockRenewalDurationInMs = options.maxAutoLockRenewalDurationInMs || 5 * 60 * 1000;
+    this.subscriptions = new Set();
+    this.isClosed = false;
+  }
+
+  /**
+   * Start pushing messages to handlers, like ServiceBusReceiver.subscribe
+   * @param {Object} handlers - { processMessage, processError }
+   * @param {Object} options - { maxConcurrentCalls, autoCompleteMessages }
+   * @returns {Object} { close } - stops receiving; in-flight handlers keep running
+   */
+  subscribe(handlers, options = {}) {
+    const subscription = new LocalQueueSubscription(this, handlers, options);
+    this.subscriptions.add(subscription);
+    subscription.start();
+    return {
+      close: async () => {
+        subscription.stop();
+        this.subscriptions.delete(subscription);
+      }
+    };
+  }
+
+  async completeMessage(message) {
+    await this.settle(message, async () => {
+      await this.assertLockHeld(message);
+      await fs.rm(this.inflightPath(message.messageId), { force: true });
+    });
+  }
+
+  /**
+   * Return the message to the queue for immediate redelivery
+   * @param {Object} message
+   * @param {Object} propertiesToModify - merged into applicationProperties
+   */
+  async abandonMessage(message, propertiesToModify = {}) {
+    await this.settle(message, async () => {
+      const record = await this.assertLockHeld(message);
+      await this.rewriteLocked(message, {
+        ...record,
+        applicationProperties: { ...record.applicationProperties, ...propertiesToModify },
+        lockToken: null,
+        lockedUntilUtc: null
+      });
+      await this.client.moveMessage(this.queueName, message.messageId, 'inflight', 'active');
+    });
+  }
+
+  /**
+   * @param {Object} message
+   * @param {Object} options - { deadLetterReason, deadLetterErrorDescription }
+   */
+  async deadLetterMessage(message, options = {}) {
+    await this.settle(message, async () => {
+      const record = await this.assertLockHeld(message);
+      await this.rewriteLocked(message, {
+        ...record,
+        lockToken: null,
+        lockedUntilUtc: null,
+        deadLetterReason: options.deadLetterReason || null,
+        deadLetterErrorDescription: options.deadLetterErrorDescription || null,
+        deadLetteredAt: new Date().toISOString()
+      });
+      await this.client.moveMessage(this.queueName, message.messageId, 'inflight', 'deadletter');
+    });
+  }
+
+  /**
+   * Run a settlement once the lock renewal in progress (if any) finished,
+   * and keep renewal from writing the message again afterwards
+   */
+  async settle(message, settlement) {
+    message.settling = true;
+    await message.renewal;
+    try {
+      await settlement();
+      message.settled = true;
+    } finally {
+      message.settling = false;
+    }
+  }
+
+  /**
+   * Peek-lock up to maxMessageCount messages, waiting up to maxWaitTimeInMs
+   * for the first one, like ServiceBusReceiver.receiveMessages. Locks are
+   * renewed until the message is settled.
+   * @param {number} maxMessageCount
+   * @param {Object} options - { maxWaitTimeInMs }
+   * @returns {Promise<Array>} Received messages, empty if none arrived in time
+   */
+  async receiveMessages(maxMessageCount = 1, options = {}) {
+    const deadline = Date.now() + (options.maxWaitTimeInMs ?? 60 * 1000);
+
+    for (;;) {
+      const messages = await this.claimAvailable(maxMessageCount);
+      if (messages.length > 0 || this.isClosed || Date.now() >= deadline) {
+        messages.forEach(message => this.startLockRenewal(message));
+        return messages;
+      }
+      const waitMs = Math.min(this.client.pollIntervalMs, deadline - Date.now());
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Peek-lock the messages that are due now, oldest first
+   * @param {number} maxMessageCount
+   * @param {Function} isActive - Checked before each claim; stop when it returns false
+   */
+  async claimAvailable(maxMessageCount, isActive = () => true) {
+    await this.client.ensureQueue(this.queueName);
+    await this.releaseExpiredLocks();
+
+    const now = Date.now();
+    const available = (await this.client.listMessages(this.queueName, 'active'))
+      .filter(record => !record.scheduledEnqueueTimeUtc || new Date(record.scheduledEnqueueTimeUtc).getTime() <= now)
+      .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+
+    const messages = [];
+    for (const record of available) {
+      if (messages.length >= maxMessageCount || !isActive()) {
+        break;
+      }
+
+      const message = await this.claim(record.messageId);
+      if (message) {
+        messages.push(message);
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Peek-lock one message: move it to inflight, bump deliveryCount, set lock
+   */
+  async claim(messageId) {
+    const moved = await this.client.moveMessage(this.queueName, messageId, 'active', 'inflight');
+    if (!moved) {
+      return null;
+    }
+
+    const inflightPath = this.inflightPath(messageId);
+    const record = await this.client.readMessage(inflightPath);
+    record.deliveryCount += 1;
+    record.lockToken = nanoid(16);
+    record.lockedUntilUtc = new Date(Date.now() + this.client.lockDurationMs).toISOString();
+    if (!await this.client.replaceMessage(inflightPath, record)) {
+      // Released back to the queue before its lock was set
+      return null;
+    }
+
+    if (record.deliveryCount > this.client.maxDeliveryCount) {
+      const message = { ...record };
+      await this.deadLetterMessage(message, {
+        deadLetterReason: 'MaxDeliveryCountExceeded',
+        deadLetterErrorDescription: `Message was delivered ${record.deliveryCount - 1} times`
+      });
+      logger.warn('Local queue dead-lettered message after max deliveries', {
+        queueName: this.queueName,
+        messageId
+      });
+      return null;
+    }
+
+    return { ...record, enqueuedTimeUtc: new Date(record.enqueuedTimeUtc) };
+  }
+
+  /**
+   * Extend the lock while the handler runs, up to maxAutoLockRenewalDurationInMs
+   */
+  startLockRenewal(message) {
+    const deadline = Date.now() + this.maxAutoLockRenewalDurationInMs;
+    const interval = setInterval(() => {
+      if (message.settled || Date.now() > deadline) {
+        clearInterval(interval);
+        return;
+      }
+      if (message.settling || message.renewal) {
+        return;
+      }
+      // Settlement waits for this, see settle
+      message.renewal = this.renewLock(message)
+        .catch(() => clearInterval(interval))
+        .finally(() => {
+          message.renewal = null;
+        });
+    }, Math.max(100, Math.floor(this.client.lockDurationMs / 2)));
+
+    return () => clearInterval(interval);
+  }
+
+  async renewLock(message) {
+    const record = await this.assertLockHeld(message);
+    if (message.settling || message.settled) {
+      return;
+    }
+    record.lockedUntilUtc = new Date(Date.now() + this.client.lockDurationMs).toISOString();
+    if (!await this.client.replaceMessage(this.inflightPath(message.messageId), record)) {
+      throw new Error(`Message ${message.messageId} is no longer in flight`);
+    }
+  }
+
+  /**
+   * Return messages whose lock expired (crashed or stuck receiver) to the queue.
+   * An inflight message without a lock was moved by a claim that never set
+   * one; it counts as expired once it sat in inflight for a lock duration.
+   */
+  async releaseExpiredLocks() {
+    await this.client.recoverHeldMessages(this.client.getQueuePath(this.queueName, 'inflight'));
+
+    const now = Date.now();
+    const inflight = await this.client.listMessages(this.queueName, 'inflight');
+
+    for (const record of inflight) {
+      if (await this.isLockExpired(record, now)) {
+        const moved = await this.client.moveMessage(this.queueName, record.messageId, 'inflight', 'active');
+        if (moved) {
+          logger.warn('Local queue lock expired, message returned to queue', {
+            queueName: this.queueName,
+            messageId: record.messageId,
+            deliveryCount: record.deliveryCount
+          });
+        }
+      }
+    }
+  }
+
+  async isLockExpired(record, now) {
+    if (record.lockedUntilUtc) {
+      return new Date(record.lockedUntilUtc).getTime() < now;
+    }
+    try {
+      // rename() updates ctime, so this is when the claim moved it
+      const { ctimeMs } = await fs.stat(this.inflightPath(record.messageId));
+      return ctimeMs + this.client.lockDurationMs < now;
+    } catch {
+      return false;
+    }
+  }
+
+  async close() {
+    this.subscriptions.forEach(subscription => subscription.stop());
+    this.subscriptions.clear();
+    this.isClosed = true;
+  }
+
+  inflightPath(messageId) {
+    return path.join(this.client.getQueuePath(this.queueName, 'inflight'), `${messageId}.json`);
+  }
+
+  /**
+   * Fail like Service Bus does when settling a message whose lock was lost
+   */
+  async assertLockHeld(message) {
+    let record;
+    try {
+      record = await this.client.readMessage(this.inflightPath(message.messageId));
+    } catch {
+      record = null;
+    }
+
+    if (!record || record.lockToken !== message.lockToken) {
+      throw lockLostError(message);
+    }
+    return record;
+  }
+
+  /**
+   * Rewrite an inflight message checked by assertLockHeld; fails the same
+   * way if its lock expired and another receiver returned it meanwhile
+   */
+  async rewriteLocked(message, record) {
+    if (!await this.client.replaceMessage(this.inflightPath(message.messageId), record)) {
+      throw lockLostError(message);
+    }
+  }
+}
+
+class LocalQueueSubscription {
+  constructor(receiver, handlers, options = {}) {
+    this.receiver = receiver;
+    this.client = receiver.client;
+    this.queueName = receiver.queueName;
+    this.handlers = handlers;
+    this.maxConcurrentCalls = options.maxConcurrentCalls || 1;
+    this.autoCompleteMessages = options.autoCompleteMessages !== false;
+    this.active = 0;
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.running = true;
+    this.schedulePoll(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedulePoll(delayMs) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.poll()
+        .catch(error => this.reportError(error))
+        .finally(() => this.schedulePoll(this.client.pollIntervalMs));
+    }, delayMs);
+  }
+
+  async poll() {
+    const capacity = this.maxConcurrentCalls - this.active;
+    if (capacity <= 0) return;
+
+    const messages = await this.receiver.claimAvailable(capacity, () => this.running);
+    messages.forEach(message => this.dispatch(message));
+  }
+
+  dispatch(message) {
+    this.active += 1;
+    const stopRenewal = this.receiver.startLockRenewal(message);
+
+    Promise.resolve()
+      .then(() => this.handlers.processMessage(message))
+      .then(async () => {
+        if (this.autoCompleteMessages && !message.settled) {
+          await this.receiver.completeMessage(message);
+        }
+      })
+      .catch(async error => {
+        this.reportError(error, 'processMessageCallback');
+        if (this.autoCompleteMessages && !message.settled) {
+          await this.receiver.abandonMessage(message).catch(() => {});
+        }
+      })
+      .finally(() => {
+        stopRenewal();
+        this.active -= 1;
+      });
+  }
+
+  reportError(error, errorSource = 'receive') {
+    Promise.resolve(this.handlers.processError?.({
+      error,
+      errorSource,
+      entityPath: this.queueName,
+      fullyQualifiedNamespace: 'local',
+      identifier: 'local-queue'
+    })).catch(() => {});
+  }
+}
+
+/**
+ * Create a local queue client from LOCAL_QUEUE_* environment variables
+ */
+export function createLocalQueueClient() {
+  return new LocalQueueClient({
+    directory: process.env.LOCAL_QUEUE_DIR || undefined,
+    pollIntervalMs: parseInt(process.env.LOCAL_QUEUE_POLL_INTERVAL_MS || '1000', 10),
+    lockDurationMs: parseInt(process.env.LOCAL_QUEUE_LOCK_DURATION_MS || '60000', 10),
+    maxDeliveryCount: parseInt(process.env.LOCAL_QUEUE_MAX_DELIVERY_COUNT || '10', 10)
+  });
+}
+
+export default LocalQueueClient;
@@ -0,0 +1,18 @@
+import { ServiceBusClient } from '@azure/service-bus';
+
+/**
+ * Service Bus Queue Transport
+ * The production transport: a plain ServiceBusClient, whose API the local
+ * transport mirrors.
+ */
+export function createServiceBusClient() {
+  const connectionString = process.env.AZURE_SERVICE_BUS_CONNECTION_STRING;
+
+  if (!connectionString) {
+    throw new Error('Missing required environment variable: AZURE_SERVICE_BUS_CONNECTION_STRING');
+  }
+
+  return new ServiceBusClient(connectionString);
+}
+
+export default createServiceBusClient;
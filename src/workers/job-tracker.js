@@ -0,0 +1,348 @@
+import { nanoid } from 'nanoid';
+import { createRequire } from 'module';
+import storageService from '../services/storage/index.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+const { classifyError } = require('../errors.cjs');
+const metrics = require('../metrics.cjs');
+
+/**
+ * Job Tracker
+ * Persists the lifecycle of one processed message as a document in the
+ * `jobs` container: pending → running → completed | failed | skipped,
+ * or `interrupted` when the worker shut down before the run finished.
+ *
+ * The document id is derived from the run identity (an explicit `runId` in
+ * the job body, else the Service Bus messageId), so a redelivered message
+ * reopens the same record and can resume from its checkpoints.
+ *
+ * Persistence failures are logged but never fail the job itself — the
+ * job record is observability data, not part of the pipeline.
+ */
+class JobTracker {
+  /**
+   * @param {Object} job - Job data { searchId, userId, scheduleType }
+   * @param {Object} context - Message context { messageId, deliveryCount }
+   */
+  constructor(job, context = {}) {
+    this.runId = JobTracker.getRunId(job, context) || nanoid(16);
+    this.jobId = `job_${this.runId}`;
+    this.attempt = job.attempt || 1;
+    this.searchId = job.searchId;
+    this.userId = job.userId;
+    this.scheduleType = job.scheduleType || 'scheduled';
+    this.messageId = context.messageId || null;
+    this.deliveryCount = context.deliveryCount || null;
+    this.status = null;
+    this.startTime = null;
+    this.stages = {};
+    this.checkpoints = {};
+    this.attempts = [];
+    this.artifacts = [];
+    this.result = {};
+    this.resumed = false;
+    this.interrupted = false;
+  }
+
+  /**
+   * Run identity shared by every delivery and scheduled retry of one run
+   * @param {Object} job - Job data
+   * @param {Object} context - Message context
+   */
+  static getRunId(job, context = {}) {
+    return job?.runId || context.messageId || null;
+  }
+
+  /**
+   * Annotate the latest attempt of a run with how the queue settled it
+   * (retry scheduled, dead-lettered, ...). Called after processJob has thrown.
+   * @param {Object} job - Job data from the message body
+   * @param {Object} settlement - { action, messageId, attempt, errorClass, nextRetryAt, reason }
+   */
+  static async recordSettlement(job, settlement) {
+    const runId = JobTracker.getRunId(job, settlement);
+    if (!runId) {
+      return;
+    }
+
+    const tracker = new JobTracker({ ...job, runId }, { messageId: settlement.messageId });
+    await tracker.persist(async () => {
+      const existing = await storageService.findJob(tracker.jobId);
+      if (!existing) {
+        return;
+      }
+
+      const attempts = existing.attempts || [];
+      const entry = attempts.find(a => a.messageId === settlement.messageId) || attempts[attempts.length - 1];
+      if (entry) {
+        entry.settlement = settlement.action;
+        entry.nextRetryAt = settlement.nextRetryAt || null;
+        entry.deadLetterReason = settlement.action === 'deadLettered' ? settlement.reason : null;
+      }
+
+      await storageService.updateJob(tracker.jobId, existing.status, {
+        attempts,
+        nextRetryAt: settlement.nextRetryAt || null
+      });
+    });
+  }
+
+  /**
+   * Open the job document: reuse the record of an earlier delivery of the
+   * same run, or create a new one in `pending` state
+   */
+  async open() {
+    await this.persist(async () => {
+      const existing = await storageService.findJob(this.jobId);
+
+      if (existing) {
+        this.status = existing.status;
+        this.stages = existing.stages || {};
+        this.checkpoints = existing.checkpoints || {};
+        this.attempts = existing.attempts || [];
+        this.artifacts = existing.artifacts || [];
+        this.result = existing.result || {};
+        this.resumed = true;
+
+        logger.info('Resuming existing job run', {
+          jobId: this.jobId,
+          status: this.status,
+          checkpoints: Object.keys(this.checkpoints)
+        });
+        return;
+      }
+
+      const resource = await storageService.createJob({
+        id: this.jobId,
+        runId: this.runId,
+        status: 'pending',
+        searchId: this.searchId,
+        userId: this.userId,
+        scheduleType: this.scheduleType,
+        messageId: this.messageId,
+        deliveryCount: this.deliveryCount,
+        attempt: this.attempt
+      });
+      this.status = resource.status;
+    });
+  }
+
+  /**
+   * Whether a previous delivery already completed this run
+   */
+  isCompleted() {
+    return this.status === 'completed' || this.status === 'skipped';
+  }
+
+  /**
+   * Get the saved output of a completed stage, if any
+   * @param {string} name - Stage name
+   */
+  getCheckpoint(name) {
+    return this.checkpoints[name] || null;
+  }
+
+  /**
+   * Save the output of a completed stage so a retry can skip it
+   * @param {string} name - Stage name
+   * @param {Object} data - Small, JSON-serialisable stage output
+   */
+  async checkpoint(name, data = {}) {
+    this.throwIfInterrupted(name);
+    this.checkpoints[name] = { ...data, completedAt: new Date().toISOString() };
+    await this.transition(this.status, {
+      stages: this.stages,
+      checkpoints: this.checkpoints,
+      result: this.result
+    });
+  }
+
+  /**
+   * Reference saved failure artifacts (see services/artifacts) from the job
+   * @param {Object} entry - { reason, url, capturedAt, error, store, files }
+   */
+  async attachArtifacts(entry) {
+    this.artifacts.push(entry);
+    await this.transition(this.status, { artifacts: this.artifacts });
+  }
+
+  /**
+   * Move the job to `running`
+   */
+  async start() {
+    this.startTime = Date.now();
+    this.attempts.push({
+      attempt: this.attempt,
+      messageId: this.messageId,
+      deliveryCount: this.deliveryCount,
+      startedAt: new Date(this.startTime).toISOString(),
+      finishedAt: null,
+      outcome: null,
+      errorClass: null,
+      error: null
+    });
+    await this.transition('running', {
+      startedAt: new Date(this.startTime).toISOString(),
+      messageId: this.messageId,
+      deliveryCount: this.deliveryCount,
+      attempt: this.attempt,
+      attempts: this.attempts,
+      nextRetryAt: null
+    });
+  }
+
+  /**
+   * Run one pipeline stage and record its timing
+   * @param {string} name - Stage name (scrape, parse, store, insights, email)
+   * @param {Function} fn - Async stage body
+   */
+  async runStage(name, fn) {
+    this.throwIfInterrupted(name);
+    const startedAt = Date.now();
+
+    try {
+      const value = await fn();
+      this.stages[name] = {
+        status: 'completed',
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt
+      };
+      metrics.stageDuration.observe({ stage: name, status: 'completed' }, this.stages[name].durationMs / 1000);
+      return value;
+    } catch (error) {
+      this.stages[name] = {
+        status: 'failed',
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt
+      };
+      metrics.stageDuration.observe({ stage: name, status: 'failed' }, this.stages[name].durationMs / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the pipeline of an interrupted job before its next stage: the
+   * message went back to the queue and the redelivery runs it instead
+   * @param {string} stage - Stage about to run
+   */
+  throwIfInterrupted(stage) {
+    if (this.interrupted) {
+      const error = new Error(`Job ${this.jobId} was interrupted, not running stage ${stage}`);
+      error.code = 'JobInterrupted';
+      throw error;
+    }
+  }
+
+  /**
+   * Merge counters into the job result (hotelsScraped, pricesStored, ...)
+   * @param {Object} values
+   */
+  record(values) {
+    Object.assign(this.result, values);
+  }
+
+  /**
+   * Finish the job successfully
+   */
+  async complete() {
+    await this.finish('completed', { error: null });
+  }
+
+  /**
+   * Finish the job without doing the work (inactive search, empty scrape)
+   * @param {string} reason
+   * @param {string} errorClass - Error class that caused the skip, if any
+   */
+  async skip(reason, errorClass = null) {
+    this.record({ skipReason: reason });
+    await this.finish('skipped', {
+      error: errorClass ? { message: reason, errorClass } : null
+    });
+  }
+
+  /**
+   * Record that the worker shut down before the run finished. Checkpoints
+   * are kept, so the redelivered message resumes from the last completed
+   * stage. The abandoned pipeline stops at its next stage or checkpoint (see
+   * throwIfInterrupted); a later complete/fail/skip from it is ignored.
+   * @param {string} reason
+   */
+  async interrupt(reason) {
+    this.interrupted = true;
+    await this.finish('interrupted', {
+      error: { message: reason, errorClass: 'WorkerShutdown', disposition: 'abandon' }
+    });
+  }
+
+  /**
+   * Finish the job with an error
+   * @param {Error} error
+   */
+  async fail(error) {
+    const failure = classifyError(error);
+    await this.finish('failed', {
+      error: {
+        message: failure.description,
+        errorClass: failure.errorClass,
+        disposition: failure.disposition
+      }
+    });
+  }
+
+  async finish(status, updates) {
+    if (this.interrupted && status !== 'interrupted') {
+      return;
+    }
+
+    const completedAt = Date.now();
+    metrics.jobsProcessed.inc({ outcome: status });
+    if (status === 'failed') {
+      metrics.jobsFailed.inc({ error_class: updates.error?.errorClass || 'UnclassifiedError' });
+    }
+
+    const current = this.attempts[this.attempts.length - 1];
+    if (current && current.messageId === this.messageId && !current.finishedAt) {
+      current.finishedAt = new Date(completedAt).toISOString();
+      current.outcome = status;
+      current.errorClass = updates.error?.errorClass || null;
+      current.error = updates.error?.message || null;
+    }
+
+    await this.transition(status, {
+      ...updates,
+      completedAt: new Date(completedAt).toISOString(),
+      durationMs: this.startTime ? completedAt - this.startTime : null,
+      stages: this.stages,
+      attempts: this.attempts,
+      result: this.result
+    });
+  }
+
+  async transition(status, updates) {
+    await this.persist(async () => {
+      if (!this.status) {
+        return;
+      }
+      const resource = await storageService.updateJob(this.jobId, this.status, {
+        ...updates,
+        status
+      });
+      this.status = resource.status;
+    });
+  }
+
+  async persist(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      logger.warn('Failed to persist job record', {
+        jobId: this.jobId,
+        searchId: this.searchId,
+        error: error.message
+      });
+    }
+  }
+}
+
+export default JobTracker;
@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { nanoid } from 'nanoid';
+import { createRequire } from 'module';
+import storageService from '../services/storage/index.js';
+import EmailService from '../email-service.js';
+import PriceMonitorWorker from './price-monitor.worker.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+const BookingScraper = require('../booking-scraper.cjs');
+const PriceParser = require('../price-parser.cjs');
+const InsightsService = require('../insights-service.cjs');
+const BookingURLParser = require('../booking-url-parser.cjs');
+const { toGeoJSON } = require('../geo.cjs');
+const { SearchNotFoundError, ValidationError } = require('../errors.cjs');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Preview Runner
+ * Runs the processJob pipeline (scrape → parse → insights → email body) for
+ * one search without side effects: no prices, conversation, job record or
+ * lastRunAt are written and no email is sent. Storage is only read, to load
+ * the search and its price history.
+ *
+ * Writes to data/previews/<runId>/:
+ *   email.html            rendered email body
+ *   insights-payload.json payload and chat request for the LLM
+ *   insights.html         LLM answer (only with --call-llm)
+ *   hotels.json           parsed price records of this run
+ *   hotels.geojson        hotels with coordinates (and the point of interest) as map points
+ *   summary.json          search, criteria, counts and extraction fill rates
+ */
+class PreviewRunner {
+  constructor() {
+    this.outputRoot = path.join(__dirname, '../../data/previews');
+    this.priceParser = new PriceParser();
+    this.insightsService = new InsightsService();
+    this.emailService = new EmailService();
+  }
+
+  /**
+   * Resolve the search to preview: a stored search, or an ad-hoc one from a URL
+   * @param {Object} options - { searchId, userId } or { url }
+   */
+  async loadSearch({ searchId, userId, url }) {
+    if (url) {
+      let criteria;
+      try {
+        criteria = BookingURLParser.parseURL(url);
+      } catch (error) {
+        throw new ValidationError(error.message, { cause: error });
+      }
+
+      const validation = BookingURLParser.validateCriteria(criteria);
+      if (!validation.valid) {
+        throw new ValidationError(`Invalid search URL: ${validation.errors.join('; ')}`);
+      }
+
+      return {
+        id: `adhoc_${nanoid(8)}`,
+        userId: 'preview',
+        searchName: criteria.cityName || 'Ad-hoc search',
+        searchUrl: url,
+        criteria,
+        adHoc: true
+      };
+    }
+
+    if (!searchId || !userId) {
+      throw new ValidationError('Preview needs --url, or --search and --user');
+    }
+
+    await storageService.initialize();
+    const search = await storageService.getSearch(searchId, userId);
+    if (!search) {
+      throw new SearchNotFoundError(`Search not found: ${searchId}`, { details: { searchId, userId } });
+    }
+    return search;
+  }
+
+  /**
+   * Run the preview
+   * @param {Object} options - { searchId, userId, url, callModel, outputDir, scraper, fixture, profile }
+   *   profile: scraping profile to use instead of the search's
+   * @returns {Promise<Object>} { runId, outputDir, hotels }
+   */
+  async run(options = {}) {
+    const search = await this.loadSearch(options);
+    const runId = `preview_${nanoid(12)}`;
+    const outputDir = options.outputDir || path.join(this.outputRoot, runId);
+    const scraper = options.scraper || new BookingScraper({ fixture: options.fixture });
+    const profile = scraper.useProfile(options.profile || search.scrapingProfile);
+
+    logger.info('Starting preview run', {
+      runId,
+      searchId: search.id,
+      adHoc: !!search.adHoc,
+      scrapingProfile: profile.name,
+      outputDir
+    });
+
+    // Scrape and parse exactly like the worker does
+    const { hotels: scrapedData, stays } = search.criteria.dateWindow
+      ? await scraper.scrapeDateGrid(search.criteria)
+      : { hotels: await scraper.scrape(search.criteria), stays: null };
+    const parsedData = this.priceParser.processHotels(scrapedData);
+    const extractedAt = new Date().toISOString();
+    const priceRecords = PriceMonitorWorker.buildPriceRecords(search, parsedData, runId, extractedAt);
+    PriceMonitorWorker.measurePoiDistances(search, priceRecords);
+
+    // History and conversation are read, never written
+    let history = [];
+    let conversationMessages = [];
+    if (!search.adHoc) {
+      ({ prices: history } = await storageService.getPricesBySearch(search.id, { limit: 10000 }));
+      conversationMessages = (await storageService.getConversation(search.id)).messages;
+    }
+
+    const insights = await this.insightsService.generateInsightsFromData(
+      [...priceRecords, ...history],
+      conversationMessages,
+      search.criteria,
+      { callModel: options.callModel === true }
+    );
+
+    const emailHtml = await this.emailService.generateWorkerEmailBody({
+      searchCriteria: search.criteria,
+      latestPrices: priceRecords,
+      insightsHtml: insights.html
+    });
+
+    await fs.mkdir(outputDir, { recursive: true });
+    await Promise.all([
+      fs.writeFile(path.join(outputDir, 'email.html'), emailHtml),
+      fs.writeFile(path.join(outputDir, 'hotels.json'), JSON.stringify(priceRecords, null, 2)),
+      fs.writeFile(path.join(outputDir, 'hotels.geojson'), JSON.stringify(toGeoJSON(priceRecords, search.criteria.pointOfInterest), null, 2)),
+      fs.writeFile(path.join(outputDir, 'insights-payload.json'), JSON.stringify({
+        payload: insights.payload,
+        request: insights.request
+      }, null, 2)),
+      insights.html
+        ? fs.writeFile(path.join(outputDir, 'insights.html'), insights.html)
+        : Promise.resolve(),
+      fs.writeFile(path.join(outputDir, 'summary.json'), JSON.stringify({
+        runId,
+        searchId: search.id,
+        userId: search.userId,
+        searchName: search.searchName,
+        adHoc: !!search.adHoc,
+        fixture: scraper.fixture || null,
+        scrapingProfile: profile.name,
+        criteria: search.criteria,
+        extractedAt,
+        hotelsScraped: scrapedData.length,
+        hotelsParsed: parsedData.length,
+        extraction: scraper.lastExtraction,
+        dateGrid: stays,
+        historyRecords: history.length,
+        conversationMessages: conversationMessages.length,
+        insightsGenerated: !!insights.html,
+        emailRecipients: search.emailRecipients || []
+      }, null, 2))
+    ]);
+
+    logger.info('Preview written', { runId, outputDir, hotels: priceRecords.length });
+
+    return { runId, outputDir, hotels: priceRecords.length };
+  }
+}
+
+export default PreviewRunner;
@@ -1,5 +1,4 @@
 import dotenv from 'dotenv';
-import { nanoid } from 'nanoid';
 import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -10,10 +9,16 @@ const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '..', '..', '.env') });
 
 // Import services
-import cosmosDBService from '../services/cosmos-db.service.js';
+import storageService from '../services/storage/index.js';
 import jobQueueService from '../services/job-queue.service.js';
 import schedulerService from '../services/scheduler.service.js';
+import healthServer from '../services/health-server.service.js';
+import eventPublisher, { EVENT_TYPES } from '../services/events/index.js';
+import artifactService from '../services/artifacts/index.js';
+import challengeCooldownStore from '../services/challenge-cooldown.service.js';
+import { detectPriceChanges, getPreviousRun } from '../services/events/price-changes.js';
 import EmailService from '../email-service.js';
+import JobTracker from './job-tracker.js';
 
 // Import core processing modules (CommonJS)
 const require = createRequire(import.meta.url);
@@ -21,6 +26,23 @@ const logger = require('../logger.cjs');
 const BookingScraper = require('../booking-scraper.cjs');
 const PriceParser = require('../price-parser.cjs');
 const InsightsService = require('../insights-service.cjs');
+const metrics = require('../metrics.cjs');
+const { JOB_TYPES } = require('../job-schema.cjs');
+const { detectLayoutDrift, resolveThresholds } = require('../layout-drift.cjs');
+const { parseRate, parsePolicies } = require('../property-extractor.cjs');
+const { parseCoordinates, distanceKm, toGeoJSON } = require('../geo.cjs');
+const {
+  DISPOSITIONS,
+  SearchNotFoundError,
+  SearchInactiveError,
+  LayoutDriftError,
+  ProviderUnavailableError,
+  BotChallengeError,
+  classifyError
+} = require('../errors.cjs');
+
+// Lock time a flexible-date grid leaves for the stages after the scrape
+const GRID_LOCK_MARGIN_MS = 15 * 60 * 1000;
 
 /**
  * Price Monitor Worker
@@ -29,10 +51,47 @@ const InsightsService = require('../insights-service.cjs');
 class PriceMonitorWorker {
   constructor() {
     this.isRunning = false;
+    // Each in-flight job gets its own BookingScraper (and browser), see processJob
+    this.maxConcurrentJobs = Math.max(1, parseInt(process.env.WORKER_MAX_CONCURRENT_JOBS || '1', 10));
+    this.activeJobs = new Map();
+    // How long stop() waits for active jobs before abandoning them
+    this.drainTimeoutMs = parseInt(process.env.WORKER_DRAIN_TIMEOUT_MS || '60000', 10);
+    this.isDraining = false;
+    // price.dropped is only published for drops of at least this many percent
+    this.priceDropMinPercent = parseFloat(process.env.EVENTS_PRICE_DROP_MIN_PERCENT || '5');
     this.emailService = new EmailService();
-    this.scraper = new BookingScraper();
     this.priceParser = new PriceParser();
     this.insightsService = new InsightsService();
+    // Fill rates are compared with the search's last baselineRuns completed runs (see layout-drift.cjs)
+    this.layoutDrift = {
+      thresholds: this.loadLayoutDriftThresholds(),
+      baselineRuns: parseInt(process.env.LAYOUT_DRIFT_BASELINE_RUNS || '20', 10),
+      alertRecipients: this.emailService.parseRecipients(process.env.LAYOUT_DRIFT_ALERT_EMAILS),
+      alertCooldownMs: parseInt(process.env.LAYOUT_DRIFT_ALERT_COOLDOWN_MS || '21600000', 10),
+      lastAlertAt: 0
+    };
+    // Property pages visited after the result pages, see collectPropertyDetails.
+    // topN 0 leaves it to searches that set propertyDetails themselves.
+    this.propertyDetails = {
+      topN: parseInt(process.env.PROPERTY_DETAILS_TOP_N || '0', 10),
+      maxPages: parseInt(process.env.PROPERTY_DETAILS_MAX_PAGES || '10', 10),
+      delayMs: parseInt(process.env.PROPERTY_DETAILS_DELAY_MS || '3000', 10)
+    };
+  }
+
+  /**
+   * Layout drift thresholds with LAYOUT_DRIFT_THRESHOLDS (JSON) applied
+   */
+  loadLayoutDriftThresholds() {
+    let overrides = {};
+    if (process.env.LAYOUT_DRIFT_THRESHOLDS) {
+      try {
+        overrides = JSON.parse(process.env.LAYOUT_DRIFT_THRESHOLDS);
+      } catch (error) {
+        logger.warn('Ignoring invalid LAYOUT_DRIFT_THRESHOLDS', { error: error.message });
+      }
+    }
+    return resolveThresholds(overrides);
   }
 
   /**
@@ -51,18 +110,36 @@ class PriceMonitorWorker {
 
     try {
       // Initialize services
-      await cosmosDBService.initialize();
+      await storageService.initialize();
       await jobQueueService.initialize();
 
+      // Bot challenge cool-downs are shared with every other worker
+      BookingScraper.challengeCooldowns.useStore(challengeCooldownStore);
+
       this.isRunning = true;
 
       // Create message receiver
       await jobQueueService.createReceiver(
         this.processJob.bind(this),
-        this.handleError.bind(this)
+        this.handleError.bind(this),
+        {
+          maxConcurrentCalls: this.maxConcurrentJobs,
+          onSettled: (job, settlement) => JobTracker.recordSettlement(job, settlement)
+        }
       );
 
-      logger.info('✅ Price Monitor Worker started and listening for jobs');
+      logger.info('✅ Price Monitor Worker started and listening for jobs', {
+        maxConcurrentJobs: this.maxConcurrentJobs
+      });
+
+      artifactService.startRetention();
+
+      // Probes and metrics; a failure here must not stop job processing
+      try {
+        await healthServer.start(this);
+      } catch (error) {
+        logger.warn('Health server failed to start', { error: error.message });
+      }
 
       // Start scheduler
       try {
@@ -81,28 +158,68 @@ class PriceMonitorWorker {
 
   /**
    * Process a job from the queue
-   * @param {Object} job - Job data { searchId, userId, scheduleType }
+   * Redeliveries of the same run (same runId / messageId) resume from the
+   * last completed stage instead of scraping and storing prices again.
+   * @param {Object} job - Validated job message (see job-schema.cjs)
+   * @param {Object} context - Message context { messageId, deliveryCount }
    */
-  async processJob(job) {
+  async processJob(job, context = {}) {
     const { searchId, userId, scheduleType } = job;
+
+    if (scheduleType === JOB_TYPES.PREVIEW) {
+      return this.processPreviewJob(job, context);
+    }
+
     const startTime = Date.now();
+    const tracker = new JobTracker(job, context);
+    // Isolated scraper per job: concurrent jobs must never share a browser/page
+    const scraper = new BookingScraper();
+
+    logger.info('Processing job', {
+      searchId,
+      userId,
+      scheduleType,
+      messageId: context.messageId,
+      runId: tracker.runId,
+      activeJobs: this.activeJobs.size + 1
+    });
+
+    await tracker.open();
 
-    logger.info('Processing job', { searchId, userId, scheduleType });
+    if (tracker.isCompleted()) {
+      logger.info('Job run already finished, ignoring duplicate delivery', {
+        jobId: tracker.jobId,
+        status: tracker.status
+      });
+      return;
+    }
+
+    this.activeJobs.set(tracker.jobId, {
+      searchId,
+      messageId: context.messageId,
+      startedAt: new Date().toISOString(),
+      tracker,
+      scraper
+    });
 
     try {
       // 1. Get search configuration from database
-      const search = await cosmosDBService.getSearch(searchId, userId);
+      const search = await storageService.getSearch(searchId, userId);
       
       if (!search) {
-        logger.warn('Search not found, message will be removed from queue', { searchId });
-        throw new Error(`Search not found: ${searchId}`);
+        throw new SearchNotFoundError(`Search not found: ${searchId}`, { details: { searchId, userId } });
       }
 
       if (!search.isActive) {
-        logger.warn('Search is inactive, skipping', { searchId });
-        return;
+        throw new SearchInactiveError(`Search is inactive: ${searchId}`, { details: { searchId, userId } });
       }
 
+      await tracker.start();
+      await this.publishJobEvent(EVENT_TYPES.JOB_STARTED, tracker, {
+        deliveryCount: tracker.deliveryCount,
+        resumed: tracker.resumed
+      });
+
       logger.info('Search configuration loaded', {
         searchId,
         searchName: search.searchName,
@@ -110,61 +227,763 @@ class PriceMonitorWorker {
         hotelTypeFilters: search.criteria.hotelTypeFilters ? Object.keys(search.criteria.hotelTypeFilters) : 'none'
       });
 
-      // 2. Scrape Booking.com
-      logger.info('Starting scrape...', { searchId });
-      const scrapedData = await this.scraper.scrape(search.criteria);
-      
-      logger.info('Scraping completed', {
+      // Locale, timezone and proxy to scrape with (see scraping-profiles.cjs)
+      const profile = scraper.useProfile(search.scrapingProfile);
+      tracker.record({ scrapingProfile: profile.name });
+
+      // 2-4. Scrape, parse and store prices (or reuse a stored run)
+      const priceRecords = await this.collectPrices(search, tracker, scraper);
+
+      if (!priceRecords) {
+        await this.publishJobEvent(EVENT_TYPES.JOB_COMPLETED, tracker, {
+          status: 'skipped',
+          reason: tracker.result.skipReason
+        });
+        return;
+      }
+
+      // Backfill only fills the price history
+      if (scheduleType !== JOB_TYPES.BACKFILL) {
+        await this.publishPriceChanges(search, priceRecords, tracker);
+
+        // 5. Generate AI insights
+        const insights = await this.generateRunInsights(search, tracker);
+
+        // 6. Send email
+        await this.sendRunEmail(search, priceRecords, insights, tracker);
+
+        // 7. Update search lastRunAt
+        tracker.throwIfInterrupted('lastRunAt');
+        await storageService.updateSearch(searchId, userId, {
+          lastRunAt: new Date().toISOString()
+        });
+      }
+
+      await tracker.complete();
+      await this.publishJobEvent(EVENT_TYPES.JOB_COMPLETED, tracker, {
+        status: 'completed',
+        durationMs: Date.now() - startTime,
+        hotelsProcessed: priceRecords.length
+      });
+
+      const duration = Date.now() - startTime;
+      logger.info('Job completed successfully', {
+        jobId: tracker.jobId,
         searchId,
-        hotelsFound: scrapedData.length
+        userId,
+        scheduleType,
+        durationMs: duration,
+        hotelsProcessed: priceRecords.length,
+        resumed: tracker.resumed
       });
 
-      if (scrapedData.length === 0) {
-        logger.warn('No hotels found in scrape results', { searchId });
-        return;
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      const failure = classifyError(error);
+
+      if (tracker.interrupted) {
+        // Abandoned by stop(); the job record and the message are already settled
+        logger.warn('Interrupted job stopped', {
+          jobId: tracker.jobId,
+          searchId,
+          durationMs: duration,
+          error: error.message
+        });
+        throw failure.error;
       }
 
-      // 3. Parse prices (with optional AI enhancement)
-      logger.info('Parsing prices...', { searchId });
-      const parsedData = this.priceParser.processHotels(scrapedData);
+      if (failure.disposition === DISPOSITIONS.COMPLETE) {
+        // Nothing to retry (search deleted or deactivated) - the message will be removed
+        logger.warn('Job skipped', {
+          jobId: tracker.jobId,
+          searchId,
+          errorClass: failure.errorClass,
+          reason: failure.description
+        });
+        await tracker.skip(failure.description, failure.errorClass);
+        await this.publishJobEvent(EVENT_TYPES.JOB_COMPLETED, tracker, {
+          status: 'skipped',
+          reason: failure.description,
+          errorClass: failure.errorClass
+        });
+      } else {
+        logger.error('Job processing failed', {
+          jobId: tracker.jobId,
+          searchId,
+          userId,
+          scheduleType,
+          durationMs: duration,
+          errorClass: failure.errorClass,
+          disposition: failure.disposition,
+          error: error.message,
+          stack: error.stack
+        });
+        await tracker.fail(failure.error);
+        await this.publishJobEvent(EVENT_TYPES.JOB_FAILED, tracker, {
+          durationMs: duration,
+          errorClass: failure.errorClass,
+          error: failure.description,
+          disposition: failure.disposition
+        });
+      }
 
-      // 4. Store prices in database
-      logger.info('Storing prices in database...', { searchId });
-      const extractedAt = new Date().toISOString();
-      
-      const priceRecords = parsedData.map(hotel => ({
-        id: `price_${nanoid(16)}`,
-        searchId: searchId,
-        userId: userId,
+      // Re-throw so the queue settles the message according to the error class
+      throw failure.error;
+    } finally {
+      this.activeJobs.delete(tracker.jobId);
+    }
+  }
+
+  /**
+   * Dry-run a stored search with PreviewRunner: nothing is written to
+   * storage and no email is sent, the output goes to data/previews/<runId>
+   * @param {Object} job - Validated preview job
+   * @param {Object} context - Message context { messageId }
+   */
+  async processPreviewJob(job, context = {}) {
+    const { searchId, userId } = job;
+    const jobId = `preview_${context.messageId}`;
+    const scraper = new BookingScraper();
+
+    this.activeJobs.set(jobId, {
+      searchId,
+      messageId: context.messageId,
+      startedAt: new Date().toISOString(),
+      tracker: null,
+      scraper
+    });
+
+    try {
+      // Imported lazily: preview-runner.js imports this module
+      const { default: PreviewRunner } = await import('./preview-runner.js');
+      const result = await new PreviewRunner().run({
+        searchId,
+        userId,
+        callModel: job.callModel === true,
+        scraper
+      });
+
+      logger.info('Preview job completed', {
+        searchId,
+        messageId: context.messageId,
+        outputDir: result.outputDir,
+        hotels: result.hotels
+      });
+    } finally {
+      this.activeJobs.delete(jobId);
+    }
+  }
+
+  /**
+   * Scrape, parse and store the prices for one run.
+   * If an earlier delivery already stored them, they are loaded back instead.
+   * @returns {Promise<Array|null>} Stored price records, or null if the job was skipped
+   */
+  async collectPrices(search, tracker, scraper) {
+    const { id: searchId } = search;
+
+    if (tracker.getCheckpoint('store')) {
+      const storedPrices = await storageService.getPricesByRun(searchId, tracker.runId);
+      logger.info('Reusing prices stored by a previous delivery', {
+        searchId,
+        runId: tracker.runId,
+        count: storedPrices.length
+      });
+      return storedPrices;
+    }
+
+    // 2. Scrape Booking.com
+    logger.info('Starting scrape...', { searchId });
+    const recentReports = await this.loadRecentExtractionReports(searchId);
+    const inspectExtraction = report => this.detectDrift(report, recentReports);
+    let scrapedData;
+    try {
+      scrapedData = await tracker.runStage('scrape', async () => {
+        if (!search.criteria.dateWindow) {
+          return scraper.scrape(search.criteria, { inspectExtraction });
+        }
+
+        // Flexible dates: one scrape per stay of the window. No stay starts
+        // once the message lock would run out before the job finished.
+        const grid = await scraper.scrapeDateGrid(search.criteria, {
+          inspectExtraction,
+          onStay: () => this.saveScrapeArtifacts(tracker, scraper),
+          isCancelled: () => tracker.interrupted,
+          deadline: (tracker.startTime || Date.now()) + jobQueueService.lockRenewalMaxMs - GRID_LOCK_MARGIN_MS
+        });
+        tracker.record({ dateGrid: grid.stays });
+        return grid.hotels;
+      });
+    } finally {
+      this.recordBotChallenge(tracker, scraper);
+      await this.saveScrapeArtifacts(tracker, scraper);
+    }
+    tracker.record({ hotelsScraped: scrapedData.length });
+    metrics.hotelsScraped.inc({}, scrapedData.length);
+    
+    logger.info('Scraping completed', {
+      searchId,
+      hotelsFound: scrapedData.length
+    });
+
+    await this.checkLayoutDrift(search, tracker, scraper.lastExtraction, recentReports);
+
+    if (scrapedData.length === 0) {
+      logger.warn('No hotels found in scrape results', { searchId });
+      await tracker.skip('No hotels found in scrape results');
+      return null;
+    }
+
+    // 3. Parse prices (with optional AI enhancement)
+    logger.info('Parsing prices...', { searchId });
+    const parsedData = await tracker.runStage('parse', async () => this.priceParser.processHotels(scrapedData));
+    tracker.record({ hotelsParsed: parsedData.length });
+
+    // 4. Store prices in database
+    logger.info('Storing prices in database...', { searchId });
+    const extractedAt = new Date().toISOString();
+    
+    const priceRecords = PriceMonitorWorker.buildPriceRecords(search, parsedData, tracker.runId, extractedAt);
+    const rateRecords = await this.collectPropertyDetails(search, priceRecords, tracker, scraper);
+    await this.locateHotels(search, priceRecords, tracker);
+
+    await tracker.runStage('store', async () => {
+      // A previous delivery may have failed half-way through storing
+      if (tracker.resumed) {
+        await storageService.deletePricesByRun(searchId, tracker.runId);
+        await storageService.deleteRatesByRun(searchId, tracker.runId);
+      }
+      await storageService.createPrices(priceRecords);
+      await storageService.createRates(rateRecords);
+    });
+    tracker.record({ pricesStored: priceRecords.length, ratesStored: rateRecords.length });
+    await tracker.checkpoint('store', { extractedAt, count: priceRecords.length });
+
+    logger.info('Prices stored successfully', {
+      searchId,
+      count: priceRecords.length
+    });
+
+    return priceRecords;
+  }
+
+  /**
+   * Visit the property pages of the run's top-N and pinned hotels and read
+   * their room rates and check-in/out times. A failed phase or page only
+   * leaves those hotels without rates; a bot challenge fails the job like a
+   * challenge on the result pages, and an interrupted job stops here.
+   * Backfills skip it.
+   * Price records of visited hotels get `policies` and `ratesCount`.
+   * @param {Object} search - Search document
+   * @param {Array} priceRecords - From buildPriceRecords (updated in place)
+   * @param {JobTracker} tracker
+   * @param {BookingScraper} scraper
+   * @returns {Promise<Array>} Rate records, linked to their price record by priceId
+   */
+  async collectPropertyDetails(search, priceRecords, tracker, scraper) {
+    if (tracker.scheduleType === JOB_TYPES.BACKFILL) {
+      return [];
+    }
+
+    const targets = PriceMonitorWorker.selectPropertyTargets(search, priceRecords, this.propertyDetails);
+    if (targets.length === 0) {
+      return [];
+    }
+
+    logger.info('Visiting property pages...', { searchId: search.id, pages: targets.length });
+    try {
+      const pages = await tracker.runStage('details', async () => scraper.scrapePropertyPages(
+        targets.map(record => ({ key: record.id, url: record.hotelUrl })),
+        { delayMs: this.propertyDetails.delayMs, isCancelled: () => tracker.interrupted }
+      ));
+
+      const failed = pages.filter(page => page.error);
+      metrics.propertyPages.inc({ result: 'scraped' }, pages.length - failed.length);
+      metrics.propertyPages.inc({ result: 'failed' }, failed.length);
+
+      const rateRecords = PriceMonitorWorker.buildRateRecords(priceRecords, pages, this.priceParser);
+      tracker.record({
+        propertyPages: pages.length,
+        propertyPagesFailed: failed.map(page => ({ priceId: page.key, url: page.url, error: page.error }))
+      });
+      logger.info('Property pages scraped', {
+        searchId: search.id,
+        pages: pages.length,
+        failed: failed.length,
+        rates: rateRecords.length
+      });
+      return rateRecords;
+    } catch (error) {
+      if (tracker.interrupted || error instanceof BotChallengeError) {
+        throw error;
+      }
+      tracker.record({ propertyDetailsError: error.message });
+      logger.warn('Property details skipped', { searchId: search.id, error: error.message });
+      return [];
+    } finally {
+      this.recordBotChallenge(tracker, scraper);
+      await this.saveScrapeArtifacts(tracker, scraper);
+    }
+  }
+
+  /**
+   * Fill in coordinates the result cards lacked from the hotel's record of
+   * the previous run, then set each located hotel's distance to the
+   * search's point of interest (criteria.pointOfInterest)
+   * @param {Object} search - Search document
+   * @param {Array} priceRecords - Updated in place
+   * @param {JobTracker} tracker
+   */
+  async locateHotels(search, priceRecords, tracker) {
+    const hotelKey = record => (record.hotelName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const missing = priceRecords.filter(record => record.latitude === null);
+
+    if (missing.length > 0) {
+      try {
+        const located = new Map();
+        (await storageService.getLatestPrices(search.id))
+          .filter(record => parseCoordinates(record.latitude, record.longitude))
+          .forEach(record => located.set(hotelKey(record), record));
+
+        missing.forEach(record => {
+          const previous = located.get(hotelKey(record));
+          if (previous) {
+            record.latitude = previous.latitude;
+            record.longitude = previous.longitude;
+            record.coordinatesSource = 'previous_run';
+          }
+        });
+      } catch (error) {
+        logger.warn('Failed to load previous coordinates', { searchId: search.id, error: error.message });
+      }
+    }
+
+    tracker.record({ hotelsLocated: PriceMonitorWorker.measurePoiDistances(search, priceRecords) });
+  }
+
+  /**
+   * Set poiDistanceKm on located price records, when the search has a
+   * criteria.pointOfInterest
+   * @returns {number} Price records with coordinates
+   */
+  static measurePoiDistances(search, priceRecords) {
+    const poi = search.criteria.pointOfInterest;
+    const poiCoordinates = poi && parseCoordinates(poi.latitude, poi.longitude);
+    const locatedRecords = priceRecords.filter(record => record.latitude !== null);
+
+    if (poiCoordinates) {
+      locatedRecords.forEach(record => {
+        record.poiDistanceKm = distanceKm(record, poiCoordinates);
+      });
+    }
+    return locatedRecords.length;
+  }
+
+  /**
+   * Price records whose property pages to visit: the search's pinned hotels
+   * (by name or hotel URL) first, then the cheapest other hotels by price
+   * per night, one record per hotel, at most maxPages in total.
+   * @param {Object} search - Search document, with optional propertyDetails: { topN, pinned }
+   * @param {Array} priceRecords
+   * @param {Object} options - { topN, maxPages } worker defaults
+   */
+  static selectPropertyTargets(search, priceRecords, { topN = 0, maxPages = 10 } = {}) {
+    const config = search.propertyDetails || {};
+    const count = config.topN ?? topN;
+    const pinned = (config.pinned || []).map(entry => String(entry).trim().toLowerCase()).filter(Boolean);
+    const hotelKey = record => (record.hotelName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const urlPath = url => {
+      try {
+        return new URL(url).pathname.toLowerCase();
+      } catch {
+        return null;
+      }
+    };
+    const pricePerNight = record => (record.numericPrice > 0 ? record.numericPrice / (record.nights || 1) : Infinity);
+
+    // Each hotel's cheapest record (a flexible-date grid lists a hotel once per stay)
+    const hotels = new Map();
+    priceRecords.filter(record => record.hotelUrl).forEach(record => {
+      const current = hotels.get(hotelKey(record));
+      if (!current || pricePerNight(record) < pricePerNight(current)) {
+        hotels.set(hotelKey(record), record);
+      }
+    });
+    const candidates = [...hotels.values()].sort((a, b) => pricePerNight(a) - pricePerNight(b));
+
+    const targets = [];
+    pinned.forEach(entry => {
+      const entryPath = entry.startsWith('http') ? urlPath(entry) : null;
+      const match = candidates.find(record =>
+        entryPath ? urlPath(record.hotelUrl) === entryPath : hotelKey(record) === entry
+      );
+      if (!match) {
+        logger.info('Pinned hotel not in results', { searchId: search.id, pinned: entry });
+      } else if (!targets.includes(match)) {
+        targets.push(match);
+      }
+    });
+
+    candidates
+      .filter(record => record.numericPrice > 0 && !targets.includes(record))
+      .slice(0, Math.max(0, count))
+      .forEach(record => targets.push(record));
+
+    return targets.slice(0, Math.max(0, maxPages));
+  }
+
+  /**
+   * Map scraped property pages to rate records. Ids are deterministic per
+   * price record, like price ids, so a retried store overwrites.
+   * @param {Array} priceRecords - Updated in place with policies, ratesCount and coordinates
+   * @param {Array} pages - From BookingScraper.scrapePropertyPages, keyed by price id
+   * @param {PriceParser} priceParser
+   */
+  static buildRateRecords(priceRecords, pages, priceParser) {
+    const byId = new Map(priceRecords.map(record => [record.id, record]));
+
+    return pages.filter(page => !page.error && byId.has(page.key)).flatMap(page => {
+      const price = byId.get(page.key);
+      price.policies = parsePolicies(page.policies);
+      price.ratesCount = page.rates.length;
+      // The property page's map is more reliable than the card's
+      const coordinates = parseCoordinates(page.latitude, page.longitude);
+      if (coordinates) {
+        Object.assign(price, coordinates, { coordinatesSource: 'property_page' });
+      }
+
+      return page.rates.map((raw, index) => {
+        const rate = parseRate(raw, priceParser);
+        return {
+          id: `rate_${price.id}_${index}`,
+          priceId: price.id,
+          searchId: price.searchId,
+          userId: price.userId,
+          runId: price.runId,
+          hotelName: price.hotelName,
+          hotelUrl: price.hotelUrl,
+          checkIn: price.checkIn,
+          checkOut: price.checkOut,
+          ...rate,
+          currency: rate.currency || price.currency,
+          scrapingProfile: page.scrapedWith || null,
+          extractedAt: price.extractedAt
+        };
+      });
+    });
+  }
+
+  /**
+   * Add the bot challenge the scraper met, if any, to the job result's
+   * `botChallenges` (kind, signal, url, profile, proxy, cooldownUntil)
+   */
+  recordBotChallenge(tracker, scraper) {
+    const challenge = scraper.lastChallenge;
+    if (!challenge) {
+      return;
+    }
+    scraper.lastChallenge = null;
+
+    tracker.record({ botChallenges: [...(tracker.result.botChallenges || []), challenge] });
+    logger.warn('Scrape hit a bot challenge', {
+      jobId: tracker.jobId,
+      kind: challenge.kind,
+      profile: challenge.profile,
+      proxy: challenge.proxy,
+      cooldownUntil: challenge.cooldownUntil
+    });
+  }
+
+  /**
+   * Save what the scraper captured for a failed or suspicious scrape and
+   * reference it from the job. Failures are logged, never thrown.
+   * @param {JobTracker} tracker
+   * @param {BookingScraper} scraper
+   */
+  async saveScrapeArtifacts(tracker, scraper) {
+    const capture = scraper.artifacts;
+    if (!capture) {
+      return;
+    }
+    scraper.artifacts = null;
+
+    try {
+      const saved = await artifactService.save(tracker.jobId, capture);
+      await tracker.attachArtifacts(saved);
+      logger.info('Scrape artifacts saved', {
+        jobId: tracker.jobId,
+        reason: saved.reason,
+        files: saved.files.map(file => file.location)
+      });
+    } catch (error) {
+      logger.warn('Failed to save scrape artifacts', {
+        jobId: tracker.jobId,
+        reason: capture.reason,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Extraction reports of the search's last completed runs, the layout drift
+   * baseline. Searches differ in how many fields their results fill (a city
+   * without reviews, a filter without deals), so each has its own baseline.
+   * @param {string} searchId
+   */
+  async loadRecentExtractionReports(searchId) {
+    try {
+      const recentJobs = await storageService.getRecentJobs({
+        status: 'completed',
+        searchId,
+        limit: this.layoutDrift.baselineRuns
+      });
+      return recentJobs.map(job => job.result?.extraction).filter(Boolean);
+    } catch (error) {
+      logger.warn('Failed to load recent runs for layout drift baseline', { searchId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Layout drift of one extraction report against the baseline reports
+   */
+  detectDrift(report, recentReports) {
+    return detectLayoutDrift(report, recentReports, { thresholds: this.layoutDrift.thresholds });
+  }
+
+  /**
+   * Compare the scrape's fill rates with recent runs. Drift is recorded on
+   * the job and alerted; drift on names or prices fails the job with
+   * LayoutDriftError before anything is stored.
+   * @param {Object} search - Search document
+   * @param {JobTracker} tracker
+   * @param {Object} report - scraper.lastExtraction
+   * @param {Array} recentReports - From loadRecentExtractionReports
+   */
+  async checkLayoutDrift(search, tracker, report, recentReports) {
+    if (!report) {
+      return;
+    }
+
+    tracker.record({ extraction: report });
+    Object.entries(report.fillRates).forEach(([field, fillRate]) => {
+      metrics.scrapeFillRate.set({ field }, fillRate);
+    });
+
+    const drift = this.detectDrift(report, recentReports);
+    if (!drift.drifted) {
+      return;
+    }
+
+    tracker.record({ layoutDrift: drift.fields });
+    drift.fields.forEach(({ field }) => metrics.layoutDrift.inc({ field }));
+    logger.warn('Layout drift detected', {
+      searchId: search.id,
+      registryVersion: report.registryVersion,
+      critical: drift.critical,
+      fields: drift.fields
+    });
+
+    await this.alertLayoutDrift(search, tracker, report, drift);
+
+    if (drift.critical) {
+      throw new LayoutDriftError(
+        `Booking.com layout changed: ${drift.fields.map(({ field, reason }) => `${field} ${reason}`).join('; ')}`,
+        { details: { registryVersion: report.registryVersion, fields: drift.fields } }
+      );
+    }
+  }
+
+  /**
+   * Publish scrape.layout_drift and email the operators, at most once per
+   * alertCooldownMs per worker process
+   */
+  async alertLayoutDrift(search, tracker, report, drift) {
+    await eventPublisher.publish(EVENT_TYPES.LAYOUT_DRIFT, { searchId: search.id, userId: search.userId }, {
+      jobId: tracker.jobId,
+      runId: tracker.runId,
+      registryVersion: report.registryVersion,
+      cards: report.cards,
+      critical: drift.critical,
+      fields: drift.fields,
+      fillRates: report.fillRates,
+      fallbacks: report.fallbacks
+    });
+
+    // Drift alerts go to operators only, never to EMAIL_RECIPIENT
+    if (this.layoutDrift.alertRecipients.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - this.layoutDrift.lastAlertAt < this.layoutDrift.alertCooldownMs) {
+      return;
+    }
+    this.layoutDrift.lastAlertAt = now;
+
+    const escape = value => this.emailService.escapeHtml(value);
+    const rows = drift.fields.map(({ field, fillRate, baseline, reason }) =>
+      `<tr><td>${escape(field)}</td><td>${fillRate}</td><td>${baseline ?? '–'}</td><td>${escape(reason)}</td></tr>`
+    ).join('');
+
+    const sent = await this.emailService.sendEmail({
+      to: this.layoutDrift.alertRecipients,
+      subject: `Layout drift detected (selectors ${report.registryVersion})${drift.critical ? ' — jobs failing' : ''}`,
+      html: `<p>Booking.com result pages no longer match the selector registry (src/selectors.cjs).</p>
+<p>Search: ${escape(search.searchName)} (${escape(search.id)}), job ${escape(tracker.jobId)}, ${report.cards} result cards.</p>
+<table border="1" cellpadding="4" cellspacing="0">
+<tr><th>Field</th><th>Fill rate</th><th>Recent median</th><th>Reason</th></tr>${rows}
+</table>
+<p>${drift.critical
+    ? 'Names or prices are missing, so jobs fail with LayoutDriftError until the selectors are updated.'
+    : 'Jobs still complete, with the affected fields missing.'}</p>`
+    });
+    metrics.emailsSent.inc({ result: sent ? 'sent' : 'failed' });
+  }
+
+  /**
+   * Map parsed hotels to price records for one run.
+   * Ids are deterministic per run so a retried store overwrites, never duplicates.
+   * Hotels of a flexible-date grid carry their own `stay` dates, and every
+   * hotel the profile it was scraped with (`scrapedWith`).
+   * @param {Object} search - Search document
+   * @param {Array} parsedData - Output of PriceParser.processHotels
+   * @param {string} runId
+   * @param {string} extractedAt - ISO timestamp shared by the whole run
+   */
+  static buildPriceRecords(search, parsedData, runId, extractedAt) {
+    const nightsBetween = (checkIn, checkOut) => (checkIn && checkOut
+      ? Math.max(0, Math.round((new Date(checkOut) - new Date(checkIn)) / 86400000))
+      : null);
+
+    return parsedData.map((hotel, index) => {
+      const coordinates = parseCoordinates(hotel.latitude, hotel.longitude);
+      return {
+        id: `price_${runId}_${index}`,
+        searchId: search.id,
+        userId: search.userId,
+        runId,
         hotelName: hotel.name,
         rating: hotel.rating,
+        reviewCount: hotel.reviewCount ?? null,
+        stars: hotel.stars ?? null,
         location: hotel.location,
+        distanceText: hotel.distanceText || null,
+        distanceKm: hotel.distanceKm ?? null,
+        distanceFrom: hotel.distanceFrom || null,
+        latitude: coordinates?.latitude ?? null,
+        longitude: coordinates?.longitude ?? null,
+        coordinatesSource: coordinates ? 'card' : null,
+        poiDistanceKm: null,
+        freeCancellation: hotel.freeCancellation ?? null,
+        noPrepayment: hotel.noPrepayment ?? null,
+        breakfastIncluded: hotel.breakfastIncluded ?? null,
+        roomsLeft: hotel.roomsLeft ?? null,
         cityName: search.criteria.cityName,
         originalPriceText: hotel.price,
         parsedPrice: hotel.priceParsed?.originalText || hotel.price,
         numericPrice: hotel.priceParsed?.numericPrice || 0,
         currency: hotel.priceParsed?.currency || search.criteria.currency,
+        originalPrice: hotel.priceParsed?.originalPrice ?? null,
+        discountPercent: hotel.priceParsed?.discountPercent ?? null,
+        deals: hotel.priceParsed?.deals || [],
+        dealBadges: hotel.priceParsed?.dealBadges || [],
+        taxesIncluded: hotel.priceParsed?.taxesIncluded ?? null,
+        taxesAmount: hotel.priceParsed?.taxesAmount ?? null,
         hotelUrl: hotel.url,
         units: hotel.units || [],
+        checkIn: hotel.stay?.checkIn || search.criteria.checkIn || null,
+        checkOut: hotel.stay?.checkOut || search.criteria.checkOut || null,
+        nights: hotel.stay?.nights || nightsBetween(search.criteria.checkIn, search.criteria.checkOut),
+        scrapingProfile: hotel.scrapedWith || null,
         extractedAt: extractedAt,
         searchDestination: search.criteria.cityName,
         searchDate: new Date().toISOString()
-      }));
+      };
+    });
+  }
 
-      await cosmosDBService.createPrices(priceRecords);
+  /**
+   * Publish a job.* event for the run
+   * @param {string} type - EVENT_TYPES.JOB_*
+   * @param {JobTracker} tracker
+   * @param {Object} data - Event specific fields
+   */
+  async publishJobEvent(type, tracker, data = {}) {
+    await eventPublisher.publish(type, { searchId: tracker.searchId, userId: tracker.userId }, {
+      jobId: tracker.jobId,
+      runId: tracker.runId,
+      scheduleType: tracker.scheduleType,
+      attempt: tracker.attempt,
+      messageId: tracker.messageId,
+      ...data,
+      result: tracker.result
+    });
+  }
 
-      logger.info('Prices stored successfully', {
-        searchId,
-        count: priceRecords.length
+  /**
+   * Compare this run with the previous one and publish price.dropped,
+   * hotel.appeared and hotel.disappeared (once per run)
+   */
+  async publishPriceChanges(search, priceRecords, tracker) {
+    if (tracker.getCheckpoint('events')) {
+      return;
+    }
+    tracker.throwIfInterrupted('events');
+
+    const { prices: history } = await storageService.getPricesBySearch(search.id, { limit: 10000 });
+    const previous = getPreviousRun(history, tracker.runId);
+    const changes = detectPriceChanges(previous, priceRecords, { minDropPercent: this.priceDropMinPercent });
+    const subject = { searchId: search.id, userId: search.userId };
+    const common = { runId: tracker.runId, searchName: search.searchName, previousRunAt: previous[0]?.extractedAt || null };
+
+    await Promise.all([
+      ...changes.dropped.map(hotel => eventPublisher.publish(EVENT_TYPES.PRICE_DROPPED, subject, { ...common, ...hotel })),
+      ...changes.appeared.map(hotel => eventPublisher.publish(EVENT_TYPES.HOTEL_APPEARED, subject, { ...common, ...hotel })),
+      ...changes.disappeared.map(hotel => eventPublisher.publish(EVENT_TYPES.HOTEL_DISAPPEARED, subject, { ...common, ...hotel }))
+    ]);
+
+    tracker.record({
+      priceDrops: changes.dropped.length,
+      hotelsAppeared: changes.appeared.length,
+      hotelsDisappeared: changes.disappeared.length
+    });
+    await tracker.checkpoint('events', {
+      dropped: changes.dropped.length,
+      appeared: changes.appeared.length,
+      disappeared: changes.disappeared.length
+    });
+
+    if (previous.length > 0) {
+      logger.info('Price changes published', {
+        searchId: search.id,
+        dropped: changes.dropped.length,
+        appeared: changes.appeared.length,
+        disappeared: changes.disappeared.length
       });
+    }
+  }
 
-      // 5. Generate AI insights
-      logger.info('Generating AI insights...', { searchId });
-      
+  /**
+   * Generate AI insights and save the updated conversation
+   * @returns {Promise<Object>} { html }
+   */
+  async generateRunInsights(search, tracker) {
+    const searchId = search.id;
+    const saved = tracker.getCheckpoint('insights');
+
+    if (saved) {
+      logger.info('Reusing insights generated by a previous delivery', { searchId });
+      return { html: saved.html || null };
+    }
+
+    logger.info('Generating AI insights...', { searchId });
+
+    const insights = await tracker.runStage('insights', async () => {
       // Get conversation history
       let conversation;
       try {
-        conversation = await cosmosDBService.getConversation(searchId);
+        conversation = await storageService.getConversation(searchId);
       } catch (error) {
         logger.warn('Failed to get conversation history, using empty array', { searchId, error: error.message });
         conversation = { messages: [] };
@@ -173,75 +992,96 @@ class PriceMonitorWorker {
       const conversationMessages = conversation?.messages || [];
       
       // Get all price history for this search
-      const { prices: allPrices } = await cosmosDBService.getPricesBySearch(searchId, {
+      const { prices: allPrices } = await storageService.getPricesBySearch(searchId, {
         limit: 10000
       });
 
       // Generate insights from in-memory DB data
-      const insights = await this.insightsService.generateInsightsFromData(
+      const generated = await this.insightsService.generateInsightsFromData(
         allPrices,
         conversationMessages,
         search.criteria
       );
 
       // Update conversation in database
-      if (insights.conversation) {
-        await cosmosDBService.updateConversation(searchId, insights.conversation);
+      if (generated.conversation) {
+        await storageService.updateConversation(searchId, generated.conversation);
       }
 
-      logger.info('AI insights generated', { searchId });
+      return generated;
+    });
+    tracker.record({ insightsGenerated: !!insights.html });
+    await tracker.checkpoint('insights', { html: insights.html || null });
 
-      // 6. Send email
-      if (search.emailRecipients && search.emailRecipients.length > 0) {
-        logger.info('Sending email...', {
-          searchId,
-          recipients: search.emailRecipients.length
-        });
+    logger.info('AI insights generated', { searchId });
+
+    return insights;
+  }
+
+  /**
+   * Render and send the email report for a run (once per run)
+   */
+  async sendRunEmail(search, priceRecords, insights, tracker) {
+    const searchId = search.id;
+
+    if (!search.emailRecipients || search.emailRecipients.length === 0) {
+      return;
+    }
+
+    if (tracker.getCheckpoint('email')) {
+      logger.info('Email already sent by a previous delivery, skipping', { searchId });
+      return;
+    }
+
+    logger.info('Sending email...', {
+      searchId,
+      recipients: search.emailRecipients.length
+    });
 
+    let emailSent;
+    try {
+      emailSent = await tracker.runStage('email', async () => {
         const emailHtml = await this.emailService.generateWorkerEmailBody({
           searchCriteria: search.criteria,
           latestPrices: priceRecords,
           insightsHtml: insights.html
         });
 
-        await this.emailService.sendEmail({
+        // Current results on a map: any GeoJSON viewer opens the attachment
+        const geoJSON = toGeoJSON(priceRecords, search.criteria.pointOfInterest);
+        const attachments = geoJSON.features.some(feature => feature.properties.kind === 'hotel')
+          ? [{
+            filename: `${search.id}-hotels.geojson`,
+            fileblob: Buffer.from(JSON.stringify(geoJSON)).toString('base64'),
+            mimetype: 'application/geo+json'
+          }]
+          : [];
+
+        return this.emailService.sendEmail({
           to: search.emailRecipients,
           subject: `Price Monitor: ${search.searchName}`,
           html: emailHtml,
-          attachments: [] // Could attach CSV if needed
+          attachments
         });
-
-        logger.info('Email sent successfully', { searchId });
-      }
-
-      // 7. Update search lastRunAt
-      await cosmosDBService.updateSearch(searchId, userId, {
-        lastRunAt: new Date().toISOString()
       });
-
-      const duration = Date.now() - startTime;
-      logger.info('Job completed successfully', {
-        searchId,
-        userId,
-        scheduleType,
-        durationMs: duration,
-        hotelsProcessed: priceRecords.length
-      });
-
     } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.error('Job processing failed', {
-        searchId,
-        userId,
-        scheduleType,
-        durationMs: duration,
-        error: error.message,
-        stack: error.stack
-      });
-
-      // Re-throw to trigger message abandonment (retry)
+      if (!tracker.interrupted) {
+        metrics.emailsSent.inc({ result: 'failed' });
+      }
       throw error;
     }
+    tracker.record({ emailRecipients: search.emailRecipients.length, emailSent });
+    metrics.emailsSent.inc({ result: emailSent ? 'sent' : 'failed' });
+
+    // No checkpoint for a failed send, so the retry sends it again
+    if (!emailSent) {
+      throw new ProviderUnavailableError('Email report could not be sent', {
+        details: { searchId, recipients: search.emailRecipients.length }
+      });
+    }
+    await tracker.checkpoint('email', { sent: true });
+
+    logger.info('Email sent successfully', { searchId });
   }
 
   /**
@@ -263,15 +1103,39 @@ class PriceMonitorWorker {
   }
 
   /**
-   * Stop the worker
+   * Worker status for the health server
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isDraining: this.isDraining,
+      maxConcurrentJobs: this.maxConcurrentJobs,
+      browserPool: BookingScraper.browserPool.getStatus(),
+      challengeCooldowns: BookingScraper.challengeCooldowns.getStatus(),
+      activeJobs: [...this.activeJobs].map(([jobId, job]) => ({
+        jobId,
+        searchId: job.searchId,
+        messageId: job.messageId,
+        startedAt: job.startedAt
+      }))
+    };
+  }
+
+  /**
+   * Stop the worker: stop taking new messages, let active jobs finish for
+   * up to drainTimeoutMs, then interrupt and abandon whatever is left
    */
   async stop() {
     if (!this.isRunning) {
       return;
     }
 
-    logger.info('Stopping Price Monitor Worker...');
+    logger.info('Stopping Price Monitor Worker...', {
+      activeJobs: this.activeJobs.size,
+      drainTimeoutMs: this.drainTimeoutMs
+    });
     this.isRunning = false;
+    this.isDraining = true;
 
     // Stop scheduler first
     try {
@@ -281,23 +1145,84 @@ class PriceMonitorWorker {
       logger.warn('Error stopping scheduler', { error: error.message });
     }
 
+    await jobQueueService.stopReceiving();
+
+    const drained = await this.waitForActiveJobs(this.drainTimeoutMs);
+    if (!drained) {
+      await this.interruptActiveJobs();
+    }
+
     // Stop job queue receiver
     await jobQueueService.close();
 
+    // Interrupted jobs' contexts are closed already; this closes the warm browsers
+    await BookingScraper.browserPool.close();
+
+    await healthServer.stop();
+    await eventPublisher.close();
+    await artifactService.close();
+    this.isDraining = false;
+
     logger.info('✅ Price Monitor Worker stopped gracefully');
   }
-}
 
-// Create and start worker
-const worker = new PriceMonitorWorker();
+  /**
+   * Wait until no job is active
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} False if jobs were still active at the deadline
+   */
+  async waitForActiveJobs(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
 
-// Start worker
-worker.start().catch(error => {
-  logger.error('Fatal error starting worker', { error: error.message });
-  process.exit(1);
-});
+    if (this.activeJobs.size > 0) {
+      logger.info('Waiting for active jobs to finish', {
+        activeJobs: this.activeJobs.size,
+        timeoutMs
+      });
+    }
+
+    while (this.activeJobs.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    return this.activeJobs.size === 0;
+  }
+
+  /**
+   * Drain deadline passed: mark each remaining job `interrupted` (its
+   * checkpoints let the next delivery resume), return its message to the
+   * queue and close its browser
+   */
+  async interruptActiveJobs() {
+    const remaining = [...this.activeJobs.values()];
+
+    logger.warn('Drain timeout exceeded, interrupting active jobs', {
+      activeJobs: remaining.length,
+      jobs: [...this.activeJobs.keys()]
+    });
+
+    await Promise.all(remaining.map(async (job) => {
+      // Preview jobs have no job record
+      if (job.tracker) {
+        await job.tracker.interrupt(`Worker shut down after waiting ${this.drainTimeoutMs}ms for the job to finish`);
+      }
+      if (job.messageId) {
+        await jobQueueService.abandonInFlight(job.messageId);
+      }
+      try {
+        await job.scraper.close();
+      } catch (error) {
+        logger.warn('Failed to close browser of interrupted job', {
+          searchId: job.searchId,
+          error: error.message
+        });
+      }
+    }));
+  }
+}
 
 // Graceful shutdown
+let worker = null;
 let gracefulShutdownInProgress = false;
 
 async function handleShutdown(signal) {
@@ -309,10 +1234,12 @@ async function handleShutdown(signal) {
   gracefulShutdownInProgress = true;
   logger.info(`${signal} received, initiating graceful shutdown...`);
 
+  // Leave the drain time to finish, plus time to settle messages and close browsers
+  const shutdownTimeoutMs = worker.drainTimeoutMs + 30000;
   const shutdownTimeout = setTimeout(() => {
-    logger.error('Graceful shutdown timeout exceeded (30s), forcing exit');
+    logger.error(`Graceful shutdown timeout exceeded (${shutdownTimeoutMs}ms), forcing exit`);
     process.exit(1);
-  }, 30000);
+  }, shutdownTimeoutMs);
 
   try {
     await worker.stop();
@@ -326,7 +1253,27 @@ async function handleShutdown(signal) {
   }
 }
 
-process.on('SIGTERM', () => handleShutdown('SIGTERM'));
-process.on('SIGINT', () => handleShutdown('SIGINT'));
+/**
+ * Create and start the worker, with graceful shutdown on SIGTERM / SIGINT.
+ * Importing this module has no side effects; index.js calls this.
+ */
+export async function startWorker() {
+  worker = new PriceMonitorWorker();
+
+  process.on('SIGTERM', () => handleShutdown('SIGTERM'));
+  process.on('SIGINT', () => handleShutdown('SIGINT'));
+
+  await worker.start().catch(error => {
+    logger.error('Fatal error starting worker', { error: error.message });
+    process.exit(1);
+  });
+
+  return worker;
+}
+
+// Run directly (npm run dev:worker)
+if (process.argv[1] === __filename) {
+  startWorker();
+}
 
 export default PriceMonitorWorker;
@@ -0,0 +1,136 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectChallenge, ChallengeCooldowns } = require('../src/bot-challenge.cjs');
+
+const FIXTURES = path.join(__dirname, '../fixtures/booking');
+const RESULTS_URL = 'https://www.booking.com/searchresults.html?ss=Lisbon';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+}
+
+test('saved challenge pages are recognised by kind', () => {
+  const cases = {
+    'captcha.html': 'captcha',
+    'js-challenge.html': 'js_challenge',
+    'consent-wall.html': 'consent_wall'
+  };
+  for (const [name, kind] of Object.entries(cases)) {
+    assert.equal(detectChallenge({ url: RESULTS_URL, html: fixture(name) })?.kind, kind, name);
+  }
+});
+
+test('unusual traffic blocks and consent hosts are recognised', () => {
+  const blocked = detectChallenge({
+    url: RESULTS_URL,
+    html: '<html><head><title>Booking.com</title></head><body><h1>We have detected unusual traffic from your network</h1></body></html>'
+  });
+  assert.equal(blocked.kind, 'unusual_traffic');
+  assert.equal(blocked.signal, 'text: unusual traffic');
+
+  assert.equal(detectChallenge({ url: 'https://consent.booking.com/?continue=x', html: '' }).kind, 'consent_wall');
+});
+
+test('a results page is not a challenge', () => {
+  assert.equal(detectChallenge({ url: RESULTS_URL, html: fixture('results.html') }), null);
+});
+
+test('a page with result cards is never a challenge', () => {
+  assert.equal(detectChallenge({ url: RESULTS_URL, html: fixture('captcha.html'), cards: 3 }), null);
+});
+
+test('script text alone does not make a challenge', () => {
+  const html = '<html><head><title>Hotels in Istria</title></head><body><p>No properties found</p><script>var captcha = 1;</script></body></html>';
+  assert.equal(detectChallenge({ url: RESULTS_URL, html }), null);
+});
+
+test('cool-downs double per challenge up to the maximum and reset once over', async () => {
+  const cooldowns = new ChallengeCooldowns({ baseMs: 1000, maxMs: 3000 });
+
+  const first = await cooldowns.record('proxy:a', 'captcha');
+  assert.equal(first.strikes, 1);
+  assert.ok(await cooldowns.remainingMs('proxy:a') > 900);
+
+  const second = await cooldowns.record('proxy:a', 'captcha');
+  assert.ok(second.until - Date.now() > 1900);
+  const third = await cooldowns.record('proxy:a', 'captcha');
+  assert.ok(third.until - Date.now() <= 3000);
+
+  // Still cooling down: a reset keeps it
+  await cooldowns.reset('proxy:a');
+  assert.deepEqual(Object.keys(cooldowns.getStatus()), ['proxy:a']);
+  assert.equal(await cooldowns.remainingMs('proxy:b'), 0);
+
+  // Cooled down: a reset starts the count over
+  const short = new ChallengeCooldowns({ baseMs: 5 });
+  await short.record('proxy:a', 'captcha');
+  await short.record('proxy:a', 'captcha');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await short.reset('proxy:a');
+  assert.equal((await short.record('proxy:a', 'captcha')).strikes, 1);
+});
+
+test('cool-downs in a store are shared, and a failing store falls back', async () => {
+  const docs = new Map();
+  const store = {
+    read: async key => docs.get(key) || null,
+    update: async (key, next) => {
+      docs.set(key, next(docs.get(key) || null));
+      return docs.get(key);
+    },
+    delete: async (key, isStale) => {
+      if (docs.has(key) && isStale(docs.get(key))) docs.delete(key);
+    }
+  };
+
+  const worker1 = new ChallengeCooldowns({ baseMs: 1000, store });
+  const worker2 = new ChallengeCooldowns({ baseMs: 1000, store });
+  await worker1.record('profile:default', 'js_challenge');
+  assert.ok(await worker2.remainingMs('profile:default') > 0);
+  assert.equal((await worker2.record('profile:default', 'js_challenge')).strikes, 2);
+
+  const failing = new ChallengeCooldowns({
+    baseMs: 1000,
+    store: { read: async () => { throw new Error('storage down'); } }
+  });
+  assert.equal(await failing.remainingMs('profile:default'), 0);
+});
+
+test('the storage store shares proxy cool-downs and deletes them only when stale', async () => {
+  process.env.STORAGE_BACKEND = 'local';
+  process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cooldowns-'));
+  const { default: storageService } = await import('../src/services/storage/index.js');
+  const { default: challengeCooldownStore } = await import('../src/services/challenge-cooldown.service.js');
+  await storageService.initialize();
+
+  const key = 'proxy:http://de.proxy.example:8080';
+  const lockName = challengeCooldownStore.lockName(key);
+  assert.doesNotMatch(lockName, /[/\\?#]/);
+
+  const worker1 = new ChallengeCooldowns({ baseMs: 60000, store: challengeCooldownStore });
+  const worker2 = new ChallengeCooldowns({ baseMs: 60000, store: challengeCooldownStore });
+  await worker1.record(key, 'captcha');
+  assert.ok(await worker2.remainingMs(key) > 59000);
+  assert.equal((await worker2.record(key, 'captcha')).strikes, 2);
+  assert.equal((await storageService.readLock(lockName)).key, key);
+
+  // Cooling down: not stale, kept
+  await worker1.reset(key);
+  assert.equal((await challengeCooldownStore.read(key)).strikes, 2);
+
+  // Cooled down: stale, deleted
+  const short = new ChallengeCooldowns({ baseMs: 5, store: challengeCooldownStore });
+  const shortKey = 'proxy:http://fr.proxy.example:8080';
+  await short.record(shortKey, 'js_challenge');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await short.reset(shortKey);
+  assert.equal(await storageService.readLock(challengeCooldownStore.lockName(shortKey)), null);
+  assert.equal(await worker1.remainingMs(shortKey), 0);
+
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
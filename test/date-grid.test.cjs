@@ -0,0 +1,124 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  expandDateWindow,
+  validateDateWindow,
+  rewriteUrlDates,
+  applyStay,
+  buildPriceCalendar
+} = require('../src/date-grid.cjs');
+
+test('a window expands to every check-in date and stay length', () => {
+  const stays = expandDateWindow({ checkInFrom: '2026-02-27', checkInTo: '2026-03-01', minNights: 2, maxNights: 3 });
+  assert.equal(stays.length, 6);
+  assert.deepEqual(stays.slice(0, 3), [
+    { checkIn: '2026-02-27', checkOut: '2026-03-01', nights: 2 },
+    { checkIn: '2026-02-27', checkOut: '2026-03-02', nights: 3 },
+    { checkIn: '2026-02-28', checkOut: '2026-03-02', nights: 2 }
+  ]);
+  assert.deepEqual(stays.map(stay => stay.checkIn).filter((date, i, all) => all.indexOf(date) === i), ['2026-02-27', '2026-02-28', '2026-03-01']);
+});
+
+test('checkInStep thins the check-in dates and maxNights defaults to minNights', () => {
+  const stays = expandDateWindow({ checkInFrom: '2026-07-01', checkInTo: '2026-07-10', minNights: 7, checkInStep: 3 });
+  assert.deepEqual(stays.map(stay => stay.checkIn), ['2026-07-01', '2026-07-04', '2026-07-07', '2026-07-10']);
+  assert.ok(stays.every(stay => stay.nights === 7));
+});
+
+test('invalid dates and reversed windows are rejected', () => {
+  assert.deepEqual(validateDateWindow({ checkInFrom: '2026-02-30', minNights: 2 }), [
+    'dateWindow.checkInFrom must be a YYYY-MM-DD date',
+    'dateWindow.checkInTo must be a YYYY-MM-DD date'
+  ]);
+  assert.deepEqual(validateDateWindow({ checkInFrom: '2026-7-1', checkInTo: '2026-07-05', minNights: 2 }), [
+    'dateWindow.checkInFrom must be a YYYY-MM-DD date'
+  ]);
+  assert.deepEqual(validateDateWindow({ checkInFrom: '2026-07-05', checkInTo: '2026-07-01', minNights: 2 }), [
+    'dateWindow.checkInTo must not be before checkInFrom'
+  ]);
+  assert.deepEqual(validateDateWindow({ checkInFrom: '2026-07-01', minNights: 3, maxNights: 2, checkInStep: 0 }), [
+    'dateWindow.maxNights must be at least minNights',
+    'dateWindow.checkInStep must be at least 1'
+  ]);
+  assert.deepEqual(validateDateWindow([]), ['dateWindow must be an object']);
+  assert.deepEqual(validateDateWindow({ checkInFrom: '2024-02-29', minNights: 1 }), []);
+});
+
+test('a window larger than the stay limit is rejected', () => {
+  const window = { checkInFrom: '2026-07-01', checkInTo: '2026-07-20', minNights: 5, maxNights: 7 };
+  assert.deepEqual(validateDateWindow(window, 60), []);
+  assert.deepEqual(validateDateWindow(window, 59), [
+    'dateWindow expands to 60 stays, more than the 59 allowed (narrow the window or raise checkInStep)'
+  ]);
+  assert.deepEqual(validateDateWindow({ ...window, checkInStep: 2 }, 59), []);
+});
+
+test('URL dates are replaced, split date params removed and the fragment kept', () => {
+  const stay = { checkIn: '2026-07-03', checkOut: '2026-07-08' };
+
+  assert.equal(
+    rewriteUrlDates('https://www.booking.com/searchresults.html?ss=Lisbon&checkin=2025-01-01&checkout=2025-01-05&group_adults=2', stay),
+    'https://www.booking.com/searchresults.html?ss=Lisbon&checkin=2026-07-03&checkout=2026-07-08&group_adults=2'
+  );
+  assert.equal(
+    rewriteUrlDates('https://www.booking.com/searchresults.html?checkin_year=2025&checkin_month=1&checkin_monthday=1&ss=Lisbon&checkout_year=2025&checkout_month=1&checkout_monthday=5', stay),
+    'https://www.booking.com/searchresults.html?ss=Lisbon&checkin=2026-07-03&checkout=2026-07-08'
+  );
+  assert.equal(
+    rewriteUrlDates('https://www.booking.com/searchresults.html?ss=Lisbon#map_opened', stay),
+    'https://www.booking.com/searchresults.html?ss=Lisbon&checkin=2026-07-03&checkout=2026-07-08#map_opened'
+  );
+  assert.equal(
+    rewriteUrlDates('https://www.booking.com/searchresults.html', stay),
+    'https://www.booking.com/searchresults.html?checkin=2026-07-03&checkout=2026-07-08'
+  );
+});
+
+test('a stay replaces the window in the criteria', () => {
+  const criteria = {
+    cityName: 'Lisbon',
+    dateWindow: { checkInFrom: '2026-07-01', minNights: 5 },
+    sourceUrl: 'https://www.booking.com/searchresults.html?ss=Lisbon&checkin=2025-01-01&checkout=2025-01-05'
+  };
+  assert.deepEqual(applyStay(criteria, { checkIn: '2026-07-01', checkOut: '2026-07-06', nights: 5 }), {
+    cityName: 'Lisbon',
+    checkIn: '2026-07-01',
+    checkOut: '2026-07-06',
+    sourceUrl: 'https://www.booking.com/searchresults.html?ss=Lisbon&checkin=2026-07-01&checkout=2026-07-06'
+  });
+});
+
+test('the calendar compares stays of different lengths by price per night', () => {
+  const record = (hotelName, checkIn, nights, numericPrice) => ({
+    hotelName, hotelUrl: `https://www.booking.com/hotel/${hotelName}`, checkIn, checkOut: null, nights, numericPrice, currency: 'EUR'
+  });
+  const calendar = buildPriceCalendar([
+    record('Baixa', '2026-07-01', 5, 600), // 120 per night
+    record('Alfama', '2026-07-01', 5, 500), // 100
+    record('Baixa', '2026-07-01', 7, 630), // 90
+    record('Alfama', '2026-07-02', 7, 770), // 110
+    record('Belem', '2026-07-02', 5, 0), // No price
+    record('Undated', null, 5, 50)
+  ], { cheapestStays: 2 });
+
+  assert.deepEqual(calendar.checkIns, ['2026-07-01', '2026-07-02']);
+  assert.deepEqual(calendar.nights, [5, 7]);
+  // The 2026-07-02 5-night stay has no price, so it is no stay of the calendar
+  assert.deepEqual(calendar.stays.map(stay => [stay.checkIn, stay.nights, stay.hotelName, stay.pricePerNight, stay.hotels]), [
+    ['2026-07-01', 5, 'Alfama', 100, 2],
+    ['2026-07-01', 7, 'Baixa', 90, 1],
+    ['2026-07-02', 7, 'Alfama', 110, 1]
+  ]);
+  assert.deepEqual(calendar.cheapestStays.map(stay => [stay.checkIn, stay.nights, stay.price]), [
+    ['2026-07-01', 7, 630],
+    ['2026-07-01', 5, 500]
+  ]);
+  // Baixa's 7-night stay costs more in total but less per night
+  assert.deepEqual(calendar.hotels.map(hotel => [hotel.hotelName, hotel.pricePerNight, hotel.staysAvailable]), [
+    ['Baixa', 90, 2],
+    ['Alfama', 100, 2],
+    ['Belem', 0, 1]
+  ]);
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCoordinates, distanceKm, validatePointOfInterest, toGeoJSON } = require('../src/geo.cjs');
+
+test('coordinates are parsed from numbers or strings and rounded to 6 digits', () => {
+  assert.deepEqual(parseCoordinates('38.70981234', '-9.13650001'), { latitude: 38.709812, longitude: -9.1365 });
+  assert.deepEqual(parseCoordinates(-90, 180), { latitude: -90, longitude: 180 });
+});
+
+test('out of range, missing and 0,0 coordinates are rejected', () => {
+  assert.equal(parseCoordinates(90.1, 0.5), null);
+  assert.equal(parseCoordinates(10, -180.1), null);
+  assert.equal(parseCoordinates(null, 10), null);
+  assert.equal(parseCoordinates('north', '10'), null);
+  assert.equal(parseCoordinates(0, 0), null);
+  assert.deepEqual(validatePointOfInterest({ name: 'Old Town', latitude: 95, longitude: 13 }), [
+    'pointOfInterest needs a latitude (-90 to 90) and longitude (-180 to 180)'
+  ]);
+  assert.deepEqual(validatePointOfInterest({ name: 'Old Town', latitude: 45.0812, longitude: 13.6387 }), []);
+});
+
+test('distances are great-circle km', () => {
+  const lisbon = { latitude: 38.7223, longitude: -9.1393 };
+  assert.equal(distanceKm(lisbon, { latitude: 41.1579, longitude: -8.6291 }), 274.3);
+  assert.equal(distanceKm({ latitude: 51.5074, longitude: -0.1278 }, { latitude: 48.8566, longitude: 2.3522 }), 343.56);
+  // Half the Earth's circumference
+  assert.equal(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 180 }), 20015.09);
+  assert.equal(distanceKm(lisbon, lisbon), 0);
+});
+
+test('the map has each hotel once, at its cheapest price per night, and the point of interest', () => {
+  const geo = toGeoJSON([
+    { hotelName: 'Baixa', latitude: 38.7098, longitude: -9.1365, numericPrice: 600, nights: 5 },
+    { hotelName: 'baixa ', latitude: 38.7098, longitude: -9.1365, numericPrice: 630, nights: 7 },
+    { hotelName: 'Nowhere', latitude: null, longitude: null, numericPrice: 100, nights: 1 }
+  ], { name: 'Castle', latitude: 38.7139, longitude: -9.1335 });
+
+  assert.deepEqual(geo.features.map(feature => [feature.properties.kind, feature.properties.name, feature.properties.price ?? null]), [
+    ['hotel', 'baixa ', 630],
+    ['point_of_interest', 'Castle', null]
+  ]);
+  assert.deepEqual(geo.features[0].geometry.coordinates, [-9.1365, 38.7098]);
+});
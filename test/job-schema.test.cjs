@@ -0,0 +1,63 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB_MESSAGE_VERSION, validateJobMessage } = require('../src/job-schema.cjs');
+
+test('a version 1 message is valid and keeps its fields', () => {
+  const body = {
+    version: 1,
+    searchId: 'abc123',
+    userId: 'user-1',
+    scheduleType: 'manual',
+    requestedBy: 'user-1',
+    requestedAt: '2025-06-01T10:00:00.000Z',
+    runId: 'run-1',
+    attempt: 2,
+    retryOf: 'msg-1',
+    lastError: { errorClass: 'ScrapeTimeoutError', message: 'timeout' },
+    addedLater: true
+  };
+  assert.deepEqual(validateJobMessage(body), { valid: true, errors: [], job: body });
+});
+
+test('version and scheduleType default on receive', () => {
+  const { valid, job } = validateJobMessage({ searchId: 'abc123', userId: 'user-1' });
+  assert.equal(valid, true);
+  assert.equal(job.version, JOB_MESSAGE_VERSION);
+  assert.equal(job.scheduleType, 'scheduled');
+});
+
+test('messages the worker cannot run are invalid', () => {
+  const base = { searchId: 'abc123', userId: 'user-1' };
+  const cases = [
+    [null, 'message body must be a JSON object'],
+    [[base], 'message body must be a JSON object'],
+    [{ userId: 'user-1' }, 'searchId is required and must be a non-empty string'],
+    [{ ...base, userId: '  ' }, 'userId is required and must be a non-empty string'],
+    [{ ...base, version: 2 }, 'unsupported version 2 (supported: 1)'],
+    [{ ...base, scheduleType: 'urgent' }, 'scheduleType must be one of scheduled, manual, backfill, preview (got "urgent")'],
+    [{ ...base, runId: '' }, 'runId must be a non-empty string'],
+    [{ ...base, attempt: 0 }, 'attempt must be a positive integer'],
+    [{ ...base, lastError: 'boom' }, 'lastError must be an object'],
+    [{ ...base, requestedAt: 'yesterday' }, 'requestedAt must be an ISO timestamp'],
+    [{ ...base, callModel: true }, 'callModel is only allowed for preview jobs'],
+    [{ ...base, scheduleType: 'preview', callModel: 'yes' }, 'callModel must be a boolean']
+  ];
+
+  for (const [body, error] of cases) {
+    const result = validateJobMessage(body);
+    assert.equal(result.valid, false, JSON.stringify(body));
+    assert.equal(result.job, null);
+    assert.deepEqual(result.errors, [error]);
+  }
+});
+
+test('every problem of a message is reported', () => {
+  const { errors } = validateJobMessage({ version: 0, scheduleType: 'preview', callModel: true });
+  assert.deepEqual(errors, [
+    'unsupported version 0 (supported: 1)',
+    'searchId is required and must be a non-empty string',
+    'userId is required and must be a non-empty string'
+  ]);
+});
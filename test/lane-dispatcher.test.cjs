@@ -0,0 +1,143 @@
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let LaneDispatcher;
+
+before(async () => {
+  ({ default: LaneDispatcher } = await import('../src/services/lane-dispatcher.js'));
+});
+
+/**
+ * Receiver returning the messages pushed to it, recording the receive waits
+ */
+function fakeReceiver(messageCount = 0) {
+  const receiver = {
+    messages: Array.from({ length: messageCount }, (_, i) => ({ messageId: `m${i}` })),
+    waits: [],
+    abandoned: [],
+    async receiveMessages(count, { maxWaitTimeInMs }) {
+      receiver.waits.push(maxWaitTimeInMs);
+      return receiver.messages.splice(0, count);
+    },
+    async abandonMessage(message) {
+      receiver.abandoned.push(message);
+    }
+  };
+  return receiver;
+}
+
+function createDispatcher(lanes, options = {}) {
+  const processed = [];
+  const dispatcher = new LaneDispatcher({
+    lanes,
+    maxConcurrentCalls: 1,
+    receiveWaitMs: 1000,
+    processMessage: async (message, lane) => { processed.push(lane.name); },
+    processError: async () => {},
+    ...options
+  });
+  return { dispatcher, processed };
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('busy lanes share slots by their weights', async () => {
+  const lanes = [
+    { name: 'manual', receiver: fakeReceiver(100), weight: 6 },
+    { name: 'scheduled', receiver: fakeReceiver(100), weight: 3 },
+    { name: 'backfill', receiver: fakeReceiver(100), weight: 1 }
+  ];
+  const { dispatcher, processed } = createDispatcher(lanes);
+
+  dispatcher.start();
+  await waitFor(() => processed.length >= 30);
+  await dispatcher.close();
+
+  for (let window = 0; window < 3; window++) {
+    const slots = processed.slice(window * 10, window * 10 + 10);
+    const count = name => slots.filter(lane => lane === name).length;
+    assert.deepEqual([count('manual'), count('scheduled'), count('backfill')], [6, 3, 1], `slots ${window * 10}-${window * 10 + 9}`);
+  }
+  // Smooth: the backfill slot is not at the start of a window
+  assert.notEqual(processed[0], 'backfill');
+});
+
+test('an empty lane is skipped without banking credit', async () => {
+  const manual = fakeReceiver(0);
+  const lanes = [
+    { name: 'manual', receiver: manual, weight: 6 },
+    { name: 'backfill', receiver: fakeReceiver(100), weight: 1 }
+  ];
+  const processed = [];
+  const { dispatcher } = createDispatcher(lanes, {
+    processMessage: async (message, lane) => {
+      processed.push(lane.name);
+      // Manual jobs arrive after 5 backfill jobs ran alone
+      if (processed.length === 5) {
+        manual.messages.push(...Array.from({ length: 100 }, (_, i) => ({ messageId: `late${i}` })));
+      }
+    }
+  });
+
+  dispatcher.start();
+  await waitFor(() => processed.length >= 5 + 14);
+  await dispatcher.close();
+
+  // Neither lane carries credit or debt from the 5 rounds: 6 of every 7 slots go to manual
+  assert.deepEqual(processed.slice(0, 5), Array(5).fill('backfill'));
+  const after = processed.slice(5, 5 + 14);
+  assert.equal(after.filter(lane => lane === 'manual').length, 12);
+});
+
+test('lanes are polled without waiting, and an idle round pauses once', async () => {
+  const manual = fakeReceiver(0);
+  const backfill = fakeReceiver(0);
+  const { dispatcher, processed } = createDispatcher([
+    { name: 'manual', receiver: manual, weight: 6 },
+    { name: 'backfill', receiver: backfill, weight: 1 }
+  ], { receiveWaitMs: 200 });
+
+  dispatcher.start();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(manual.waits.length >= 1);
+  assert.ok([...manual.waits, ...backfill.waits].every(wait => wait === 0));
+  // One round, then the pause
+  assert.equal(manual.waits.length, 1);
+  assert.equal(backfill.waits.length, 1);
+
+  const arrivedAt = Date.now();
+  manual.messages.push({ messageId: 'run-now' });
+  await waitFor(() => processed.length === 1);
+  assert.ok(Date.now() - arrivedAt < 400);
+  assert.deepEqual(processed, ['manual']);
+
+  // close() ends the pause
+  const closing = Date.now();
+  await dispatcher.close();
+  assert.ok(Date.now() - closing < 100);
+});
+
+test('a message received while closing is abandoned', async () => {
+  const receiver = fakeReceiver(1);
+  const lanes = [{ name: 'scheduled', receiver, weight: 1 }];
+  const { dispatcher, processed } = createDispatcher(lanes);
+  receiver.receiveMessages = async () => {
+    dispatcher.running = false;
+    return receiver.messages.splice(0, 1);
+  };
+
+  dispatcher.start();
+  await dispatcher.close();
+  assert.deepEqual(processed, []);
+  assert.equal(receiver.abandoned.length, 1);
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let LocalQueueClient;
+let root;
+
+before(async () => {
+  ({ default: LocalQueueClient } = await import('../src/services/transports/local-queue.transport.js'));
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-queue-'));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function createClient(options = {}) {
+  return new LocalQueueClient({ directory: fs.mkdtempSync(path.join(root, 'q-')), pollIntervalMs: 10, ...options });
+}
+
+function files(client, state) {
+  return fs.readdirSync(client.getQueuePath('jobs', state));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a received message is peek-locked in flight until completed', async () => {
+  const client = createClient();
+  await client.createSender('jobs').sendMessages({ messageId: 'm1', body: { searchId: 's1' } });
+  const receiver = client.createReceiver('jobs');
+
+  const [message] = await receiver.receiveMessages(1, { maxWaitTimeInMs: 0 });
+  assert.equal(message.messageId, 'm1');
+  assert.deepEqual(message.body, { searchId: 's1' });
+  assert.equal(message.deliveryCount, 1);
+  assert.ok(message.lockToken);
+  assert.deepEqual(files(client, 'active'), []);
+  assert.deepEqual(files(client, 'inflight'), ['m1.json']);
+
+  await receiver.completeMessage(message);
+  assert.deepEqual(files(client, 'inflight'), []);
+  await client.close();
+});
+
+test('an abandoned message is redelivered with a higher delivery count', async () => {
+  const client = createClient();
+  await client.createSender('jobs').sendMessages({ messageId: 'm1', body: {} });
+  const receiver = client.createReceiver('jobs');
+
+  const [first] = await receiver.receiveMessages(1, { maxWaitTimeInMs: 0 });
+  await receiver.abandonMessage(first, { reason: 'busy' });
+
+  const [second] = await receiver.receiveMessages(1, { maxWaitTimeInMs: 0 });
+  assert.equal(second.deliveryCount, 2);
+  assert.deepEqual(second.applicationProperties, { reason: 'busy' });
+  assert.notEqual(second.lockToken, first.lockToken);
+  await receiver.completeMessage(second);
+  await client.close();
+});
+
+test('a message delivered more than maxDeliveryCount times is dead-lettered', async () => {
+  const client = createClient({ maxDeliveryCount: 2 });
+  await client.createSender('jobs').sendMessages({ messageId: 'm1', body: {} });
+  const receiver = client.createReceiver('jobs');
+
+  for (let i = 0; i < 2; i++) {
+    const [message] = await receiver.receiveMessages(1, { maxWaitTimeInMs: 0 });
+    await receiver.abandonMessage(message);
+  }
+  assert.deepEqual(await receiver.receiveMessages(1, { maxWaitTimeInMs: 0 }), []);
+
+  const [deadLettered] = await client.listMessages('jobs', 'deadletter');
+  assert.equal(deadLettered.messageId, 'm1');
+  assert.equal(deadLettered.deliveryCount, 3);
+  assert.equal(deadLettered.deadLetterReason, 'MaxDeliveryCountExceeded');
+  assert.equal(deadLettered.lockToken, null);
+  await client.close();
+});
+
+test('a scheduled message is not delivered before its enqueue time', async () => {
+  const client = createClient();
+  const sender = client.createSender('jobs');
+  await sender.sendMessages([
+    { messageId: 'later', body: {}, scheduledEnqueueTimeUtc: new Date(Date.now() + 60 * 1000) },
+    { messageId: 'soon', body: {}, scheduledEnqueueTimeUtc: new Date(Date.now() + 50) }
+  ]);
+  const receiver = client.createReceiver('jobs');
+
+  assert.deepEqual(await receiver.receiveMessages(5, { maxWaitTimeInMs: 0 }), []);
+  const messages = await receiver.receiveMessages(5, { maxWaitTimeInMs: 1000 });
+  assert.deepEqual(messages.map(message => message.messageId), ['soon']);
+  await receiver.completeMessage(messages[0]);
+  assert.deepEqual(files(client, 'active'), ['later.json']);
+  await client.close();
+});
+
+test('the lock is renewed while the message is held', async () => {
+  const client = createClient({ lockDurationMs: 200 });
+  await client.createSender('jobs').sendMessages({ messageId: 'm1', body: {} });
+  const receiver = client.createReceiver('jobs');
+
+  const [message] = await receiver.receiveMessages(1, { maxWaitTimeInMs: 0 });
+  await sleep(450);
+  const record = await client.readMessage(receiver.inflightPath('m1'));
+  assert.ok(new Date(record.lockedUntilUtc) > new Date(message.lockedUntilUtc));
+
+  // Another receiver does not take a renewed message
+  assert.deepEqual(await client.createReceiver('jobs').receiveMessages(1, { maxWaitTimeInMs: 0 }), []);
+  await receiver.completeMessage(message);
+  await client.close();
+});
+
+test('an expired lock returns the message, and settling it then fails with MessageLockLost', async () => {
+  const client = createClient({ lockDurationMs: 100 });
+  await client.createSender('jobs').sendMessages({ messageId: 'm1', body: {} });
+  const stuck = client.createReceiver('jobs');
+
+  // claimAvailable does not renew the lock, like a receiver that stopped
+  const [message] = await stuck.claimAvailable(1);
+  await sleep(150);
+
+  const other = client.createReceiver('jobs');
+  const [redelivered] = await other.receiveMessages(1, { maxWaitTimeInMs: 0 });
+  assert.equal(redelivered.deliveryCount, 2);
+
+  for (const settle of [() => stuck.completeMessage(message), () => stuck.abandonMessage(message), () => stuck.deadLetterMessage(message)]) {
+    await assert.rejects(settle(), { code: 'MessageLockLost' });
+  }
+  await other.completeMessage(redelivered);
+  assert.deepEqual(files(client, 'inflight'), []);
+  assert.deepEqual(files(client, 'active'), []);
+  await client.close();
+});
+
+test('replaceMessage never brings back a message that was moved', async () => {
+  const client = createClient();
+  await client.ensureQueue('jobs');
+  const filePath = path.join(client.getQueuePath('jobs', 'inflight'), 'gone.json');
+
+  assert.equal(await client.replaceMessage(filePath, { messageId: 'gone' }), false);
+  assert.deepEqual(files(client, 'inflight'), []);
+});
+
+test('a message left renamed aside by a stopped receiver is restored once', async () => {
+  const client = createClient({ lockDurationMs: 20 });
+  const sender = client.createSender('jobs');
+  await sender.sendMessages({ messageId: 'm1', body: {} });
+  const receiver = client.createReceiver('jobs');
+  const [message] = await receiver.claimAvailable(1);
+
+  // As if the process stopped between the two renames of replaceMessage
+  const inflightPath = receiver.inflightPath('m1');
+  fs.renameSync(inflightPath, `${inflightPath}.abc123.held`);
+  await sleep(40);
+
+  const [redelivered] = await client.createReceiver('jobs').receiveMessages(1, { maxWaitTimeInMs: 0 });
+  assert.equal(redelivered.messageId, message.messageId);
+  assert.equal(redelivered.deliveryCount, 2);
+  assert.deepEqual(files(client, 'inflight'), ['m1.json']);
+  await client.close();
+});
+
+test('subscribe hands messages to the handler and completes them', async () => {
+  const client = createClient();
+  await client.createSender('jobs').sendMessages([
+    { messageId: 'm1', body: { n: 1 } },
+    { messageId: 'm2', body: { n: 2 } }
+  ]);
+
+  const received = [];
+  const subscription = client.createReceiver('jobs').subscribe({
+    processMessage: async message => { received.push(message.body.n); },
+    processError: async () => {}
+  }, { maxConcurrentCalls: 2 });
+
+  for (let i = 0; i < 100 && files(client, 'inflight').length + files(client, 'active').length > 0; i++) {
+    await sleep(20);
+  }
+  await subscription.close();
+  assert.deepEqual(received.sort(), [1, 2]);
+  assert.deepEqual(files(client, 'inflight'), []);
+  await client.close();
+});
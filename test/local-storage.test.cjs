@@ -0,0 +1,146 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let storage;
+let root;
+
+before(async () => {
+  ({ default: storage } = await import('../src/services/storage/local-storage.service.js'));
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+});
+
+after(() => {
+  delete process.env.LOCAL_STORAGE_RETENTION_DAYS;
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A fresh storage directory per test
+async function useDirectory() {
+  process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(root, 'db-'));
+  await storage.initialize();
+  return process.env.LOCAL_STORAGE_DIR;
+}
+
+function search(id, overrides = {}) {
+  return { id, userId: 'u1', searchUrl: 'https://www.booking.com/searchresults.html', criteria: { cityName: 'Lisbon' }, ...overrides };
+}
+
+function price(id, searchId, runId, extractedAt) {
+  return { id, searchId, userId: 'u1', runId, hotelName: `Hotel ${id}`, numericPrice: 100, extractedAt };
+}
+
+test('locks follow Cosmos DB concurrency: 409 on create, 412 on a stale etag, 404 when missing', async () => {
+  await useDirectory();
+  const created = await storage.createLock({ id: 'scheduler', lockName: 'scheduler', instanceId: 'a' });
+  assert.ok(created._etag);
+  await assert.rejects(storage.createLock({ id: 'scheduler', lockName: 'scheduler', instanceId: 'b' }), { code: 409 });
+
+  const replaced = await storage.replaceLock({ id: 'scheduler', lockName: 'scheduler', instanceId: 'b' }, created._etag);
+  assert.notEqual(replaced._etag, created._etag);
+  await assert.rejects(storage.replaceLock({ id: 'scheduler', lockName: 'scheduler', instanceId: 'c' }, created._etag), { code: 412 });
+  assert.equal((await storage.readLock('scheduler')).instanceId, 'b');
+
+  await assert.rejects(storage.deleteLock('scheduler', created._etag), { code: 412 });
+  await storage.deleteLock('scheduler', replaced._etag);
+  assert.equal(await storage.readLock('scheduler'), null);
+  await assert.rejects(storage.deleteLock('scheduler', replaced._etag), { code: 404 });
+});
+
+test('paged queries return every document once, newest first, then no token', async () => {
+  await useDirectory();
+  for (let i = 1; i <= 5; i++) {
+    await storage.createSearch(search(`s${i}`));
+    await storage.updateSearch(`s${i}`, 'u1', { createdAt: `2025-01-0${i}T00:00:00.000Z` });
+  }
+
+  const ids = [];
+  let continuationToken;
+  let pages = 0;
+  do {
+    const page = await storage.getSearchesByUser('u1', { limit: 2, continuationToken });
+    ids.push(...page.searches.map(doc => doc.id));
+    continuationToken = page.continuationToken;
+    pages++;
+  } while (continuationToken);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(ids, ['s5', 's4', 's3', 's2', 's1']);
+});
+
+test('due searches without nextRun sort before the others', async () => {
+  await useDirectory();
+  const past = iso => ({ enabled: true, intervalHours: 6, nextRun: iso });
+  await storage.createSearch(search('later', { schedule: past('2025-01-02T00:00:00.000Z') }));
+  await storage.createSearch(search('never', { schedule: { enabled: true, intervalHours: 6 } }));
+  await storage.createSearch(search('earlier', { schedule: past('2025-01-01T00:00:00.000Z') }));
+  await storage.createSearch(search('future', { schedule: past('2999-01-01T00:00:00.000Z') }));
+  await storage.createSearch(search('off', { schedule: { enabled: false, nextRun: '2025-01-01T00:00:00.000Z' } }));
+
+  assert.deepEqual((await storage.getDueSearches()).map(doc => doc.id), ['never', 'earlier', 'later']);
+});
+
+test('a job status change moves the job to the new partition', async () => {
+  await useDirectory();
+  await storage.createJob({ id: 'j1', searchId: 's1', userId: 'u1' });
+
+  const running = await storage.updateJob('j1', 'pending', { status: 'running' });
+  assert.equal(running.status, 'running');
+  assert.equal(await storage.getJob('j1', 'pending'), null);
+  assert.equal((await storage.getJob('j1', 'running')).id, 'j1');
+  assert.equal((await storage.findJob('j1')).status, 'running');
+
+  await assert.rejects(storage.updateJob('j1', 'pending', { status: 'completed' }), { code: 404 });
+});
+
+test('prices live in one compact file per search', async () => {
+  const directory = await useDirectory();
+  await storage.createPrices([
+    price('p1', 's1', 'r1', '2025-01-01T00:00:00.000Z'),
+    price('p2', 's2', 'r1', '2025-01-01T00:00:00.000Z'),
+    price('p3', 's1', 'r2', '2025-01-02T00:00:00.000Z')
+  ]);
+
+  assert.deepEqual(fs.readdirSync(path.join(directory, 'prices')).sort(), ['s1.json', 's2.json']);
+  assert.doesNotMatch(fs.readFileSync(path.join(directory, 'prices', 's1.json'), 'utf-8'), /\n/);
+  assert.deepEqual((await storage.getPricesByRun('s1', 'r1')).map(doc => doc.id), ['p1']);
+  assert.deepEqual((await storage.getLatestPrices('s1')).map(doc => doc.id), ['p3']);
+
+  assert.equal(await storage.deletePricesByRun('s1', 'r2'), 1);
+  assert.deepEqual((await storage.getPricesBySearch('s1')).prices.map(doc => doc.id), ['p1']);
+  assert.equal((await storage.getPricesBySearch('s2')).prices.length, 1);
+});
+
+test('a run prunes its search\'s prices older than LOCAL_STORAGE_RETENTION_DAYS', async () => {
+  process.env.LOCAL_STORAGE_RETENTION_DAYS = '30';
+  try {
+    await useDirectory();
+    const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    const recent = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    await storage.createPrices([price('old', 's1', 'r1', old), price('recent', 's1', 'r1', recent)]);
+    await storage.createPrices([price('new', 's1', 'r2', new Date().toISOString())]);
+
+    assert.deepEqual((await storage.getPricesBySearch('s1')).prices.map(doc => doc.id), ['new', 'recent']);
+  } finally {
+    delete process.env.LOCAL_STORAGE_RETENTION_DAYS;
+  }
+});
+
+test('a single prices.json from an earlier version is split per search on start', async () => {
+  const directory = fs.mkdtempSync(path.join(root, 'legacy-'));
+  fs.writeFileSync(path.join(directory, 'prices.json'), JSON.stringify({
+    's1|p1': price('p1', 's1', 'r1', '2025-01-01T00:00:00.000Z'),
+    's2|p2': price('p2', 's2', 'r1', '2025-01-01T00:00:00.000Z')
+  }, null, 2));
+
+  process.env.LOCAL_STORAGE_DIR = directory;
+  await storage.initialize();
+
+  assert.equal(fs.existsSync(path.join(directory, 'prices.json')), false);
+  assert.deepEqual((await storage.getPricesByRun('s1', 'r1')).map(doc => doc.id), ['p1']);
+  assert.deepEqual((await storage.getPricesByRun('s2', 'r1')).map(doc => doc.id), ['p2']);
+});
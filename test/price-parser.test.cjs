@@ -0,0 +1,52 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PriceParser = require('../src/price-parser.cjs');
+const { parseRate } = require('../src/property-extractor.cjs');
+
+const parser = new PriceParser();
+
+test('guests and nights after the price are not read as a discount', () => {
+  for (const price of ['€ 1,050 for 2 adults', '€ 1,050 10 nights, 2 adults']) {
+    const parsed = parser.parseHotelPrice({ price, priceComponents: {} });
+    assert.equal(parsed.numericPrice, 1050, price);
+    assert.equal(parsed.originalPrice, null, price);
+    assert.equal(parsed.discountPercent, null, price);
+  }
+});
+
+test('two amounts without a strike-through element are original and payable', () => {
+  const parsed = parser.parseHotelPrice({ price: '€ 500 € 400', priceComponents: {} });
+  assert.equal(parsed.numericPrice, 400);
+  assert.equal(parsed.originalPrice, 500);
+  assert.equal(parsed.discountPercent, 20);
+});
+
+test('the strike-through amount is the original price', () => {
+  const parsed = parser.parseHotelPrice({
+    price: '€ 612 € 489',
+    priceComponents: { originalPrice: '€ 612', discountedPrice: '€ 489', taxes: '+€ 24 taxes and charges', badges: ['Early Booker Deal'] }
+  });
+  assert.equal(parsed.numericPrice, 489);
+  assert.equal(parsed.originalPrice, 612);
+  assert.equal(parsed.discountPercent, 20);
+  assert.deepEqual(parsed.deals, ['early_booking']);
+  assert.equal(parsed.taxesIncluded, false);
+  assert.equal(parsed.taxesAmount, 24);
+});
+
+test('a strike-through amount outside the price text keeps the payable amount', () => {
+  const parsed = parser.parseHotelPrice({
+    price: '€ 1,050 for 2 adults',
+    priceComponents: { originalPrice: '€ 1,200' }
+  });
+  assert.equal(parsed.numericPrice, 1050);
+  assert.equal(parsed.originalPrice, 1200);
+});
+
+test('room rates are parsed the same way', () => {
+  const rate = parseRate({ roomName: 'Double Room', price: '€ 1,050 for 2 adults', conditions: [] }, parser);
+  assert.equal(rate.numericPrice, 1050);
+  assert.equal(rate.originalPrice, null);
+});
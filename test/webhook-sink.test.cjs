@@ -0,0 +1,76 @@
+'use strict';
+
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+let WebhookEventSink;
+const originalFetch = global.fetch;
+
+before(async () => {
+  ({ default: WebhookEventSink } = await import('../src/services/events/webhook.sink.js'));
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+/**
+ * fetch stand-in answering with the given statuses in turn, recording requests
+ */
+function fakeFetch(...statuses) {
+  const requests = [];
+  global.fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    const status = statuses.shift() ?? 200;
+    return { ok: status >= 200 && status < 300, status };
+  };
+  return requests;
+}
+
+const event = { type: 'job.completed', id: 'evt_1' };
+
+test('the signature is the HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const sink = new WebhookEventSink({ url: 'https://hooks.example.com', secret: 'whsec_test' });
+  // openssl dgst -sha256 -hmac whsec_test over the same string
+  assert.equal(
+    sink.sign('1760000000', JSON.stringify(event)),
+    'sha256=cf2031dc4e8d726953ba7e7a4e0cc433555e4779e02b78bd4134d540da9ab06c'
+  );
+});
+
+test('a delivery carries the event headers and a signature over its raw body', async () => {
+  const requests = fakeFetch(200);
+  await new WebhookEventSink({ url: 'https://hooks.example.com', secret: 'whsec_test' }).send(event);
+
+  const [{ url, method, headers, body }] = requests;
+  assert.equal(url, 'https://hooks.example.com');
+  assert.equal(method, 'POST');
+  assert.equal(body, JSON.stringify(event));
+  assert.equal(headers['X-VacationMonitor-Event'], 'job.completed');
+  assert.equal(headers['X-VacationMonitor-Delivery'], 'evt_1');
+
+  const timestamp = headers['X-VacationMonitor-Timestamp'];
+  assert.match(timestamp, /^\d+$/);
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(headers['X-VacationMonitor-Signature'], `sha256=${expected}`);
+});
+
+test('without a secret nothing is signed', async () => {
+  const requests = fakeFetch(200);
+  await new WebhookEventSink({ url: 'https://hooks.example.com' }).send(event);
+  assert.equal(requests[0].headers['X-VacationMonitor-Signature'], undefined);
+});
+
+test('5xx responses are retried, other errors are not', async () => {
+  const retried = fakeFetch(503, 200);
+  await new WebhookEventSink({ url: 'https://hooks.example.com', maxAttempts: 3 }).send(event);
+  assert.equal(retried.length, 2);
+
+  const rejected = fakeFetch(400);
+  await assert.rejects(
+    new WebhookEventSink({ url: 'https://hooks.example.com', maxAttempts: 3 }).send(event),
+    { message: 'Webhook responded 400' }
+  );
+  assert.equal(rejected.length, 1);
+});